@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * The entry point of the library for browsers. Bundlers that honor the
+ * `browser` field of `package.json` (such as browserify) use this module
+ * in place of {@link module:wirelesstags}. The library can also be loaded
+ * with a `<script>` tag from the pre-built bundle
+ * `dist/wirelesstags.js`, which defines the global `WirelessTagPlatform`.
+ *
+ * In contrast to Node, API calls are made with the `fetch` transport by
+ * default, there is no configuration file ({@link WirelessTagPlatform.loadConfig}
+ * is not available), and the `PollingTagUpdater` plugin and the fake cloud
+ * ({@link module:wirelesstags/fakecloud}) cannot be used.
+ * Because browsers keep cookies from cross-origin requests to themselves,
+ * sign in with a bearer token.
+ *
+ * Like {@link module:wirelesstags}, this module exports the constructor
+ * for the {@link WirelessTagPlatform} class, which here also has the
+ * classes {@link WirelessTagManager}, {@link WirelessTag}, and
+ * {@link WirelessTagSensor} as properties.
+ *
+ * @module wirelesstags/browser
+ * @since 0.8.0
+ */
+var WirelessTagPlatform = require('./lib/platform');
+
+WirelessTagPlatform.defaultTransport = 'fetch';
+
+/** The class of tag managers, see {@link WirelessTagManager}. */
+WirelessTagPlatform.WirelessTagManager = require('./lib/tagmanager');
+/** The class of tags, see {@link WirelessTag}. */
+WirelessTagPlatform.WirelessTag = require('./lib/tag');
+/** The class of sensors, see {@link WirelessTagSensor}. */
+WirelessTagPlatform.WirelessTagSensor = require('./lib/sensor');
+
+/**
+ * Creates a {@link WirelessTagPlatform} instance, using the given
+ * options for initializing. In browsers, this is the same as using the
+ * constructor, because there is no configuration file to load.
+ *
+ * @param {Object} [options] - see {@link WirelessTagPlatform}
+ *
+ * @returns {WirelessTagPlatform}
+ * @memberof WirelessTagPlatform
+ */
+WirelessTagPlatform.create = function(options) {
+    return new WirelessTagPlatform(options);
+};
+
+module.exports = WirelessTagPlatform;
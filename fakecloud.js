@@ -0,0 +1,20 @@
+"use strict";
+
+/**
+ * The entry point for developing and testing against a fake cloud,
+ * loaded as `require('wirelesstags/fakecloud')`. It is separate from
+ * {@link module:wirelesstags} so that applications don't load the fake
+ * cloud's server unless they use it.
+ *
+ * This module exports the constructor for the {@link FakeCloud} class,
+ * which has the class {@link TagSimulator} as property.
+ *
+ * @module wirelesstags/fakecloud
+ * @since 0.8.0
+ */
+var FakeCloud = require('./lib/fakecloud');
+
+/** The class of simulators of the tags of a fake cloud, see {@link TagSimulator}. */
+FakeCloud.TagSimulator = require('./lib/simulator');
+
+module.exports = FakeCloud;
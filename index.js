@@ -1,6 +1,6 @@
 "use strict";
 
-/* eslint-disable no-process-env, no-sync */
+/* eslint-disable no-process-env */
 
 /**
  * The cloud platform interface to the Wireless Tag platform. This
@@ -11,11 +11,13 @@
  *
  * @module wirelesstags
  */
-var WirelessTagPlatform = require('./lib/platform');
+var WirelessTagPlatform = require('./lib/platform'),
+    config = require('./lib/config'),
+    credentials = require('./lib/credentials'),
+    ConfigError = require('./lib/error/ConfigError');
 
 const path = require('path');
 const os = require('os');
-const fs = require('fs');
 
 /**
  * @const {string} - The name of the default configuration file in the
@@ -41,43 +43,172 @@ const ENV_USERNAME = "WIRELESSTAG_API_USER";
  */
 const ENV_PASSWORD = "WIRELESSTAG_API_PASSWORD";
 
+/**
+ * @const {string} - The environment variable containing a bearer (OAuth)
+ *                   token for the Wireless Tag API. If set, it will be
+ *                   used for signing in instead of username and password.
+ *                   Used by {@link WirelessTagPlatform.loadConfig}.
+ * @default
+ */
 const ENV_TOKEN = "WIRELESSTAG_API_TOKEN";
 
+/**
+ * @const {string} - The environment variable requesting that the traffic
+ *                   with the Wireless Tag API be recorded to or replayed
+ *                   from a fixture file. The value is the mode (`record`
+ *                   or `replay`) and the path of the file, separated by a
+ *                   colon, for example `replay:test/fixtures/api.json`.
+ *                   Used by {@link WirelessTagPlatform.loadConfig}.
+ * @default
+ */
+const ENV_RECORDING = "WIRELESSTAG_API_RECORDING";
+
+/**
+ * @const {string} - The environment variable naming the profile to select
+ *                   from the configuration file, unless one is passed
+ *                   explicitly. See {@link module:lib/config}.
+ *                   Used by {@link WirelessTagPlatform.loadConfig}.
+ * @default
+ */
+const ENV_PROFILE = "WIRELESSTAG_PROFILE";
+
+/**
+ * @const {string} - The environment variable containing the passphrase
+ *                   for unlocking an encrypted credential file, unless
+ *                   one is passed explicitly. See {@link module:lib/credentials}.
+ *                   Used by {@link WirelessTagPlatform.loadConfig}.
+ * @default
+ */
+const ENV_PASSPHRASE = "WIRELESSTAG_PASSPHRASE";
+
+/**
+ * @const {string[]} - The options of {@link WirelessTagPlatform.create}
+ *                     that are passed to {@link WirelessTagPlatform.loadConfig}
+ *                     rather than the constructor.
+ * @private
+ */
+const LOAD_OPTIONS = ['profile', 'configPath', 'permissions', 'passphrase', 'env'];
+
 /**
  * Loads config information, which presently consists primarily of
  * connection options.
  *
  * The algorithm will attempt to read the file [CONFIG_NAME]{@link
  * module:wirelesstags~CONFIG_NAME} (in JSON format) in the executing
- * user's home directory if the file exists. It will then take
+ * user's home directory if the file exists, or the file given as option
+ * `configPath`, which then must exist. If the file defines named profiles
+ * (see {@link module:lib/config}), the one given as option `profile`, or
+ * else in the environment ([ENV_PROFILE]{@link
+ * module:wirelesstags~ENV_PROFILE}), or else the file's default profile,
+ * is selected.
+ *
+ * Files holding passwords or tokens in plain text must be accessible only
+ * by the executing user; by default a warning is emitted otherwise (see
+ * option `permissions`). Alternatively, the configuration can name a
+ * credential file (key `credentialsFile`, relative to the configuration
+ * file), which may be encrypted (see {@link WirelessTagPlatform.writeCredentials}).
+ * Encrypted credentials are unlocked only when signing in, using the
+ * passphrase given as option `passphrase`, or else in the environment
+ * ([ENV_PASSPHRASE]{@link module:wirelesstags~ENV_PASSPHRASE}), and are
+ * returned as key `credentials` for {@link WirelessTagPlatform#signin}.
+ *
+ * It will then take
  * username and password from the environment ([ENV_USERNAME]{@link
  * module:wirelesstags~ENV_USERNAME} and [ENV_PASSWORD]{@link
- * module:wirelesstags~ENV_PASSWORD}), which allows to use the
- * environment to override settings in the configuration file.
+ * module:wirelesstags~ENV_PASSWORD}), and a bearer token ([ENV_TOKEN]{@link
+ * module:wirelesstags~ENV_TOKEN}, as key `bearer`), which allows to use the
+ * environment to override settings in the configuration file. Likewise,
+ * recording or replaying API traffic (key `recording`) can be requested
+ * through the environment ([ENV_RECORDING]{@link module:wirelesstags~ENV_RECORDING}).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.profile] - the name of the profile to select
+ *          (since v0.8.0)
+ * @param {string} [options.configPath] - the path of the configuration
+ *          file to read instead of the default one (since v0.8.0)
+ * @param {string} [options.permissions] - what to do if a file holding
+ *          secrets is accessible by other users: `warn` (the default),
+ *          `refuse` (throw an error), or `ignore` (since v0.8.0)
+ * @param {string|function} [options.passphrase] - the passphrase for
+ *          unlocking an encrypted credential file, or a function called
+ *          with the path of the file that returns (or promises) it, for
+ *          example by prompting the user (since v0.8.0)
+ * @param {Object} [options.env] - the environment variables to use instead
+ *          of `process.env` (since v0.8.0)
  *
  * @returns {Object}
+ * @throws {WirelessTagPlatform.ConfigError} if the configuration file is
+ *          malformed, the requested profile is not defined in it, a file
+ *          holding secrets is accessible by other users and option
+ *          `permissions` is `refuse`, or the recording requested through
+ *          the environment is malformed
  * @memberof WirelessTagPlatform
  */
-WirelessTagPlatform.loadConfig = function() {
-    let config = {};
-    let confPath = path.join(os.homedir ? os.homedir() : process.env.HOME,
-                             CONFIG_NAME);
-    try {
-        let confContent = fs.readFileSync(confPath, 'utf8');
-        config = JSON.parse(confContent);
-    } catch (err) {
-        if (err.code !== "ENOENT") throw err;
+WirelessTagPlatform.loadConfig = function(options) {
+    options = options || {};
+    let env = options.env || process.env;
+    let confPath = options.configPath ||
+        path.join(os.homedir ? os.homedir() : env.HOME, CONFIG_NAME);
+    let fileConfig = config.readFile(confPath, Boolean(options.configPath));
+    if (config.hasSecrets(fileConfig)) {
+        config.checkPermissions(confPath, options.permissions);
     }
-    if (process.env[ENV_USERNAME]) {
-        config.username = process.env[ENV_USERNAME];
+    let conf = config.selectProfile(fileConfig,
+                                    options.profile || env[ENV_PROFILE],
+                                    confPath);
+    if (conf.credentialsFile) {
+        let credPath = path.resolve(path.dirname(confPath),
+                                    conf.credentialsFile);
+        let creds = credentials.readFile(credPath);
+        delete conf.credentialsFile;
+        if (credentials.isEncrypted(creds)) {
+            conf.credentials = unlocker(
+                creds, credPath,
+                options.passphrase || env[ENV_PASSPHRASE]);
+        } else {
+            config.checkPermissions(credPath, options.permissions);
+            Object.assign(conf, creds);
+        }
     }
-    if (process.env[ENV_PASSWORD]) {
-        config.password = process.env[ENV_PASSWORD];
+    if (env[ENV_USERNAME]) {
+        conf.username = env[ENV_USERNAME];
     }
-    if (process.env[ENV_TOKEN]) {
-        config.bearer = process.env[ENV_TOKEN];
+    if (env[ENV_PASSWORD]) {
+        conf.password = env[ENV_PASSWORD];
     }
-    return config;
+    if (env[ENV_TOKEN]) {
+        conf.bearer = env[ENV_TOKEN];
+    }
+    if (env[ENV_RECORDING]) {
+        conf.recording = parseRecording(env[ENV_RECORDING]);
+    }
+    if (conf.bearer || (conf.username && conf.password)) {
+        // credentials given in the clear take precedence
+        delete conf.credentials;
+    }
+    return conf;
+};
+
+/**
+ * Writes the given credentials to the given file, encrypted with the given
+ * passphrase, and accessible only by the executing user. The file can then
+ * be named in the configuration file as key `credentialsFile`, see
+ * {@link WirelessTagPlatform.loadConfig}.
+ *
+ * @param {string} file - the path of the file to write; it is overwritten
+ *          if it exists
+ * @param {Object} creds - the credentials, with keys `username` and
+ *          `password`, or `bearer`
+ * @param {string} passphrase - the passphrase with which to encrypt them
+ *
+ * @returns {string} the path of the file written
+ * @throws {WirelessTagPlatform.ConfigError} if Node.js is older than 10.5,
+ *          which lacks the scrypt key derivation needed for encrypting
+ * @memberof WirelessTagPlatform
+ * @since 0.8.0
+ */
+WirelessTagPlatform.writeCredentials = function(file, creds, passphrase) {
+    return credentials.writeFile(file, creds, passphrase);
 };
 
 /**
@@ -93,16 +224,30 @@ WirelessTagPlatform.loadConfig = function() {
  *                       error handler, will be passed a callback function.
  * @param {String} [options.apiBaseURI] - the base URI of the API server
  *                        if hosted on a different server than the default
+ * @param {string} [options.profile] - the profile to select from the
+ *                        configuration file (since v0.8.0)
+ * @param {string} [options.configPath] - the configuration file to read
+ *                        instead of the default one (since v0.8.0)
+ * @param {string} [options.permissions] - passed to
+ *                        {@link WirelessTagPlatform.loadConfig} (since v0.8.0)
+ * @param {string|function} [options.passphrase] - passed to
+ *                        {@link WirelessTagPlatform.loadConfig} (since v0.8.0)
+ * @param {Object} [options.env] - passed to
+ *                        {@link WirelessTagPlatform.loadConfig} (since v0.8.0)
  *
  * @returns {WirelessTagPlatform}
  * @memberof WirelessTagPlatform
  */
 WirelessTagPlatform.create = function(options) {
-    let config = WirelessTagPlatform.loadConfig();
+    options = options || {};
+    let loadOpts = {};
+    LOAD_OPTIONS.forEach((key) => { loadOpts[key] = options[key] });
+    let conf = WirelessTagPlatform.loadConfig(loadOpts);
     for (let key in options) {
-        config[key] = options[key];
+        if (LOAD_OPTIONS.indexOf(key) >= 0) continue;
+        conf[key] = options[key];
     }
-    return new WirelessTagPlatform(config);
+    return new WirelessTagPlatform(conf);
 };
 
 /**
@@ -118,4 +263,68 @@ WirelessTagPlatform.create = function(options) {
  *            provided it is different from the object itself
  */
 
+/**
+ * Options accepted by most API-querying methods for limiting how long
+ * the operation may take, and for cancelling it.
+ *
+ * @typedef {Object} module:wirelesstags~callOptions
+ * @property {number} [timeout] - the time in milliseconds after which the
+ *            operation is given up, rejecting with an
+ *            [OperationTimedOutError]{@link WirelessTagPlatform.OperationTimedOutError}
+ * @property {AbortSignal} [signal] - a signal (such as from an
+ *            `AbortController`) for cancelling the operation, rejecting with an
+ *            [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}
+ * @since 0.8.0
+ */
+
+/**
+ * Returns a function that unlocks the given encrypted credentials, as
+ * expected by option `credentials` of {@link WirelessTagPlatform#signin}.
+ *
+ * @param {Object} encrypted - the encrypted credentials
+ * @param {string} file - the path of the file they were read from
+ * @param {string|function} [passphrase] - the passphrase, or a function
+ *          returning or promising it
+ * @returns {function} returns a promise for the credentials
+ * @private
+ */
+function unlocker(encrypted, file, passphrase) {
+    return () => {
+        if (! passphrase) {
+            return Promise.reject(new ConfigError(
+                "no passphrase for unlocking encrypted credentials "
+                    + "(set " + ENV_PASSPHRASE + ", or pass option passphrase)",
+                file));
+        }
+        return new Promise((resolve) => {
+            resolve('function' === typeof passphrase ?
+                    passphrase(file) : passphrase);
+        }).then((phrase) => credentials.decrypt(encrypted, phrase, file));
+    };
+}
+
+/**
+ * Parses the value of [ENV_RECORDING]{@link module:wirelesstags~ENV_RECORDING}
+ * into the options for recording API traffic.
+ *
+ * @param {string} value - the mode and the path of the fixture file,
+ *          separated by a colon
+ * @returns {Object} with keys `mode` and `file`
+ * @throws {WirelessTagPlatform.ConfigError} if the value is not of this form
+ * @private
+ */
+function parseRecording(value) {
+    let sep = value.indexOf(':');
+    let mode = value.substring(0, sep);
+    let file = value.substring(sep + 1);
+    if ((sep < 0) || (['record', 'replay'].indexOf(mode) < 0) || ! file) {
+        throw new ConfigError(
+            "expected mode:file, with mode record or replay "
+                + "(such as replay:test/fixtures/api.json), got '" + value + "'",
+            undefined,
+            ENV_RECORDING);
+    }
+    return { mode: mode, file: file };
+}
+
 module.exports = WirelessTagPlatform;
@@ -0,0 +1,294 @@
+"use strict";
+
+/** @module */
+module.exports = PlatformAggregate;
+
+var util = require('util'),
+    EventEmitter = require('events'),
+    u = require('./util');
+
+/**
+ * @const {string[]} - The events of the platform objects that an aggregate
+ *          re-emits.
+ * @default
+ */
+const FORWARDED_EVENTS = [
+    'connect', 'disconnect', 'reconnect', 'reauth-failed', 'stateChange',
+    'discover', 'change', 'lost',
+    'retry', 'request', 'response', 'apiError'
+];
+
+/**
+ * An aggregate of several {@link WirelessTagPlatform} objects, each signed
+ * in to a different account, with the same discovery API as a platform
+ * object. The results of discovery are merged from all accounts, and each
+ * tag manager and tag object in the results has a property `account`, set
+ * to the name of the account (as given to the aggregate) through which it
+ * was obtained.
+ *
+ * If discovery fails for some of the accounts, the results from the others
+ * are still returned, and the failures are reported by [accountError events]{@link PlatformAggregate#event:accountError}.
+ * Only if it fails for all accounts does discovery fail as a whole (with
+ * the error of the first account).
+ *
+ * The events of the platform objects are re-emitted by the aggregate, with
+ * the name of the account passed to listeners as an additional last
+ * argument.
+ *
+ * Signing in and off is left to the platform objects. For example:
+ *
+ *     let accounts = new WirelessTagPlatform.PlatformAggregate({
+ *         home: homePlatform,
+ *         office: officePlatform
+ *     });
+ *     accounts.discoverTags({ sensors: { $in: ['temp'] } }).then((tags) => {
+ *         tags.forEach((tag) => console.log(tag.account, tag.name));
+ *     });
+ *
+ * @param {Object} [platforms] - the platform objects to aggregate, keyed
+ *          by account name (see {@link PlatformAggregate#add})
+ * @param {Object} [options]
+ * @param {function} [options.errorHandler] - a function returning a custom
+ *          error handler, will be passed a callback function
+ *
+ * @class
+ * @alias PlatformAggregate
+ * @since 0.8.0
+ */
+function PlatformAggregate(platforms, options) {
+    EventEmitter.call(this);
+    options = options || {};
+    /** @member {function} - see {@link WirelessTagPlatform} */
+    this.errorHandler = options.errorHandler || u.defaultHandler;
+    this._accounts = new Map();
+    Object.keys(platforms || {}).forEach(
+        (account) => this.add(account, platforms[account]));
+}
+util.inherits(PlatformAggregate, EventEmitter);
+
+/**
+ * Account error event. Emitted when discovery fails for one of the accounts.
+ *
+ * @event PlatformAggregate#accountError
+ * @type {object}
+ * @property {string} account - the name of the account
+ * @property {WirelessTagPlatform} platform - the account's platform object
+ * @property {Error} error - the error with which discovery failed
+ */
+
+/**
+ * Adds the given platform object to the aggregate, under the given account
+ * name. A platform object already added under this name is removed first.
+ *
+ * @param {string} account - the name by which to identify the account
+ * @param {WirelessTagPlatform} platform - the platform object for the account
+ * @returns {PlatformAggregate} this aggregate
+ */
+PlatformAggregate.prototype.add = function(account, platform) {
+    this.remove(account);
+    let listeners = {};
+    FORWARDED_EVENTS.forEach((event) => {
+        listeners[event] = function() {
+            let args = Array.prototype.slice.call(arguments);
+            EventEmitter.prototype.emit.apply(
+                this, [event].concat(args, [account]));
+        }.bind(this);
+        platform.on(event, listeners[event]);
+    });
+    this._accounts.set(account, { platform: platform, listeners: listeners });
+    return this;
+};
+
+/**
+ * Removes the platform object of the given account from the aggregate,
+ * and stops re-emitting its events.
+ *
+ * @param {string} account - the name of the account
+ * @returns {WirelessTagPlatform} the account's platform object, or
+ *          undefined if there was none
+ */
+PlatformAggregate.prototype.remove = function(account) {
+    let entry = this._accounts.get(account);
+    if (! entry) return undefined;
+    Object.keys(entry.listeners).forEach(
+        (event) => entry.platform.removeListener(event, entry.listeners[event]));
+    this._accounts.delete(account);
+    return entry.platform;
+};
+
+/**
+ * The names of the accounts in the aggregate, in the order of adding them.
+ *
+ * @returns {string[]}
+ */
+PlatformAggregate.prototype.accounts = function() {
+    return Array.from(this._accounts.keys());
+};
+
+/**
+ * Obtains the platform object of the given account.
+ *
+ * @param {string} account - the name of the account
+ * @returns {WirelessTagPlatform} the platform object, or undefined if the
+ *          aggregate has no account of this name
+ */
+PlatformAggregate.prototype.getPlatform = function(account) {
+    let entry = this._accounts.get(account);
+    return entry ? entry.platform : undefined;
+};
+
+/**
+ * Retrieves the tag managers available to all accounts, see
+ * {@link WirelessTagPlatform#discoverTagManagers}.
+ *
+ * @param {Object} [query] - see {@link WirelessTagPlatform#discoverTagManagers}
+ * @param {module:wirelesstags~apiCallback} [callback] - if provided,
+ *                `query` must be provided too, even if as value undefined.
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback`; applies to each account
+ *
+ * @fires PlatformAggregate#accountError
+ * @returns {Promise} resolves to an array of {@link WirelessTagManager}
+ *                    instances of all accounts for which discovery succeeded
+ */
+PlatformAggregate.prototype.discoverTagManagers = function(query, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
+    let req = this._gather(
+        (platform) => platform.discoverTagManagers(query, options));
+    return req.then((results) => {
+        let tagManagers = merge(results);
+        if (callback) callback(null, { object: this, value: tagManagers });
+        return tagManagers;
+    }, this.errorHandler(callback));
+};
+
+/**
+ * Retrieves the tags available to all accounts, see
+ * {@link WirelessTagPlatform#discoverTags}.
+ *
+ * @param {Object} [query] - see {@link WirelessTagPlatform#discoverTags}
+ * @param {module:wirelesstags~apiCallback} [callback] - if provided,
+ *                `query` must be provided too, even if as value undefined.
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback`; applies to each account
+ *
+ * @fires PlatformAggregate#accountError
+ * @returns {Promise} resolves to an array of {@link WirelessTag} instances
+ *                    of all accounts for which discovery succeeded
+ */
+PlatformAggregate.prototype.discoverTags = function(query, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
+    let req = this._gather(
+        (platform) => platform.discoverTags(query, options));
+    return req.then((results) => {
+        let tags = merge(results);
+        if (callback) callback(null, { object: this, value: tags });
+        return tags;
+    }, this.errorHandler(callback));
+};
+
+/**
+ * Retrieves the tag manager with the given MAC identifier from the first
+ * account (in the order of adding them) that has access to it, see
+ * {@link WirelessTagPlatform#findTagManager}.
+ *
+ * @param {string} mac - the MAC identifier for the tag manager
+ * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback`; applies to each account
+ *
+ * @fires PlatformAggregate#accountError
+ * @returns {Promise} resolves to the matching {@link WirelessTagManager}
+ *                    instance if one is accessible to any of the accounts,
+ *                    and to undefined otherwise.
+ */
+PlatformAggregate.prototype.findTagManager = function(mac, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
+    let req = this._gather(
+        (platform) => platform.findTagManager(mac, options));
+    return req.then((results) => {
+        let mgr = merge(results.map(
+            (r) => ({ account: r.account, value: r.value ? [r.value] : [] })))[0];
+        if (callback) callback(null, { object: this, value: mgr });
+        return mgr;
+    }, this.errorHandler(callback));
+};
+
+/**
+ * Invokes the given action on each tag manager object currently cached by
+ * any of the accounts' platform objects, and returns the results as an
+ * array. If no action is specified, return the currently cached tag
+ * manager objects.
+ *
+ * @param {function} [action] - the function to invoke for each tag
+ *          manager object
+ * @returns {Array} the results of each invocation
+ */
+PlatformAggregate.prototype.eachTagManager = function(action) {
+    let tagManagers = merge(this.accounts().map((account) => ({
+        account: account,
+        value: this.getPlatform(account).eachTagManager()
+    })));
+    return action === undefined ? tagManagers : tagManagers.map(action);
+};
+
+/**
+ * Performs the given action for each account's platform object, and
+ * collects the results. Failures are reported as account error events,
+ * unless the action fails for all accounts, in which case the returned
+ * promise rejects with the error of the first account.
+ *
+ * @param {function} action - passed a platform object, expected to
+ *          return a promise
+ * @returns {Promise} resolves to an array of objects with properties
+ *          `account` and `value`, for each account for which the action
+ *          succeeded
+ * @fires PlatformAggregate#accountError
+ * @private
+ */
+PlatformAggregate.prototype._gather = function(action) {
+    let reqs = this.accounts().map((account) => {
+        let platform = this.getPlatform(account);
+        return new Promise((resolve) => resolve(action(platform))).then(
+            (value) => ({ account: account, value: value }),
+            (error) => {
+                this.emit('accountError', {
+                    account: account, platform: platform, error: error
+                });
+                return { account: account, error: error };
+            });
+    });
+    return Promise.all(reqs).then((results) => {
+        let succeeded = results.filter((r) => ! r.error);
+        if (results.length > 0 && succeeded.length === 0) {
+            throw results[0].error;
+        }
+        return succeeded;
+    });
+};
+
+/**
+ * Merges the arrays of objects of the given results into one array, setting
+ * property `account` of each object to the account the result is for.
+ *
+ * @private
+ */
+function merge(results) {
+    return results.reduce((merged, result) => merged.concat(
+        result.value.map((obj) => tagAccount(obj, result.account))), []);
+}
+
+/** @private */
+function tagAccount(obj, account) {
+    if (obj && 'object' === typeof obj) obj.account = account;
+    return obj;
+}
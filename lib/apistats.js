@@ -0,0 +1,144 @@
+"use strict";
+
+/** @module */
+module.exports = APIStats;
+
+/**
+ * @const {number[]} - The upper bounds (in milliseconds) of the buckets of
+ *                     latency histograms. A last bucket collects all
+ *                     latencies greater than the largest bound.
+ * @default
+ */
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+/**
+ * Cumulative statistics of the calls made to the cloud API, kept per API
+ * endpoint. A user will not normally need to create instances directly;
+ * instead, each {@link WirelessTagPlatform} instance keeps one, which is
+ * obtained through {@link WirelessTagPlatform#stats}.
+ *
+ * @param {number[]} [buckets] - the upper bounds of the latency histogram
+ *          buckets, in ascending order; defaults to
+ *          [LATENCY_BUCKETS]{@link module:lib/apistats~LATENCY_BUCKETS}
+ *
+ * @class
+ * @alias APIStats
+ * @since 0.8.0
+ */
+function APIStats(buckets) {
+    /** @member {number[]} - the upper bounds of latency histogram buckets */
+    this.buckets = buckets || LATENCY_BUCKETS;
+    this.reset();
+}
+
+/**
+ * Discards all statistics collected so far.
+ */
+APIStats.prototype.reset = function() {
+    this._endpoints = new Map();
+    this._since = new Date();
+};
+
+/**
+ * Records that a call to the given API endpoint is being sent.
+ *
+ * @param {string} endpoint - the API endpoint (the path of its URI)
+ * @param {number} attempt - the attempt of the call (greater than 1 for
+ *          retries)
+ */
+APIStats.prototype.recordRequest = function(endpoint, attempt) {
+    let stats = this._endpointStats(endpoint);
+    stats.requests++;
+    if (attempt > 1) stats.retries++;
+};
+
+/**
+ * Records the completion of a call to the given API endpoint.
+ *
+ * @param {string} endpoint - the API endpoint (the path of its URI)
+ * @param {number} duration - the time in milliseconds the call took
+ * @param {Error} [error] - the error with which the call failed, if it did
+ */
+APIStats.prototype.recordResponse = function(endpoint, duration, error) {
+    let stats = this._endpointStats(endpoint);
+    if (error) {
+        stats.errors++;
+        stats.errorsByType[error.name] =
+            (stats.errorsByType[error.name] || 0) + 1;
+    } else {
+        stats.responses++;
+    }
+    let latency = stats.latency;
+    latency.count++;
+    latency.total += duration;
+    if (latency.min === undefined || duration < latency.min) {
+        latency.min = duration;
+    }
+    if (latency.max === undefined || duration > latency.max) {
+        latency.max = duration;
+    }
+    let i = this.buckets.findIndex((bound) => duration <= bound);
+    latency.histogram[i < 0 ? this.buckets.length : i]++;
+};
+
+/**
+ * Obtains a snapshot of the statistics collected so far.
+ *
+ * @returns {object} An object with properties `since` (the time since
+ *          when statistics have been collected), `buckets` (the upper
+ *          bounds of latency histogram buckets), and `endpoints`. The
+ *          latter is keyed by API endpoint, and the value for each is an
+ *          object with the numbers of `requests` sent, successful
+ *          `responses`, `errors`, and `retries`, the number of errors by
+ *          error class (`errorsByType`), and the `latency` of calls. The
+ *          latency is an object with `count`, `total`, `min`, `max`, and
+ *          `mean` (in milliseconds), and the `histogram` of counts of
+ *          latencies falling into each bucket.
+ */
+APIStats.prototype.snapshot = function() {
+    let endpoints = {};
+    this._endpoints.forEach((stats, endpoint) => {
+        let latency = Object.assign({}, stats.latency, {
+            histogram: stats.latency.histogram.slice(),
+            mean: stats.latency.count ?
+                stats.latency.total / stats.latency.count : undefined
+        });
+        endpoints[endpoint] = Object.assign({}, stats, {
+            errorsByType: Object.assign({}, stats.errorsByType),
+            latency: latency
+        });
+    });
+    return {
+        since: this._since,
+        buckets: this.buckets.slice(),
+        endpoints: endpoints
+    };
+};
+
+/**
+ * Obtains the statistics record for the given endpoint, creating it if
+ * it doesn't exist yet.
+ *
+ * @private
+ */
+APIStats.prototype._endpointStats = function(endpoint) {
+    let stats = this._endpoints.get(endpoint);
+    if (! stats) {
+        stats = {
+            requests: 0,
+            responses: 0,
+            errors: 0,
+            retries: 0,
+            errorsByType: {},
+            latency: {
+                count: 0,
+                total: 0,
+                min: undefined,
+                max: undefined,
+                histogram: this.buckets.map(() => 0).concat([0])
+            }
+        };
+        this._endpoints.set(endpoint, stats);
+    }
+    return stats;
+};
@@ -0,0 +1,181 @@
+"use strict";
+
+/** @module */
+module.exports = CircuitBreaker;
+
+var util = require('util'),
+    EventEmitter = require('events'),
+    TagManagerOfflineError = require('./error/TagManagerOfflineError'),
+    TagManagerTimedOutError = require('./error/TagManagerTimedOutError');
+
+/**
+ * @const {object} - Default options for circuit breakers.
+ * @default
+ */
+const DEFAULT_OPTIONS = {
+    failureThreshold: 3,
+    probeInterval: 60000
+};
+
+/**
+ * A circuit breaker for the API calls going through a {@link WirelessTagManager}.
+ * When a tag manager loses power or connectivity, every call through it
+ * fails, but only after the cloud has given up waiting for the tag manager.
+ * Once the breaker is open (the tag manager is known to be offline), calls
+ * fail right away instead, and the breaker periodically probes whether the
+ * tag manager is back online, and if so closes again.
+ *
+ * The breaker opens upon the first call failing with
+ * [TagManagerOfflineError]{@link WirelessTagPlatform.TagManagerOfflineError},
+ * or after the given number of consecutive calls failing with
+ * [TagManagerTimedOutError]{@link WirelessTagPlatform.TagManagerTimedOutError}.
+ *
+ * A user will not normally need to create instances directly; each tag
+ * manager object has one, and {@link WirelessTagPlatform.callAPI} consults
+ * and updates it automatically.
+ *
+ * @param {object} [options] - see [DEFAULT_OPTIONS]{@link module:lib/circuitbreaker~DEFAULT_OPTIONS}
+ *          for defaults
+ * @param {number} [options.failureThreshold] - the number of consecutive
+ *          calls timing out after which to open the breaker
+ * @param {number} [options.probeInterval] - the time in milliseconds
+ *          between probes while the breaker is open
+ * @param {function} [probe] - called for probing while the breaker is
+ *          open, expected to return a promise resolving to `true` if the
+ *          tag manager is online again
+ *
+ * @class
+ * @alias CircuitBreaker
+ * @since 0.8.0
+ *
+ * @property {Date} openedAt - when the breaker opened, or undefined if it
+ *          is closed
+ */
+function CircuitBreaker(options, probe) {
+    EventEmitter.call(this);
+    /** @member {object} - the options in effect for this breaker */
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.probe = probe;
+    this._failures = 0;
+    this._openedAt = undefined;
+    this._probeTimer = undefined;
+    Object.defineProperty(this, "openedAt", {
+        enumerable: true,
+        get: function() {
+            return this._openedAt ? new Date(this._openedAt) : undefined;
+        }
+    });
+}
+util.inherits(CircuitBreaker, EventEmitter);
+
+/**
+ * Open event. Emitted when the breaker opens.
+ *
+ * @event CircuitBreaker#open
+ * @type {object}
+ * @property {Error} [error] - the error that opened the breaker, if any
+ * @property {Date} since - when the breaker opened
+ */
+/**
+ * Close event. Emitted when the breaker closes again.
+ *
+ * @event CircuitBreaker#close
+ * @type {object}
+ * @property {number} duration - the time in milliseconds the breaker was open
+ */
+
+/**
+ * Whether the breaker is open, meaning that calls should fail right away.
+ *
+ * @returns {boolean}
+ */
+CircuitBreaker.prototype.isOpen = function() {
+    return this._openedAt !== undefined;
+};
+
+/**
+ * Records that a call succeeded, which closes the breaker if it was open.
+ */
+CircuitBreaker.prototype.recordSuccess = function() {
+    this._failures = 0;
+    this.close();
+};
+
+/**
+ * Records that a call failed with the given error. Opens the breaker if
+ * the error shows the tag manager to be offline, or if there have been
+ * too many consecutive timeouts. Other errors are ignored.
+ *
+ * @param {Error} error
+ */
+CircuitBreaker.prototype.recordFailure = function(error) {
+    if (error instanceof TagManagerOfflineError) {
+        this.open(error);
+    } else if (error instanceof TagManagerTimedOutError) {
+        this._failures++;
+        if (this._failures >= this.options.failureThreshold) this.open(error);
+    }
+};
+
+/**
+ * Opens the breaker, if it is not open already, and starts probing.
+ *
+ * @param {Error} [error] - the error that caused the breaker to open
+ * @fires CircuitBreaker#open
+ */
+CircuitBreaker.prototype.open = function(error) {
+    if (this.isOpen()) return;
+    this._openedAt = Date.now();
+    this._scheduleProbe();
+    this.emit('open', { error: error, since: this.openedAt });
+};
+
+/**
+ * Closes the breaker, if it is open, and stops probing.
+ *
+ * @fires CircuitBreaker#close
+ */
+CircuitBreaker.prototype.close = function() {
+    if (! this.isOpen()) return;
+    let duration = Date.now() - this._openedAt;
+    this._openedAt = undefined;
+    this._failures = 0;
+    if (this._probeTimer) clearTimeout(this._probeTimer);
+    this._probeTimer = undefined;
+    this.emit('close', { duration: duration });
+};
+
+/**
+ * Closes the breaker without emitting a [close event]{@link CircuitBreaker#event:close},
+ * stops probing, and forgets past failures. This is for when the tag
+ * manager is gone, and hence whether it is online no longer matters.
+ */
+CircuitBreaker.prototype.reset = function() {
+    this._openedAt = undefined;
+    this._failures = 0;
+    if (this._probeTimer) clearTimeout(this._probeTimer);
+    this._probeTimer = undefined;
+};
+
+/**
+ * Schedules the next probe, if there is a probe function.
+ *
+ * @private
+ */
+CircuitBreaker.prototype._scheduleProbe = function() {
+    if (! this.probe) return;
+    this._probeTimer = setTimeout(() => {
+        this._probeTimer = undefined;
+        new Promise((resolve) => resolve(this.probe())).catch(() => false).
+            then((online) => {
+                if (! this.isOpen()) return;
+                if (online) {
+                    this.close();
+                } else if (! this._probeTimer) {
+                    this._scheduleProbe();
+                }
+            });
+    }, this.options.probeInterval);
+    // probing alone shouldn't keep the process running
+    if (this._probeTimer.unref) this._probeTimer.unref();
+};
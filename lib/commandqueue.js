@@ -0,0 +1,147 @@
+"use strict";
+
+/** @module */
+module.exports = CommandQueue;
+
+var util = require('util'),
+    EventEmitter = require('events');
+
+/**
+ * @const {object} - Default options for command queues.
+ * @default
+ */
+const DEFAULT_OPTIONS = {
+    concurrency: 1,
+    readPriority: 1,
+    writePriority: 0
+};
+
+/**
+ * A queue for commands (API calls) to be sent through a {@link WirelessTagManager}.
+ * Tag managers can process only a limited number of commands at a time, and
+ * sending them too many at once results in errors such as
+ * [DuplicateEthCmdError]{@link WirelessTagPlatform.DuplicateEthCmdError} and
+ * [TagManagerTimedOutError]{@link WirelessTagPlatform.TagManagerTimedOutError}.
+ *
+ * Commands with higher priority are run first. Commands with the same
+ * priority are run in the order in which they were queued.
+ *
+ * A user will not normally need to create instances directly; each tag
+ * manager object has one, and {@link WirelessTagPlatform.callAPI} queues
+ * API calls going through a tag manager automatically.
+ *
+ * @param {object} [options] - see [DEFAULT_OPTIONS]{@link module:lib/commandqueue~DEFAULT_OPTIONS}
+ *          for defaults
+ * @param {number} [options.concurrency] - the maximum number of commands
+ *          to run at the same time
+ * @param {number} [options.readPriority] - the priority of commands that
+ *          only read data
+ * @param {number} [options.writePriority] - the priority of commands that
+ *          change data or actuate the tag manager or a tag
+ *
+ * @class
+ * @alias CommandQueue
+ * @since 0.8.0
+ *
+ * @property {number} length - the number of commands waiting to be run
+ * @property {number} active - the number of commands currently running
+ */
+function CommandQueue(options) {
+    EventEmitter.call(this);
+    /** @member {object} - the options in effect for this queue */
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this._pending = [];
+    this._active = 0;
+    Object.defineProperty(this, "length", {
+        enumerable: true,
+        get: function() { return this._pending.length }
+    });
+    Object.defineProperty(this, "active", {
+        enumerable: true,
+        get: function() { return this._active }
+    });
+}
+util.inherits(CommandQueue, EventEmitter);
+
+/**
+ * Length event. Emitted whenever the number of waiting or running commands
+ * changes. Listeners are passed the number of waiting commands, and the
+ * number of running commands.
+ *
+ * @event CommandQueue#length
+ * @type {number}
+ */
+
+/**
+ * Queues the given command, and runs it once all commands queued before
+ * with the same or higher priority have started, and the number of
+ * running commands permits.
+ *
+ * @param {function} command - the command to run, expected to return a
+ *          promise
+ * @param {number} [priority] - the priority of the command; defaults to
+ *          the priority for writes
+ * @fires CommandQueue#length
+ * @returns {Promise} resolves or rejects with the promise returned by the
+ *          command, once it completes
+ */
+CommandQueue.prototype.push = function(command, priority) {
+    if (priority === undefined) priority = this.options.writePriority;
+    return new Promise((resolve, reject) => {
+        let item = {
+            command: command,
+            priority: priority,
+            resolve: resolve,
+            reject: reject
+        };
+        // insert after the last item with the same or higher priority
+        let i = this._pending.length;
+        while (i > 0 && this._pending[i - 1].priority < priority) i--;
+        this._pending.splice(i, 0, item);
+        this.emit('length', this.length, this.active);
+        this._next();
+    });
+};
+
+/**
+ * Determines the priority for the given API endpoint, depending on whether
+ * it only reads data or not.
+ *
+ * @param {string} uri - the URI of the API endpoint
+ * @returns {number}
+ */
+CommandQueue.prototype.priorityFor = function(uri) {
+    return isReadOnlyCall(uri) ?
+        this.options.readPriority : this.options.writePriority;
+};
+
+/**
+ * Starts as many waiting commands as the concurrency limit permits.
+ *
+ * @private
+ */
+CommandQueue.prototype._next = function() {
+    while (this._active < this.options.concurrency && this._pending.length) {
+        let item = this._pending.shift();
+        this._active++;
+        this.emit('length', this.length, this.active);
+        Promise.resolve().then(item.command).then(
+            item.resolve, item.reject
+        ).then(() => {
+            this._active--;
+            this.emit('length', this.length, this.active);
+            this._next();
+        });
+    }
+};
+
+/**
+ * Tests whether the API endpoint with the given URI only reads data.
+ *
+ * @param {string} uri
+ * @returns {boolean}
+ * @private
+ */
+function isReadOnlyCall(uri) {
+    return (/\/(Get|Load|IsSignedIn)\w*$/).test(uri);
+}
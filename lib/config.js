@@ -0,0 +1,303 @@
+"use strict";
+
+/* eslint-disable no-sync */
+
+/**
+ * Reading and validating configuration files. A configuration file is a
+ * JSON object whose keys are options for the {@link WirelessTagPlatform}
+ * constructor. It may in addition define named profiles (key `profiles`),
+ * each an object with its own such options, which override those given
+ * at the top level when the profile is selected. Key `defaultProfile`
+ * names the profile to select if none is requested. Key `credentialsFile`
+ * names a [credential file]{@link module:lib/credentials}.
+ *
+ * For example:
+ * ```json
+ * {
+ *   "retryPolicy": { "retries": 3 },
+ *   "defaultProfile": "home",
+ *   "profiles": {
+ *     "home": { "username": "me@example.com", "password": "secret" },
+ *     "staging": {
+ *       "apiBaseURI": "https://staging.example.com",
+ *       "bearer": "abcd1234"
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * A user will not normally need to use this module directly; instead it
+ * is used by {@link WirelessTagPlatform.loadConfig}.
+ *
+ * @module lib/config
+ * @since 0.8.0
+ */
+
+module.exports = {
+    readFile: readFile,
+    validate: validate,
+    selectProfile: selectProfile,
+    checkPermissions: checkPermissions,
+    hasSecrets: hasSecrets
+};
+
+var fs = require('fs'),
+    url = require('url'),
+    ConfigError = require('./error/ConfigError');
+
+/**
+ * The expected types of the options that may be given in a configuration
+ * file or profile. Options not listed here are passed through unchecked.
+ *
+ * @const {Object}
+ * @private
+ */
+const OPTION_TYPES = {
+    username: 'string',
+    password: 'string',
+    bearer: 'string',
+    apiBaseURI: 'uri',
+    transport: 'string',
+    retryPolicy: 'object',
+    commandQueue: 'object|boolean',
+    circuitBreaker: 'object|boolean',
+    autoReconnect: 'boolean',
+    readOnlyTagManagers: 'string[]',
+    redactKeys: 'string[]',
+    recording: 'object',
+    credentialsFile: 'string',
+    proxy: 'string|boolean',
+    ca: 'string|string[]',
+    rejectUnauthorized: 'boolean'
+};
+
+/**
+ * @const {string[]} - The options whose values are secrets that should
+ *                     not be stored in a file readable by other users.
+ * @private
+ */
+const SECRET_KEYS = ['password', 'bearer'];
+
+/**
+ * Reads, parses, and validates the given configuration file.
+ *
+ * @param {string} file - the path of the file
+ * @param {boolean} [required] - whether a missing file is an error; if
+ *          false (the default), an empty configuration is returned for it
+ * @returns {Object} the parsed configuration
+ * @throws {WirelessTagPlatform.ConfigError} if the file is required but
+ *          missing, is not valid JSON, or fails validation
+ */
+function readFile(file, required) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        if (required) throw new ConfigError("file does not exist", file);
+        return {};
+    }
+    let config;
+    try {
+        config = JSON.parse(content);
+    } catch (err) {
+        throw new ConfigError("not valid JSON (" + err.message + ")", file);
+    }
+    validate(config, file);
+    return config;
+}
+
+/**
+ * Validates the given configuration, including any profiles it defines.
+ *
+ * @param {Object} config - the configuration
+ * @param {string} [file] - the path of the file it was read from, for
+ *          error messages
+ * @throws {WirelessTagPlatform.ConfigError} if validation fails
+ */
+function validate(config, file) {
+    if (! isObject(config)) {
+        throw new ConfigError("expected a JSON object", file);
+    }
+    validateOptions(config, file, "");
+    if (config.defaultProfile !== undefined
+        && 'string' !== typeof config.defaultProfile) {
+        throw new ConfigError("expected a string", file, "defaultProfile");
+    }
+    if (config.profiles === undefined) {
+        if (config.defaultProfile !== undefined) {
+            throw new ConfigError("no profiles are defined", file,
+                                  "defaultProfile");
+        }
+        return;
+    }
+    if (! isObject(config.profiles)) {
+        throw new ConfigError("expected an object", file, "profiles");
+    }
+    Object.keys(config.profiles).forEach((name) => {
+        let profile = config.profiles[name];
+        let prefix = "profiles." + name;
+        if (! isObject(profile)) {
+            throw new ConfigError("expected an object", file, prefix);
+        }
+        if (profile.profiles !== undefined
+            || profile.defaultProfile !== undefined) {
+            throw new ConfigError("profiles cannot be nested", file, prefix);
+        }
+        validateOptions(profile, file, prefix + ".");
+    });
+    if (config.defaultProfile !== undefined
+        && Object.keys(config.profiles).indexOf(config.defaultProfile) < 0) {
+        throw new ConfigError("profile '" + config.defaultProfile
+                              + "' is not defined", file, "defaultProfile");
+    }
+}
+
+/**
+ * Obtains the options for the given profile from the given configuration.
+ * The options at the top level of the configuration apply to all
+ * profiles, and are overridden by those of the selected profile.
+ *
+ * @param {Object} config - the (validated) configuration
+ * @param {string} [profile] - the name of the profile to select; if
+ *          omitted, the default profile is selected if one is defined,
+ *          and otherwise only the top-level options are returned
+ * @param {string} [file] - the path of the file the configuration was
+ *          read from, for error messages
+ * @returns {Object} the options
+ * @throws {WirelessTagPlatform.ConfigError} if the requested profile is
+ *          not defined
+ */
+function selectProfile(config, profile, file) {
+    let options = {};
+    Object.keys(config).forEach((key) => {
+        if (key !== 'profiles' && key !== 'defaultProfile') {
+            options[key] = config[key];
+        }
+    });
+    let profiles = config.profiles || {};
+    if (! profile) profile = config.defaultProfile;
+    if (! profile) return options;
+    if (Object.keys(profiles).indexOf(profile) < 0) {
+        let names = Object.keys(profiles);
+        throw new ConfigError("profile '" + profile + "' is not defined"
+                              + (names.length > 0 ?
+                                 " (available: " + names.join(", ") + ")" :
+                                 ""),
+                              file);
+    }
+    Object.keys(profiles[profile]).forEach((key) => {
+        options[key] = profiles[profile][key];
+    });
+    return options;
+}
+
+/**
+ * Checks that the given file, which holds secrets such as passwords, is
+ * not accessible by users other than its owner. On Windows, where file
+ * modes do not reflect access rights, the check is skipped.
+ *
+ * @param {string} file - the path of the file
+ * @param {string} [policy] - what to do if the file is accessible by other
+ *          users: `warn` (the default) emits a process warning, `refuse`
+ *          throws an error, and `ignore` skips the check
+ * @throws {WirelessTagPlatform.ConfigError} if the policy is `refuse` and
+ *          the file is accessible by other users
+ */
+function checkPermissions(file, policy) {
+    policy = policy || 'warn';
+    if (['warn', 'refuse', 'ignore'].indexOf(policy) < 0) {
+        throw new TypeError("invalid permissions policy '" + policy + "'");
+    }
+    if (policy === 'ignore' || process.platform === 'win32') return;
+    let mode = fs.statSync(file).mode & 0o777;
+    if ((mode & 0o077) === 0) return;
+    let msg = "file holds secrets but is accessible by other users (mode "
+        + ("000" + mode.toString(8)).slice(-4) + "); "
+        + "restrict it with chmod 600";
+    if (policy === 'refuse') throw new ConfigError(msg, file);
+    msg = "Insecure configuration in " + file + ": " + msg;
+    if (process.emitWarning) {
+        process.emitWarning(msg, 'SecurityWarning');
+    } else {
+        // Node.js before v6 has no process warnings
+        console.warn("SecurityWarning: " + msg); // eslint-disable-line no-console
+    }
+}
+
+/**
+ * Tests whether the given configuration, or any of its profiles, includes
+ * secrets such as passwords in plain text.
+ *
+ * @param {Object} config - the (validated) configuration
+ * @returns {boolean}
+ */
+function hasSecrets(config) {
+    let profiles = config.profiles || {};
+    return [config].
+        concat(Object.keys(profiles).map((name) => profiles[name])).
+        some((options) => SECRET_KEYS.some((key) => Boolean(options[key])));
+}
+
+/**
+ * Checks the types of the options in the given object. Errors name only
+ * the option and the types, as the value may be a secret.
+ *
+ * @private
+ */
+function validateOptions(options, file, prefix) {
+    Object.keys(OPTION_TYPES).forEach((key) => {
+        let value = options[key];
+        if (value === undefined) return;
+        let expected = OPTION_TYPES[key];
+        if (! hasType(value, expected)) {
+            throw new ConfigError("expected "
+                                  + expected.split('|').join(" or ")
+                                  + ", got " + typeName(value),
+                                  file, prefix + key);
+        }
+    });
+}
+
+/**
+ * Obtains the name of the type of the given value for error messages.
+ *
+ * @private
+ */
+function typeName(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Tests whether the given value has the given type as used in
+ * `OPTION_TYPES`.
+ *
+ * @private
+ */
+function hasType(value, type) {
+    return type.split('|').some((t) => {
+        switch (t) {
+        case 'object':
+            return isObject(value);
+        case 'string[]':
+            return Array.isArray(value)
+                && value.every((v) => 'string' === typeof v);
+        case 'uri': {
+            if ('string' !== typeof value) return false;
+            let protocol = url.parse(value).protocol;
+            return protocol === 'http:' || protocol === 'https:';
+        }
+        default:
+            return t === typeof value;
+        }
+    });
+}
+
+/** @private */
+function isObject(value) {
+    return value !== null
+        && 'object' === typeof value
+        && ! Array.isArray(value);
+}
+
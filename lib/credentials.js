@@ -0,0 +1,219 @@
+"use strict";
+
+/* eslint-disable no-sync */
+
+/**
+ * Reading and writing credential files, which hold the credentials for
+ * signing in to the cloud API (`username` and `password`, or `bearer`),
+ * optionally encrypted with a passphrase.
+ *
+ * An encrypted credential file is a JSON object with key `format` set to
+ * [FORMAT]{@link module:lib/credentials~FORMAT}, and the credentials
+ * encrypted with AES-256-GCM, using a key derived from the passphrase with
+ * scrypt. An unencrypted credential file simply is a JSON object with the
+ * credentials.
+ *
+ * A user will not normally need to use this module directly; instead
+ * credential files are written with {@link WirelessTagPlatform.writeCredentials},
+ * and read by {@link WirelessTagPlatform.loadConfig} if the configuration
+ * names one (key `credentialsFile`).
+ *
+ * @module lib/credentials
+ * @since 0.8.0
+ */
+
+var fs = require('fs'),
+    crypto = require('crypto'),
+    ConfigError = require('./error/ConfigError');
+
+/**
+ * @const {string} - The value of key `format` identifying an encrypted
+ *                   credential file.
+ * @default
+ */
+const FORMAT = "wirelesstags-credentials-v1";
+
+/**
+ * @const {Object} - The scrypt parameters for deriving the key.
+ * @private
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+module.exports = {
+    readFile: readFile,
+    writeFile: writeFile,
+    encrypt: encrypt,
+    decrypt: decrypt,
+    isEncrypted: isEncrypted,
+    FORMAT: FORMAT
+};
+
+/**
+ * Encrypts the given credentials with the given passphrase.
+ *
+ * @param {Object} credentials - the credentials, with keys `username`
+ *          and `password`, or `bearer`
+ * @param {string} passphrase
+ * @returns {Object} the encrypted credentials, suitable for writing as JSON
+ * @throws {WirelessTagPlatform.ConfigError} if Node.js is too old for
+ *          encrypting them
+ */
+function encrypt(credentials, passphrase) {
+    checkCredentials(credentials);
+    if (! passphrase || 'string' !== typeof passphrase) {
+        throw new TypeError("a passphrase is required for encrypting credentials");
+    }
+    requireScrypt();
+    let salt = crypto.randomBytes(16);
+    let iv = crypto.randomBytes(12);
+    let key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_PARAMS);
+    let cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    let data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'),
+                              cipher.final()]);
+    return {
+        format: FORMAT,
+        kdf: Object.assign({ name: 'scrypt', salt: salt.toString('base64') },
+                           SCRYPT_PARAMS),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypts the given encrypted credentials with the given passphrase.
+ *
+ * @param {Object} encrypted - the encrypted credentials, as returned by
+ *          [encrypt()]{@link module:lib/credentials~encrypt}
+ * @param {string} passphrase
+ * @param {string} [file] - the path of the file the encrypted credentials
+ *          were read from, for error messages
+ * @returns {Object} the credentials
+ * @throws {WirelessTagPlatform.ConfigError} if the passphrase is wrong, or
+ *          the encrypted credentials are corrupted, or if Node.js is too
+ *          old for decrypting them
+ */
+function decrypt(encrypted, passphrase, file) {
+    requireScrypt(file);
+    let plain;
+    try {
+        let kdf = encrypted.kdf;
+        let key = crypto.scryptSync(String(passphrase),
+                                    Buffer.from(kdf.salt, 'base64'),
+                                    32,
+                                    { N: kdf.N, r: kdf.r, p: kdf.p });
+        let decipher = crypto.createDecipheriv(
+            'aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+        plain = Buffer.concat([decipher.update(encrypted.data, 'base64'),
+                               decipher.final()]).toString('utf8');
+    } catch (err) {
+        throw new ConfigError("cannot decrypt credentials "
+                              + "(wrong passphrase, or file is corrupted)",
+                              file);
+    }
+    return JSON.parse(plain);
+}
+
+/**
+ * Tests whether the given object holds encrypted credentials.
+ *
+ * @param {Object} obj
+ * @returns {boolean}
+ */
+function isEncrypted(obj) {
+    return Boolean(obj) && obj.format === FORMAT;
+}
+
+/**
+ * Reads the given credential file.
+ *
+ * @param {string} file - the path of the file
+ * @returns {Object} the credentials, or if the file is encrypted, the
+ *          encrypted credentials
+ * @throws {WirelessTagPlatform.ConfigError} if the file does not exist,
+ *          or is malformed
+ */
+function readFile(file) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        throw new ConfigError("credential file does not exist", file);
+    }
+    let obj;
+    try {
+        obj = JSON.parse(content);
+    } catch (err) {
+        throw new ConfigError("not valid JSON (" + err.message + ")", file);
+    }
+    if (isEncrypted(obj)) {
+        ['kdf', 'iv', 'tag', 'data'].forEach((key) => {
+            if (! obj[key]) {
+                throw new ConfigError("encrypted credentials lack value",
+                                      file, key);
+            }
+        });
+        return obj;
+    }
+    try {
+        checkCredentials(obj);
+    } catch (err) {
+        throw new ConfigError(err.message, file);
+    }
+    return obj;
+}
+
+/**
+ * Writes the given credentials to the given file, encrypted with the given
+ * passphrase. The file is made readable and writable only by its owner.
+ *
+ * @param {string} file - the path of the file; it is overwritten if it
+ *          exists
+ * @param {Object} credentials - the credentials, with keys `username`
+ *          and `password`, or `bearer`
+ * @param {string} passphrase
+ * @returns {string} the path of the file
+ */
+function writeFile(file, credentials, passphrase) {
+    let content = JSON.stringify(encrypt(credentials, passphrase), null, 2);
+    fs.writeFileSync(file, content + "\n", { mode: 0o600 });
+    // the mode given above is not applied if the file already existed
+    fs.chmodSync(file, 0o600);
+    return file;
+}
+
+/**
+ * Checks that the given object holds credentials.
+ *
+ * @private
+ */
+function checkCredentials(credentials) {
+    if ((! credentials) || ('object' !== typeof credentials)) {
+        throw new TypeError("credentials must be an object");
+    }
+    if (! (credentials.bearer
+           || (credentials.username && credentials.password))) {
+        throw new TypeError("credentials must include username and "
+                            + "password, or bearer");
+    }
+}
+
+/**
+ * Ensures that the Node.js version supports deriving keys with scrypt
+ * (`crypto.scryptSync`, available since Node.js 10.5), which encrypted
+ * credential files require. The rest of the library runs on older
+ * versions too.
+ *
+ * @param {string} [file] - the path of the credential file, for the error
+ * @throws {WirelessTagPlatform.ConfigError} if scrypt is not supported
+ * @private
+ */
+function requireScrypt(file) {
+    if ('function' !== typeof crypto.scryptSync) {
+        throw new ConfigError("encrypted credential files require Node.js "
+                              + "10.5 or later, found " + process.version,
+                              file);
+    }
+}
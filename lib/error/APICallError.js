@@ -1,16 +1,18 @@
 "use strict";
 
 var util = require('util');
+var redact = require('../redact');
 
 function APICallError(msg, apiCallProps) {
     Error.captureStackTrace(this, this.constructor);
     this.name = this.constructor.name;
     let apiCall = apiCallProps || {};
     this.apiStatusCode = apiCall.statusCode;
-    this.requestBody = apiCall.requestBody;
+    // hide credentials and the like from the error and its message
+    this.requestBody = redact.redact(apiCall.requestBody, apiCall.redactKeys);
     this.apiURL = apiCall.url;
     this.message =
-        (msg ? msg + "\n" : "")
+        (msg ? redact.redactText(msg, apiCall.redactKeys) + "\n" : "")
         + "Calling "
         + (this.apiURL ? this.apiURL : "WirelessTag API")
         + (this.requestBody ?
@@ -0,0 +1,18 @@
+"use strict";
+
+var util = require('util');
+
+function ConfigError(msg, file, key) {
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.file = file;
+    this.key = key;
+    this.message =
+        "Invalid configuration"
+        + (this.file ? " in " + this.file : "")
+        + (this.key ? " at '" + this.key + "'" : "")
+        + (msg ? ": " + msg : "");
+}
+util.inherits(ConfigError, Error);
+
+module.exports = ConfigError;
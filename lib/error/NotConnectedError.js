@@ -0,0 +1,17 @@
+"use strict";
+
+var util = require('util');
+
+function NotConnectedError(msg, state, uri) {
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.state = state;
+    this.url = uri;
+    this.message =
+        (msg ? msg + "\n" : "")
+        + "Not connected to the cloud" + (state ? " (state '" + state + "')" : "")
+        + (uri ? ", not calling " + uri : "") + ".";
+}
+util.inherits(NotConnectedError, Error);
+
+module.exports = NotConnectedError;
@@ -0,0 +1,17 @@
+"use strict";
+
+var util = require('util');
+
+function OperationAbortedError(msg, opName, reason) {
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.operation = opName;
+    this.reason = reason;
+    this.message =
+        (msg ? msg + "\n" : "")
+        + "Operation" + (this.operation ? " '" + this.operation + "'" : "")
+        + " was aborted.";
+}
+util.inherits(OperationAbortedError, Error);
+
+module.exports = OperationAbortedError;
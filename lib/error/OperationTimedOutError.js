@@ -0,0 +1,16 @@
+"use strict";
+
+var util = require('util');
+var OperationAbortedError = require('./OperationAbortedError');
+
+function OperationTimedOutError(msg, opName, timeout) {
+    OperationAbortedError.call(this, msg, opName);
+    this.name = this.constructor.name;
+    this.timeout = timeout;
+    this.message = this.message.replace(
+        " was aborted.",
+        " timed out after " + timeout + " ms.");
+}
+util.inherits(OperationTimedOutError, OperationAbortedError);
+
+module.exports = OperationTimedOutError;
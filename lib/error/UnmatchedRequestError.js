@@ -0,0 +1,20 @@
+"use strict";
+
+var util = require('util');
+
+function UnmatchedRequestError(msg, request, file) {
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.request = request;
+    this.file = file;
+    this.message =
+        (msg ? msg + "\n" : "")
+        + "No recorded response"
+        + (this.file ? " in " + this.file : "")
+        + " matches request to " + request.endpoint
+        + (request.body === undefined ?
+           "" : " with body " + JSON.stringify(request.body));
+}
+util.inherits(UnmatchedRequestError, Error);
+
+module.exports = UnmatchedRequestError;
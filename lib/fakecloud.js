@@ -0,0 +1,1071 @@
+"use strict";
+
+/** @module */
+module.exports = FakeCloud;
+
+var http = require('http'),
+    url = require('url'),
+    util = require('util'),
+    crypto = require('crypto'),
+    EventEmitter = require('events'),
+    soap = require('soap'),
+    u = require('./util');
+
+/**
+ * @const {string} - the path of the SOAP endpoint for polling for updates
+ * @default
+ */
+const COMET_PATH = "/ethComet.asmx";
+/**
+ * @const {string} - the target namespace of the SOAP endpoint for polling
+ * @default
+ */
+const COMET_NAMESPACE = "http://mytaglist.com/ethComet";
+/**
+ * @const {number} - the time (in milliseconds) for which a poll for
+ *                   updates is held open if there are no updates
+ * @default
+ */
+const POLL_TIMEOUT = 30000;
+/**
+ * @const {string} - the name of the cookie holding the session
+ * @default
+ */
+const SESSION_COOKIE = "WTAG_SESSION";
+/**
+ * @const {object} - the account that can sign in if none are configured
+ * @default
+ */
+const DEFAULT_ACCOUNT = {
+    username: "user@example.com",
+    password: "password"
+};
+/**
+ * @const {object[]} - the population of tag managers and their tags if
+ *                     none is configured
+ * @default
+ */
+const DEFAULT_TAG_MANAGERS = [{
+    name: "Fake Tag Manager",
+    tags: [{ name: "Living Room", tagType: 13 },
+           { name: "Basement", tagType: 32 }]
+}];
+
+// notification settings common to most monitoring configurations
+const notifyDefaults = {
+    email: "",
+    apnsSound: null,
+    apns_pause: 0,
+    send_email: false,
+    send_tweet: false,
+    beep_pc: false,
+    beep_pc_tts: false,
+    beep_pc_vibrate: false,
+    beep_pc_loop: false
+};
+
+// default monitoring configurations, by kind
+const configDefaults = {
+    temp: Object.assign({ __type: "MyTagList.TempSensorConfig",
+                          th_low: 10, th_low_delay: 0,
+                          th_high: 30, th_high_delay: 0,
+                          th_window: 1,
+                          interval: 300,
+                          temp_unit: 0,
+                          threshold_q: 0.5 }, notifyDefaults),
+    cap: Object.assign({ __type: "MyTagList.CapSensorConfig",
+                         th_low: 25, th_low_delay: 0,
+                         th_high: 65, th_high_delay: 0,
+                         th_window: 2,
+                         interval: 16,
+                         cal1: 0, calRaw1: 0, cal2: 100, calRaw2: 100 },
+                       notifyDefaults),
+    water: Object.assign({ __type: "MyTagList.WaterSensorConfig",
+                           notify_open: false }, notifyDefaults),
+    light: Object.assign({ __type: "MyTagList.LightSensorConfig",
+                           lux_th_low: 10, th_low_delay: 0,
+                           lux_th_high: 1000, th_high_delay: 0,
+                           lux_th_window: 5,
+                           th_monitor_interval: 300,
+                           beep_tag: false }, notifyDefaults),
+    motion: Object.assign({ __type: "MyTagList.MotionSensorConfig",
+                            sensitivity: 85, sensitivity2: 85,
+                            interval: 3,
+                            door_mode: false,
+                            door_mode_angle: 45,
+                            door_mode_delay: 0,
+                            send_email_on_close: false,
+                            auto_reset_delay: 300,
+                            hmc_timeout_mode: false,
+                            silent_arming: false,
+                            az_x: 0, az_y: 0, az_z: 0,
+                            az2_x: 0, az2_y: 0, az2_z: 0 }, notifyDefaults),
+    outofrange: { __type: "MyTagList.OutOfRangeConfig",
+                  email_oor: "",
+                  apnsSound: null,
+                  send_email_oor: false,
+                  beep_pc_oor: false,
+                  beep_pc_tts_oor: false,
+                  beep_pc_vibrate_oor: false },
+    battery: Object.assign({ __type: "MyTagList.LowBatteryConfig",
+                             enabled: false,
+                             threshold: 2.5,
+                             notify_every: 14400 }, notifyDefaults)
+};
+
+/**
+ * An in-process fake of the Wireless Tag cloud. It serves the JSON API
+ * endpoints this library calls, as well as the SOAP endpoint polled by
+ * the [polling updater]{@link module:plugins/polling-updater}, from an
+ * in-memory population of tag managers and tags. Pointing the
+ * `apiBaseURI` option of {@link WirelessTagPlatform} (and of the polling
+ * updater, if not created with the platform) to the URI to which
+ * [listen()]{@link FakeCloud#listen} resolves allows developing, demoing,
+ * and testing without an account, and without network access.
+ *
+ * Actions such as arming and disarming sensors, and saving monitoring
+ * configurations, change the data of the fake tags as they do in the
+ * real cloud, and changed tags are returned by subsequent polls for
+ * updates. The data of fake tags can also be changed directly through
+ * [updateTag()]{@link FakeCloud#updateTag}.
+ *
+ * Tag managers and tags are given as objects with the properties of the
+ * data returned by the cloud API. Those not given (including `mac`,
+ * `slaveId`, and `uuid`) are filled in with defaults.
+ *
+ * @param {object} [options]
+ * @param {object[]} [options.accounts] - the accounts that can sign in,
+ *          each with properties `username` and `password`, and optionally
+ *          `bearer` (a token accepted for authenticating calls instead),
+ *          `tagManagers` (the MACs of the tag managers the account can
+ *          access, default is all); defaults to
+ *          [DEFAULT_ACCOUNT]{@link module:lib/fakecloud~DEFAULT_ACCOUNT}
+ * @param {object[]} [options.tagManagers] - the tag managers, each
+ *          optionally with property `tags` for the list of its tags, and
+ *          property `owner` for the username of the account owning it,
+ *          which makes it shared with (mirrored to) the other accounts
+ *          that can access it, as reported with polled tag data; the
+ *          cloud API doesn't report the owner itself; defaults to
+ *          [DEFAULT_TAG_MANAGERS]{@link module:lib/fakecloud~DEFAULT_TAG_MANAGERS}
+ * @param {number} [options.pollTimeout] - the time (in milliseconds) for
+ *          which a poll for updates is held open if there are no updates,
+ *          default is [POLL_TIMEOUT]{@link module:lib/fakecloud~POLL_TIMEOUT}
+ * @param {function} [options.now] - the clock of the fake cloud, see
+ *          {@link FakeCloud#now}
+ *
+ * @class
+ * @alias FakeCloud
+ * @since 0.8.0
+ */
+function FakeCloud(options) {
+    EventEmitter.call(this);
+    options = options || {};
+    /** @member {object[]} - the accounts that can sign in */
+    this.accounts = (options.accounts || [DEFAULT_ACCOUNT]).map(
+        (a) => Object.assign({}, a));
+    /** @member {number} - see option `pollTimeout` */
+    this.pollTimeout = options.pollTimeout || POLL_TIMEOUT;
+    /**
+     * @member {function} - returns the current time in milliseconds since
+     *          the epoch, by which the fake cloud timestamps tag data;
+     *          default is `Date.now`, see also option `now`
+     */
+    this.now = options.now || Date.now;
+    /** @member {string} - the base URI once listening, otherwise undefined */
+    this.baseURI = undefined;
+    this._managers = [];
+    this._lags = new Map();
+    this._sessions = new Map();
+    this._polls = [];
+    this._sockets = new Set();
+    (options.tagManagers || DEFAULT_TAG_MANAGERS).forEach(
+        (m) => this.addTagManager(m));
+}
+util.inherits(FakeCloud, EventEmitter);
+
+/**
+ * Request event. Emitted for every call of a JSON API endpoint.
+ *
+ * @event FakeCloud#request
+ * @type {object}
+ * @property {string} endpoint - the path of the endpoint
+ * @property {object} body - the body of the request
+ */
+/**
+ * Update event. Emitted whenever the data of a fake tag changes.
+ *
+ * @event FakeCloud#update
+ * @type {object}
+ * @property {object} tag - the data of the tag
+ * @property {object} tagManager - the data of the tag's tag manager
+ */
+
+/**
+ * Starts serving the fake cloud.
+ *
+ * @param {number} [port] - the port on which to listen; by default an
+ *          unused one is chosen
+ * @param {string} [host] - the address on which to listen, default is
+ *          the loopback interface
+ * @returns {Promise} Resolves to the base URI of the fake cloud.
+ */
+FakeCloud.prototype.listen = function(port, host) {
+    host = host || '127.0.0.1';
+    this._server = http.createServer(this._handleRequest.bind(this));
+    this._server.on('connection', (socket) => {
+        this._sockets.add(socket);
+        socket.on('close', () => this._sockets.delete(socket));
+    });
+    return new Promise((resolve, reject) => {
+        this._server.once('error', reject);
+        this._server.listen(port || 0, host, () => {
+            let address = this._server.address();
+            this.baseURI = "http://" + host + ":" + address.port;
+            // the WSDL has to point to where we actually listen
+            soap.listen(this._server,
+                        COMET_PATH,
+                        this._cometServices(),
+                        cometWSDL(this.baseURI + COMET_PATH));
+            // the SOAP server hooks itself in once it has processed the WSDL
+            setImmediate(() => resolve(this.baseURI));
+        });
+    });
+};
+
+/**
+ * Stops serving the fake cloud. Polls for updates still open are answered
+ * with an empty list of updates, and open connections are closed.
+ *
+ * @returns {Promise} Resolves when the server has closed.
+ */
+FakeCloud.prototype.close = function() {
+    this._polls.slice().forEach((poll) => poll.finish([]));
+    if (! this._server) return Promise.resolve();
+    let server = this._server;
+    this._server = undefined;
+    this.baseURI = undefined;
+    return new Promise((resolve) => {
+        server.close(() => resolve());
+        // let answers to polls go out before dropping connections
+        setImmediate(() => this._sockets.forEach((s) => s.destroy()));
+    });
+};
+
+/**
+ * Expires all current sessions, as the real cloud does after some time.
+ * Subsequent calls fail as not authenticated until signing in again.
+ * (Sessions of bearer tokens are started anew with the next call.)
+ */
+FakeCloud.prototype.expireSessions = function() {
+    // calls already under way hold on to their session
+    this._sessions.forEach((session) => { session.expired = true });
+    this._sessions.clear();
+};
+
+/**
+ * Adds a tag manager (and its tags) to the population.
+ *
+ * @param {object} [mgrData] - the data of the tag manager, optionally with
+ *          property `tags` for the list of its tags, and property `owner`
+ *          (see option `tagManagers` of {@link FakeCloud})
+ * @returns {object} the data of the added tag manager
+ */
+FakeCloud.prototype.addTagManager = function(mgrData) {
+    mgrData = Object.assign({}, mgrData);
+    let tags = mgrData.tags || [];
+    let owner = mgrData.owner;
+    delete mgrData.tags;
+    delete mgrData.owner;
+    let dbid = this._managers.length + 1;
+    let mac = mgrData.mac || ("0A1B2C3D4E" + ("0" + dbid.toString(16)).slice(-2)).toUpperCase();
+    let manager = {
+        data: Object.assign({
+            __type: "MyTagList.TagManagerEntry",
+            name: "Tag Manager " + dbid,
+            mac: mac,
+            radioId: mac.slice(-4),
+            rev: 0,
+            wirelessConfig: {},
+            online: true,
+            selected: false,
+            dbid: dbid
+        }, mgrData),
+        owner: owner,
+        tags: [],
+        configs: new Map()
+    };
+    this._managers.push(manager);
+    tags.forEach((t) => this.addTag(manager.data.mac, t));
+    return manager.data;
+};
+
+/**
+ * Adds a tag to the given tag manager.
+ *
+ * @param {string} mac - the MAC of the tag manager
+ * @param {object} [tagData] - the data of the tag
+ * @returns {object} the data of the added tag
+ */
+FakeCloud.prototype.addTag = function(mac, tagData) {
+    let manager = this._manager(mac);
+    if (! manager) throw new Error("no such tag manager: " + mac);
+    let tag = tagRecord(manager, tagData || {}, this.now());
+    manager.tags.push(tag);
+    return tag;
+};
+
+/**
+ * Removes the tag with the given UUID from the population, such as to
+ * simulate it being unpaired from its tag manager.
+ *
+ * @param {string} uuid - the UUID of the tag
+ * @returns {object} the data of the removed tag, or undefined if there is
+ *          no such tag
+ */
+FakeCloud.prototype.removeTag = function(uuid) {
+    let found = this._findTag(uuid);
+    if (! found) return undefined;
+    found.manager.tags.splice(found.manager.tags.indexOf(found.tag), 1);
+    return found.tag;
+};
+
+/**
+ * Obtains the data of the tag manager with the given MAC.
+ *
+ * @param {string} mac
+ * @returns {object} the data of the tag manager, or undefined if there
+ *          is no such tag manager
+ */
+FakeCloud.prototype.getTagManager = function(mac) {
+    let manager = this._manager(mac);
+    return manager ? manager.data : undefined;
+};
+
+/**
+ * Obtains the data of the tag with the given UUID.
+ *
+ * @param {string} uuid
+ * @returns {object} the data of the tag, or undefined if there is no such
+ *          tag
+ */
+FakeCloud.prototype.getTag = function(uuid) {
+    let found = this._findTag(uuid);
+    return found ? found.tag : undefined;
+};
+
+/**
+ * Changes the data of the tag with the given UUID, such as to simulate
+ * new sensor readings. The tag's `lastComm` timestamp is set to the
+ * current time unless given, and the change is returned by subsequent
+ * polls for updates.
+ *
+ * @param {string} uuid - the UUID of the tag
+ * @param {object} changes - the properties to change
+ * @returns {object} the changed data of the tag
+ * @fires FakeCloud#update
+ */
+FakeCloud.prototype.updateTag = function(uuid, changes) {
+    let found = this._findTag(uuid);
+    if (! found) throw new Error("no such tag: " + uuid);
+    return this._changeTag(found.manager, found.tag, changes);
+};
+
+/**
+ * Invokes the given action on the data of each tag, and returns the
+ * results as an array.
+ *
+ * @param {function} [action] - the function to invoke with the data of
+ *          each tag and of its tag manager; the default returns the data
+ *          of the tag
+ * @returns {Array} the results of each invocation
+ */
+FakeCloud.prototype.eachTag = function(action) {
+    if (action === undefined) action = (tag) => tag;
+    let retVals = [];
+    this._managers.forEach((m) => m.tags.forEach((tag) => {
+        retVals.push(action(tag, m.data));
+    }));
+    return retVals;
+};
+
+/**
+ * Obtains the monitoring configuration of the given kind of the tag with
+ * the given UUID, as saved through the API, or the default if none was.
+ *
+ * @param {string} uuid - the UUID of the tag
+ * @param {string} kind - one of `temp`, `cap` (humidity and moisture),
+ *          `water`, `light`, `motion`, `outofrange`, and `battery`
+ * @returns {object} the monitoring configuration data
+ */
+FakeCloud.prototype.getMonitoringConfig = function(uuid, kind) {
+    let found = this._findTag(uuid);
+    if (! found) throw new Error("no such tag: " + uuid);
+    if (! configDefaults[kind]) {
+        throw new TypeError("invalid monitoring config kind '" + kind + "'");
+    }
+    return this._config(found.manager, found.tag, kind);
+};
+
+/**
+ * Delays the effect of the next command (such as arming or disarming a
+ * sensor) sent to the tag with the given UUID. Until the tag's data has
+ * been read the given number of times after the command, the API returns
+ * its data from before the command. This is useful for testing code that
+ * retries updating until a command takes effect (see
+ * {@link WirelessTag#retryUpdateUntil}).
+ *
+ * @param {string} uuid - the UUID of the tag
+ * @param {number} reads - the number of times the tag's data is read
+ *          before the command takes effect
+ */
+FakeCloud.prototype.delayChanges = function(uuid, reads) {
+    if (! this._findTag(uuid)) throw new Error("no such tag: " + uuid);
+    this._lags.set(uuid, { reads: reads, changes: undefined });
+};
+
+/** @private */
+FakeCloud.prototype._manager = function(mac) {
+    return this._managers.find((m) => m.data.mac === mac);
+};
+
+/** @private */
+FakeCloud.prototype._findTag = function(uuid) {
+    for (let manager of this._managers) {
+        let tag = manager.tags.find((t) => t.uuid === uuid);
+        if (tag) return { manager: manager, tag: tag };
+    }
+    return undefined;
+};
+
+/**
+ * Applies the given changes to the given tag, and queues the changed tag
+ * for being returned by polls of all sessions with access to it.
+ *
+ * @private
+ */
+FakeCloud.prototype._changeTag = function(manager, tag, changes) {
+    Object.assign(tag, { lastComm: u.dateToFILETIME(this.now()) }, changes);
+    this._sessions.forEach((session) => {
+        if (canAccess(session.account, manager)) {
+            session.updates.set(tag.uuid, manager);
+        }
+    });
+    this._polls.slice().forEach((poll) => {
+        let updates = takeUpdates(this, poll.session, poll.dbid);
+        if (updates.length > 0) poll.finish(updates);
+    });
+    this.emit('update', { tag: tag, tagManager: manager.data });
+    return tag;
+};
+
+/**
+ * Applies the changes from a command sent to the given tag, unless their
+ * effect is to be [delayed]{@link FakeCloud#delayChanges}.
+ *
+ * @private
+ */
+FakeCloud.prototype._commandTag = function(manager, tag, changes) {
+    let lag = this._lags.get(tag.uuid);
+    if (! (lag && lag.reads > 0)) return this._changeTag(manager, tag, changes);
+    lag.changes = Object.assign(lag.changes || {}, changes);
+    return tag;
+};
+
+/**
+ * Reads the data of the given tag, which lets changes from commands take
+ * effect if they were delayed.
+ *
+ * @private
+ */
+FakeCloud.prototype._readTag = function(manager, tag) {
+    let lag = this._lags.get(tag.uuid);
+    if (lag && lag.changes) {
+        lag.reads--;
+        if (lag.reads <= 0) {
+            this._lags.delete(tag.uuid);
+            // the data read is still from before the command took effect
+            let data = Object.assign({}, tag);
+            this._changeTag(manager, tag, lag.changes);
+            return data;
+        }
+    }
+    return tag;
+};
+
+/**
+ * Determines the session of the given request, if it has one.
+ *
+ * @private
+ */
+FakeCloud.prototype._session = function(req) {
+    let auth = req.headers.authorization;
+    if (auth) {
+        let token = auth.replace(/^Bearer\s+/i, '');
+        let account = this.accounts.find((a) => a.bearer === token);
+        if (! account) return undefined;
+        let key = "bearer " + token;
+        if (! this._sessions.has(key)) {
+            this._sessions.set(key, newSession(account));
+        }
+        return this._sessions.get(key);
+    }
+    let cookies = req.headers.cookie || "";
+    let match = cookies.match(new RegExp(SESSION_COOKIE + "=(\\w+)"));
+    return match ? this._sessions.get(match[1]) : undefined;
+};
+
+/**
+ * Handles requests to the JSON API endpoints.
+ *
+ * @private
+ */
+FakeCloud.prototype._handleRequest = function(req, res) {
+    let endpoint = url.parse(req.url).pathname;
+    let method = apiMethods[endpoint];
+    if (! method) {
+        res.statusCode = 404;
+        res.end();
+        return;
+    }
+    let chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        let call = {
+            endpoint: endpoint,
+            headers: req.headers,
+            session: this._session(req),
+            res: res
+        };
+        let result;
+        try {
+            let body = Buffer.concat(chunks).toString();
+            call.body = body ? JSON.parse(body) : {};
+            this.emit('request', { endpoint: endpoint, body: call.body });
+            result = { d: method(this, call) };
+            res.statusCode = 200;
+        } catch (e) {
+            result = { Message: e.message,
+                       StackTrace: "",
+                       ExceptionType: e.exceptionType || "System.Exception" };
+            res.statusCode = 500;
+        }
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(result));
+    });
+};
+
+/**
+ * Obtains the tag manager to which the given call is directed, which is
+ * the one given by the `X-Set-Mac` header, or otherwise the one selected
+ * for the session.
+ *
+ * @private
+ */
+FakeCloud.prototype._callTagManager = function(call) {
+    let session = requireSession(call);
+    let mac = call.headers['x-set-mac'] || session.mac;
+    let manager = mac ?
+        this._manager(mac) :
+        this._managers.find((m) => canAccess(session.account, m));
+    if (! (manager && canAccess(session.account, manager))) {
+        throw apiError("MyTagList.InvalidOperationException",
+                       "Tag manager " + mac + " is not available");
+    }
+    if (! manager.data.online) {
+        throw apiError("MyTagList.TagManagerOfflineException",
+                       "Tag manager " + manager.data.name + " is offline");
+    }
+    return manager;
+};
+
+/**
+ * Obtains the tag to which the given call is directed, and its manager.
+ *
+ * @private
+ */
+FakeCloud.prototype._callTag = function(call, slaveId) {
+    let manager = this._callTagManager(call);
+    if (slaveId === undefined) slaveId = call.body.id;
+    let tag = manager.tags.find((t) => t.slaveId === Number(slaveId));
+    if (! tag) {
+        throw apiError("MyTagList.InvalidOperationException",
+                       "No tag with slaveId " + slaveId
+                       + " under tag manager " + manager.data.name);
+    }
+    return { manager: manager, tag: tag };
+};
+
+/**
+ * Obtains the monitoring configuration of the given kind of the given
+ * tag, creating it from defaults if it doesn't exist yet.
+ *
+ * @private
+ */
+FakeCloud.prototype._config = function(manager, tag, kind) {
+    let configs = manager.configs.get(tag.uuid);
+    if (! configs) {
+        configs = {};
+        manager.configs.set(tag.uuid, configs);
+    }
+    if (! configs[kind]) configs[kind] = Object.assign({}, configDefaults[kind]);
+    if (kind === 'battery') {
+        // the cloud keeps these with the tag
+        Object.assign(configs[kind],
+                      { enabled: tag.enLBN, threshold: tag.LBTh });
+    }
+    return configs[kind];
+};
+
+/**
+ * Saves a monitoring configuration of the given kind for the tag to which
+ * the given call is directed, and optionally for all other tags of the
+ * same type of the same tag manager (`applyAll`), or of all tag managers
+ * (`allMac`).
+ *
+ * @private
+ */
+FakeCloud.prototype._saveConfig = function(call, kind) {
+    let target = this._callTag(call);
+    let targets = [target];
+    if (call.body.applyAll) {
+        let managers = call.body.allMac ?
+            this._managers.filter(
+                (m) => canAccess(call.session.account, m)) :
+            [target.manager];
+        targets = [];
+        managers.forEach((m) => m.tags.forEach((t) => {
+            if (t.tagType === target.tag.tagType) {
+                targets.push({ manager: m, tag: t });
+            }
+        }));
+    }
+    targets.forEach((t) => {
+        let config = this._config(t.manager, t.tag, kind);
+        Object.assign(config, call.body.config);
+        if (kind === 'battery') {
+            this._changeTag(t.manager, t.tag, { enLBN: config.enabled,
+                                                LBTh: config.threshold });
+        }
+    });
+    return null;
+};
+
+/**
+ * Creates the implementation of the SOAP service for polling.
+ *
+ * @private
+ */
+FakeCloud.prototype._cometServices = function() {
+    let method = (name, withDB) => (args, callback, headers, req) => {
+        let session = this._session(req);
+        if (! session) {
+            let fault = new Error("Authentication failed.");
+            fault.Fault = { faultcode: "soap:Client",
+                            faultstring: fault.message };
+            throw fault;
+        }
+        let dbid = withDB ? Number(args.dbid) : undefined;
+        this._poll(session, dbid, req, (updates) => {
+            let result = {};
+            result[name + "Result"] = JSON.stringify(updates);
+            callback(result);
+        });
+    };
+    return {
+        ethComet: {
+            ethCometSoap: {
+                GetNextUpdateForAllManagers:
+                    method("GetNextUpdateForAllManagers", false),
+                GetNextUpdateForAllManagersOnDB:
+                    method("GetNextUpdateForAllManagersOnDB", true)
+            }
+        }
+    };
+};
+
+/**
+ * Answers a poll for updates immediately if there are updates pending for
+ * the session, and otherwise once there are, or the poll times out.
+ *
+ * @private
+ */
+FakeCloud.prototype._poll = function(session, dbid, req, respond) {
+    let updates = takeUpdates(this, session, dbid);
+    if (updates.length > 0) return respond(updates);
+    let poll = { session: session, dbid: dbid };
+    let socket = req.socket;
+    let cancel = () => poll.finish();
+    poll.finish = (result) => {
+        clearTimeout(poll.timer);
+        socket.removeListener('close', cancel);
+        this._polls.splice(this._polls.indexOf(poll), 1);
+        if (result) respond(result);
+    };
+    poll.timer = setTimeout(() => poll.finish([]), this.pollTimeout);
+    // the client may give up on the poll before it times out
+    socket.on('close', cancel);
+    this._polls.push(poll);
+    return undefined;
+};
+
+// JSON API endpoints, each a function of the fake cloud and the call
+const apiMethods = {
+    '/ethAccount.asmx/Signin': function(cloud, call) {
+        let account = cloud.accounts.find(
+            (a) => a.username === call.body.email
+                && a.password === call.body.password);
+        if (! account) {
+            throw apiError("System.UnauthorizedAccessException",
+                           "Invalid email or password.");
+        }
+        let id = crypto.randomBytes(16).toString('hex');
+        cloud._sessions.set(id, newSession(account));
+        call.res.setHeader('Set-Cookie',
+                           SESSION_COOKIE + "=" + id + "; path=/; HttpOnly");
+        return null;
+    },
+    '/ethAccount.asmx/IsSignedIn': function(cloud, call) {
+        return (call.session !== undefined) && ! call.session.expired;
+    },
+    '/ethClient.asmx/SignOut': function(cloud, call) {
+        let session = requireSession(call);
+        cloud._sessions.forEach((s, key) => {
+            if (s === session) cloud._sessions.delete(key);
+        });
+        return null;
+    },
+    '/ethAccount.asmx/GetTagManagers': function(cloud, call) {
+        let session = requireSession(call);
+        return cloud._managers.
+            filter((m) => canAccess(session.account, m)).
+            map((m) => Object.assign({}, m.data, {
+                selected: m.data.mac === session.mac
+            }));
+    },
+    '/ethAccount.asmx/SelectTagManager': function(cloud, call) {
+        let session = requireSession(call);
+        let manager = cloud._manager(call.body.mac);
+        if (! (manager && canAccess(session.account, manager))) {
+            throw apiError("MyTagList.InvalidOperationException",
+                           "Tag manager " + call.body.mac
+                           + " is not available");
+        }
+        session.mac = manager.data.mac;
+        return null;
+    },
+    '/ethClient.asmx/GetTagManagerTagList': function(cloud, call) {
+        let session = requireSession(call);
+        return cloud._managers.
+            filter((m) => canAccess(session.account, m)).
+            map((m) => ({ mac: m.data.mac,
+                          name: m.data.name,
+                          tags: m.tags.map((t) => Object.assign({}, t)) }));
+    },
+    '/ethClient.asmx/GetTagForSlaveId': function(cloud, call) {
+        let target = cloud._callTag(call, call.body.slaveid);
+        return cloud._readTag(target.manager, target.tag);
+    },
+    '/ethClient.asmx/RequestImmediatePostback': function(cloud, call) {
+        let target = cloud._callTag(call);
+        return cloud._changeTag(target.manager, target.tag, {});
+    },
+    '/ethClient.asmx/SetPostbackIntervalFor': function(cloud, call) {
+        let target = cloud._callTag(call);
+        return cloud._commandTag(target.manager, target.tag,
+                                 { postBackInterval: call.body.sec });
+    },
+    '/ethClient.asmx/SetLowPowerWOR': function(cloud, call) {
+        let target = cloud._callTag(call);
+        return cloud._commandTag(target.manager, target.tag,
+                                 { rssiMode: call.body.enable });
+    },
+    '/ethClient.asmx/SetOutOfRangeGrace': function(cloud, call) {
+        let target = cloud._callTag(call);
+        let targets = call.body.applyAll ?
+            target.manager.tags : [target.tag];
+        targets.forEach((t) => cloud._changeTag(target.manager, t,
+                                                { oorGrace: call.body.oorGrace }));
+        return target.tag;
+    },
+    '/ethClient.asmx/Arm': armingMethod({ eventState: 1 }),
+    '/ethClient.asmx/Disarm': armingMethod({ eventState: 0 }),
+    '/ethClient.asmx/ArmTempSensor': armingMethod({ tempEventState: 1 }),
+    '/ethClient.asmx/DisarmTempSensor': armingMethod({ tempEventState: 0 }),
+    '/ethClient.asmx/ArmCapSensor': armingMethod({ capEventState: 2 }),
+    '/ethClient.asmx/DisarmCapSensor': armingMethod({ capEventState: 1 }),
+    '/ethClient.asmx/ArmLightSensor': armingMethod({ lightEventState: 2 }),
+    '/ethClient.asmx/DisarmLightSensor': armingMethod({ lightEventState: 1 }),
+    '/ethClient.asmx/ResetTag': function(cloud, call) {
+        let target = cloud._callTag(call);
+        let changes = target.tag.eventState > 1 ? { eventState: 1 } : {};
+        return cloud._commandTag(target.manager, target.tag, changes);
+    },
+    '/ethClient.asmx/LoadTempSensorConfig': loadingMethod('temp'),
+    '/ethClient.asmx/LoadLightSensorConfig': loadingMethod('light'),
+    '/ethClient.asmx/LoadMotionSensorConfig': loadingMethod('motion'),
+    '/ethClient.asmx/LoadOutOfRangeConfig': loadingMethod('outofrange'),
+    '/ethClient.asmx/LoadLowBatteryConfig': loadingMethod('battery'),
+    '/ethClient.asmx/LoadCapSensorConfig2': function(cloud, call) {
+        let target = cloud._callTag(call);
+        return {
+            rhEvent: cloud._config(target.manager, target.tag, 'cap'),
+            shortedEvent: cloud._config(target.manager, target.tag, 'water')
+        };
+    },
+    '/ethClient.asmx/SaveTempSensorConfig2': savingMethod('temp'),
+    '/ethClient.asmx/SaveCapSensorConfig2': savingMethod('cap'),
+    '/ethClient.asmx/SaveWaterSensorConfig2': savingMethod('water'),
+    '/ethClient.asmx/SaveLightSensorConfig': savingMethod('light'),
+    '/ethClient.asmx/SaveMotionSensorConfig2': savingMethod('motion'),
+    '/ethClient.asmx/SaveOutOfRangeConfig2': savingMethod('outofrange'),
+    '/ethClient.asmx/SaveLowBatteryConfig2': savingMethod('battery'),
+    '/ethClient.asmx/SetThermostatTarget': function(cloud, call) {
+        let target = thermostatTarget(cloud, call);
+        let thermostat = Object.assign({}, target.tag.thermostat, {
+            th_low: call.body.th_low,
+            th_high: call.body.th_high,
+            targetUuid: call.body.tempSensorUuid,
+            turnOff: false
+        });
+        return cloud._commandTag(target.manager, target.tag,
+                                 { thermostat: thermostat });
+    },
+    '/ethClient.asmx/ThermostatFanOnOff': function(cloud, call) {
+        let target = thermostatTarget(cloud, call);
+        let thermostat = Object.assign({}, target.tag.thermostat,
+                                       { fanOn: call.body.turnOn });
+        return cloud._commandTag(target.manager, target.tag,
+                                 { thermostat: thermostat });
+    },
+    '/ethClient.asmx/ThermostatOnOff': function(cloud, call) {
+        let target = thermostatTarget(cloud, call);
+        let thermostat = Object.assign({}, target.tag.thermostat,
+                                       { turnOff: call.body.turnOff });
+        return cloud._commandTag(target.manager, target.tag,
+                                 { thermostat: thermostat });
+    }
+};
+
+/** @private */
+function armingMethod(changes) {
+    return function(cloud, call) {
+        let target = cloud._callTag(call);
+        return cloud._commandTag(target.manager, target.tag, changes);
+    };
+}
+
+/** @private */
+function loadingMethod(kind) {
+    return function(cloud, call) {
+        let target = cloud._callTag(call);
+        return cloud._config(target.manager, target.tag, kind);
+    };
+}
+
+/** @private */
+function savingMethod(kind) {
+    return function(cloud, call) {
+        return cloud._saveConfig(call, kind);
+    };
+}
+
+/** @private */
+function thermostatTarget(cloud, call) {
+    let target = cloud._callTag(call, call.body.thermostatId);
+    if (! target.tag.thermostat) {
+        throw apiError("MyTagList.InvalidOperationException",
+                       "Tag " + target.tag.name + " is not a thermostat");
+    }
+    return target;
+}
+
+/** @private */
+function apiError(exceptionType, message) {
+    let error = new Error(message);
+    error.exceptionType = exceptionType;
+    return error;
+}
+
+/** @private */
+function requireSession(call) {
+    if ((! call.session) || call.session.expired) {
+        throw apiError("System.UnauthorizedAccessException",
+                       "Authentication failed.");
+    }
+    return call.session;
+}
+
+/** @private */
+function newSession(account) {
+    return { account: account, mac: undefined, updates: new Map() };
+}
+
+/** @private */
+function canAccess(account, manager) {
+    return (! account.tagManagers)
+        || account.tagManagers.indexOf(manager.data.mac) >= 0;
+}
+
+/**
+ * Obtains the usernames of the accounts other than its owner that the
+ * given tag manager is shared with (mirrored to), if it has an owner.
+ *
+ * @private
+ */
+function mirrorsOf(cloud, manager) {
+    let owner = manager.owner;
+    if (! owner) return [];
+    return cloud.accounts.
+        filter((a) => a.username !== owner && canAccess(a, manager)).
+        map((a) => a.username);
+}
+
+/**
+ * Removes the updates pending for the given session (and optionally
+ * restricted to the tag manager with the given `dbid`), and returns them
+ * as the polling endpoint does.
+ *
+ * @private
+ */
+function takeUpdates(cloud, session, dbid) {
+    let updates = [];
+    session.updates.forEach((manager, uuid) => {
+        if (dbid !== undefined && manager.data.dbid !== dbid) return;
+        session.updates.delete(uuid);
+        let tag = manager.tags.find((t) => t.uuid === uuid);
+        if (! tag) return;
+        updates.push(Object.assign({}, tag, {
+            managerName: manager.data.name,
+            mac: manager.data.mac,
+            dbid: manager.data.dbid,
+            mirrors: mirrorsOf(cloud, manager)
+        }));
+    });
+    return updates;
+}
+
+/**
+ * Creates the data of a tag of the given tag manager, filling in defaults
+ * for properties not given.
+ *
+ * @private
+ */
+function tagRecord(manager, tagData, now) {
+    let slaveId = tagData.slaveId;
+    if (slaveId === undefined) {
+        slaveId = manager.tags.reduce(
+            (max, t) => Math.max(max, t.slaveId + 1), 0);
+    }
+    let tagType = tagData.tagType || 13;
+    let uuid = tagData.uuid || fakeUUID(manager.data.mac, slaveId);
+    let record = {
+        __type: "MyTagList.Tag",
+        name: "Tag " + slaveId,
+        uuid: uuid,
+        comment: "",
+        slaveId: slaveId,
+        tagType: tagType,
+        rev: 0,
+        version1: 2,
+        alive: true,
+        lastComm: u.dateToFILETIME(now),
+        postBackInterval: 600,
+        rssiMode: false,
+        signaldBm: -70,
+        batteryVolt: 3.0,
+        enLBN: false,
+        LBTh: 2.5,
+        OutOfRange: false,
+        oorGrace: 2,
+        temperature: 21.5,
+        cap: 45,
+        lux: 0,
+        shorted: false,
+        ds18: false,
+        eventState: 0,
+        tempEventState: 0,
+        capEventState: 1,
+        lightEventState: tagType === 26 ? 1 : 0,
+        thermostat: null
+    };
+    if (tagType === 62) {
+        record.thermostat = {
+            th_low: 20,
+            th_high: 25,
+            fanOn: false,
+            turnOff: true,
+            disableLocal: false,
+            targetUuid: uuid,
+            nest_id: null
+        };
+    }
+    return Object.assign(record, tagData);
+}
+
+/**
+ * Creates a UUID for a tag that is stable for the given tag manager MAC
+ * and slave ID.
+ *
+ * @private
+ */
+function fakeUUID(mac, slaveId) {
+    let hex = crypto.createHash('md5').update(mac + "/" + slaveId).digest('hex');
+    return [hex.slice(0, 8),
+            hex.slice(8, 12),
+            "4" + hex.slice(13, 16),
+            "8" + hex.slice(17, 20),
+            hex.slice(20, 32)].join('-');
+}
+
+/**
+ * Creates the WSDL document for the SOAP endpoint for polling.
+ *
+ * @param {string} location - the URI of the SOAP endpoint
+ * @private
+ */
+function cometWSDL(location) {
+    let ops = [["GetNextUpdateForAllManagers", ""],
+               ["GetNextUpdateForAllManagersOnDB",
+                '<s:element minOccurs="1" maxOccurs="1" name="dbid" type="s:int"/>']];
+    let elements = "", messages = "", portOps = "", bindingOps = "";
+    ops.forEach((op) => {
+        let name = op[0];
+        elements +=
+            '<s:element name="' + name + '"><s:complexType><s:sequence>'
+            + op[1] + '</s:sequence></s:complexType></s:element>'
+            + '<s:element name="' + name + 'Response"><s:complexType><s:sequence>'
+            + '<s:element minOccurs="0" maxOccurs="1" name="' + name + 'Result" type="s:string"/>'
+            + '</s:sequence></s:complexType></s:element>';
+        messages +=
+            '<wsdl:message name="' + name + 'SoapIn">'
+            + '<wsdl:part name="parameters" element="tns:' + name + '"/></wsdl:message>'
+            + '<wsdl:message name="' + name + 'SoapOut">'
+            + '<wsdl:part name="parameters" element="tns:' + name + 'Response"/></wsdl:message>';
+        portOps +=
+            '<wsdl:operation name="' + name + '">'
+            + '<wsdl:input message="tns:' + name + 'SoapIn"/>'
+            + '<wsdl:output message="tns:' + name + 'SoapOut"/></wsdl:operation>';
+        bindingOps +=
+            '<wsdl:operation name="' + name + '">'
+            + '<soap:operation soapAction="' + COMET_NAMESPACE + '/' + name + '" style="document"/>'
+            + '<wsdl:input><soap:body use="literal"/></wsdl:input>'
+            + '<wsdl:output><soap:body use="literal"/></wsdl:output></wsdl:operation>';
+    });
+    return '<?xml version="1.0" encoding="utf-8"?>'
+        + '<wsdl:definitions xmlns:soap="http://schemas.xmlsoap.org/wsdl/soap/"'
+        + ' xmlns:s="http://www.w3.org/2001/XMLSchema"'
+        + ' xmlns:wsdl="http://schemas.xmlsoap.org/wsdl/"'
+        + ' xmlns:tns="' + COMET_NAMESPACE + '"'
+        + ' targetNamespace="' + COMET_NAMESPACE + '">'
+        + '<wsdl:types><s:schema elementFormDefault="qualified" targetNamespace="'
+        + COMET_NAMESPACE + '">' + elements + '</s:schema></wsdl:types>'
+        + messages
+        + '<wsdl:portType name="ethCometSoap">' + portOps + '</wsdl:portType>'
+        + '<wsdl:binding name="ethCometSoap" type="tns:ethCometSoap">'
+        + '<soap:binding transport="http://schemas.xmlsoap.org/soap/http"/>'
+        + bindingOps + '</wsdl:binding>'
+        + '<wsdl:service name="ethComet">'
+        + '<wsdl:port name="ethCometSoap" binding="tns:ethCometSoap">'
+        + '<soap:address location="' + location + '"/></wsdl:port>'
+        + '</wsdl:service></wsdl:definitions>';
+}
@@ -2,7 +2,8 @@
 
 /** @module lib/kumostat */
 
-var xforms = require('./xforms');
+var xforms = require('./xforms'),
+    u = require('./util');
 
 /**
  * Objects and functions as a mix-in for {@link WirelessTag} objects that
@@ -77,47 +78,62 @@ module.exports = function(tag) {
      * from the Kumostat itself was set, its temperature sensor will be armed.
      *
      * @param {module:wirelesstags~apiCallback} [callback]
+     * @param {module:wirelesstags~callOptions} [options] - can also be
+     *      passed in place of `callback`
      * @returns {Promise} Resolves to the thermostat object if successful
      * @alias thermostat.set
      * @memberof! module:lib/kumostat~kumostat#
      */
-    thermostat.set = function(callback) {
-        let req = tag.callAPI('/ethClient.asmx/SetThermostatTarget',
-                              { thermostatId: tag.slaveId,
-                                tempSensorUuid: this.tempTagUUID,
-                                // need untransformed, native degC
-                                th_high: tag.data.thermostat.th_high,
-                                th_low: tag.data.thermostat.th_low
-                               },
-                               callback);
-        let ecb = callback ?
-            (err) => { if (err) return callback(err); } : undefined;
-        return req.then((result) => {
-            tag.data = result;
-            return tag.thermostat.tempSensor(ecb);
-        }).then((sensor) => {
-            if (sensor.wirelessTag.uuid === tag.uuid) return sensor;
-            return sensor.arm(ecb);
-        }).then((sensor) => {
-            if (callback) callback(null, { object: tag, value: sensor });
-            return this;
-        });
+    thermostat.set = function(callback, options) {
+        if (callback && ('function' !== typeof callback)) {
+            options = callback;
+            callback = undefined;
+        }
+        return u.withAbort((signal) => {
+            let req = tag.callAPI('/ethClient.asmx/SetThermostatTarget',
+                                  { thermostatId: tag.slaveId,
+                                    tempSensorUuid: this.tempTagUUID,
+                                    // need untransformed, native degC
+                                    th_high: tag.data.thermostat.th_high,
+                                    th_low: tag.data.thermostat.th_low
+                                  },
+                                  callback,
+                                  { signal: signal });
+            let ecb = callback ?
+                (err) => { if (err) return callback(err); } : undefined;
+            return req.then((result) => {
+                tag.data = result;
+                return tag.thermostat.tempSensor(ecb, { signal: signal });
+            }).then((sensor) => {
+                if (sensor.wirelessTag.uuid === tag.uuid) return sensor;
+                return sensor.arm(ecb, { signal: signal });
+            }).then((sensor) => {
+                if (callback) callback(null, { object: tag, value: sensor });
+                return this;
+            });
+        }, options, "thermostat.set");
     };
     /**
      * Obtains the temperature sensor controlling the thermostat. This will
      * use the tag currently configured as the temperature controlling tag.
      *
      * @param {module:wirelesstags~apiCallback} [callback]
+     * @param {module:wirelesstags~callOptions} [options] - can also be
+     *      passed in place of `callback`
      * @returns {Promise} Resolves to the temperature sensor object of the tag
      *      currently configured to control the temperature.
      * @alias thermostat.tempSensor
      * @memberof! module:lib/kumostat~kumostat#
      */
-    thermostat.tempSensor = function(callback) {
+    thermostat.tempSensor = function(callback, options) {
         if (this._tempSensor
             && this._tempSensor.wirelessTag.uuid === this.tempTagUUID) {
             return Promise.resolve(this._tempSensor);
         }
+        if (callback && ('function' !== typeof callback)) {
+            options = callback;
+            callback = undefined;
+        }
         let ecb = callback ?
             (err) => { if (err) return callback(err); } : undefined;
         let req;
@@ -125,7 +141,7 @@ module.exports = function(tag) {
             req = Promise.resolve(tag);
         } else {
             let mgr = tag.wirelessTagManager;
-            req = mgr.discoverTags({ uuid: this.tempTagUUID }, ecb);
+            req = mgr.discoverTags({ uuid: this.tempTagUUID }, ecb, options);
             req = req.then((tags) => {
                 if (tags.length === 0) {
                     throw new Error(`failed to find tag ${this.tempTagUUID}`);
@@ -163,11 +179,13 @@ module.exports = function(tag) {
      * Method of Kumostat tags. Turns the fan on.
      * @method turnFanOn
      * @param {module:wirelesstags~apiCallback} [callback]
+     * @param {module:wirelesstags~callOptions} [options] - can also be
+     *      passed in place of `callback`
      * @returns {Promise} Resolves to the Kumostat tag upon completion.
      * @memberof module:lib/kumostat~kumostat#
      */
-    tag.turnFanOn = function(callback) {
-        return switchFan(tag, true, callback);
+    tag.turnFanOn = function(callback, options) {
+        return switchFan(tag, true, callback, options);
     };
     /**
      * Method of Kumostat tags. Turns the fan "off." In practice this will
@@ -175,31 +193,37 @@ module.exports = function(tag) {
      * can't be off if AC/Heat is on).
      * @method turnFanOff
      * @param {module:wirelesstags~apiCallback} [callback]
+     * @param {module:wirelesstags~callOptions} [options] - can also be
+     *      passed in place of `callback`
      * @returns {Promise} Resolves to the Kumostat tag upon completion.
      * @memberof module:lib/kumostat~kumostat#
      */
-    tag.turnFanOff = function(callback) {
-        return switchFan(tag, false, callback);
+    tag.turnFanOff = function(callback, options) {
+        return switchFan(tag, false, callback, options);
     };
     /**
      * Method of Kumostat tags. Turns AC/Heat on.
      * @method turnACHeatOn
      * @param {module:wirelesstags~apiCallback} [callback]
+     * @param {module:wirelesstags~callOptions} [options] - can also be
+     *      passed in place of `callback`
      * @returns {Promise} Resolves to the Kumostat tag upon completion.
      * @memberof module:lib/kumostat~kumostat#
      */
-    tag.turnACHeatOn = function(callback) {
-        return switchACHeat(tag, true, callback);
+    tag.turnACHeatOn = function(callback, options) {
+        return switchACHeat(tag, true, callback, options);
     };
     /**
      * Method of Kumostat tags. Turns AC/Heat off.
      * @method turnACHeatOff
      * @param {module:wirelesstags~apiCallback} [callback]
+     * @param {module:wirelesstags~callOptions} [options] - can also be
+     *      passed in place of `callback`
      * @returns {Promise} Resolves to the Kumostat tag upon completion.
      * @memberof module:lib/kumostat~kumostat#
      */
-    tag.turnACHeatOff = function(callback) {
-        return switchACHeat(tag, false, callback);
+    tag.turnACHeatOff = function(callback, options) {
+        return switchACHeat(tag, false, callback, options);
     };
     // kick off initializing the temperature sensor - the main reason this
     // is needed is for determining the temperature unit
@@ -215,10 +239,15 @@ module.exports = function(tag) {
     });
 };
 
-function switchFan(tag, turnOn, callback) {
+function switchFan(tag, turnOn, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     let req = tag.callAPI('/ethClient.asmx/ThermostatFanOnOff',
                           { thermostatId: tag.slaveId, turnOn: turnOn },
-                          callback);
+                          callback,
+                          options);
     return req.then((result) => {
         tag.data = result;
         if (callback) callback(null, { object: tag });
@@ -226,10 +255,15 @@ function switchFan(tag, turnOn, callback) {
     });
 }
 
-function switchACHeat(tag, turnOn, callback) {
+function switchACHeat(tag, turnOn, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     let req = tag.callAPI('/ethClient.asmx/ThermostatOnOff',
                           { thermostatId: tag.slaveId, turnOff: ! turnOn },
-                          callback);
+                          callback,
+                          options);
     return req.then((result) => {
         tag.data = result;
         if (callback) callback(null, { object: tag });
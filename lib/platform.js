@@ -5,11 +5,19 @@ module.exports = WirelessTagPlatform;
 
 var request = require('request'),
     http = require('http'),
+    url = require('url'),
     util = require('util'),
     delay = require('timeout-as-promise'),
+    deepEqual = require('deep-equal'),
     EventEmitter = require('events');
 
 var u = require('./util'),
+    transport = require('./transport'),
+    network = require('./network'),
+    RetryPolicy = require('./retrypolicy'),
+    APIStats = require('./apistats'),
+    redact = require('./redact'),
+    queries = require('./query'),
     WirelessTagManager = require('./tagmanager'),
     WirelessTag = require('./tag');
 
@@ -18,13 +26,38 @@ var u = require('./util'),
  * @default
  */
 const API_BASE_URI = 'https://www.mytaglist.com';
-
 /**
- * @const {number} - The time in milliseconds to wait before retrying an
- *                   operation that failed because the tag did not respond.
+ * @const {RegExp} - Matches the URIs of the API endpoints for signing in
+ *                   and out, which don't require being signed in.
+ * @private
+ */
+const SESSION_URI =
+    /\/(ethAccount\.asmx\/(Signin|IsSignedIn)|ethClient\.asmx\/SignOut)$/;
+/**
+ * @const {string[]} - The properties of tag managers for which changes are
+ *          reported by the [change event]{@link WirelessTagPlatform#event:change}.
  * @default
  */
-const WAIT_BEFORE_RETRY = 8000;
+const TAG_MANAGER_CHANGE_KEYS = ['name', 'online', 'selected', 'wirelessConfig'];
+/**
+ * @const {string[]} - The names of the API endpoints that change the state
+ *          of a tag manager or its tags, and which therefore can't be called
+ *          for a tag manager shared with the account read-only.
+ * @private
+ */
+const WRITE_ENDPOINTS = [
+    'Arm', 'Disarm',
+    'ArmTempSensor', 'DisarmTempSensor',
+    'ArmCapSensor', 'DisarmCapSensor',
+    'ArmLightSensor', 'DisarmLightSensor',
+    'SaveMotionSensorConfig2', 'SaveLightSensorConfig',
+    'SaveTempSensorConfig2', 'SaveCapSensorConfig2',
+    'SaveWaterSensorConfig2', 'SaveOutOfRangeConfig2',
+    'SaveLowBatteryConfig2',
+    'SetPostbackIntervalFor', 'SetLowPowerWOR', 'SetOutOfRangeGrace',
+    'ResetTag',
+    'ThermostatOnOff', 'ThermostatFanOnOff', 'SetThermostatTarget'
+];
 
 /**
  * Instantiates {@link WirelessTagPlatform}.
@@ -40,6 +73,49 @@ const WAIT_BEFORE_RETRY = 8000;
  * @param {Object} [options.factory] - a factory for tag and tag manager
  *                       objects, see {@link WirelessTagPlatform.factory}
  *                       which will be used by default
+ * @param {Object} [options.cookieJar] - the cookie jar (as created by
+ *                       `request.jar()`) to use for the session with the
+ *                       cloud; by default each instance creates its own
+ * @param {function|string} [options.transport] - the transport adapter
+ *                       for making API calls (see {@link module:lib/transport}),
+ *                       or the name of a built-in one (`request`, `http`,
+ *                       or `fetch`); default is `request`
+ * @param {RetryPolicy|Object} [options.retryPolicy] - the policy (or
+ *                       the options for creating one) for retrying failed
+ *                       API calls; providing one also enables retrying (see
+ *                       {@link WirelessTagPlatform#retryOnError})
+ * @param {Object|boolean} [options.commandQueue] - options for the
+ *                       [command queue]{@link CommandQueue} of each tag
+ *                       manager, or `false` to not queue API calls going
+ *                       through tag managers
+ * @param {Object|boolean} [options.circuitBreaker] - options for the
+ *                       [circuit breaker]{@link CircuitBreaker} of each tag
+ *                       manager, or `false` to not fail API calls right
+ *                       away while the tag manager is known to be offline
+ * @param {boolean} [options.autoReconnect] - whether to sign in again
+ *                       automatically if the session with the cloud
+ *                       expires, see {@link WirelessTagPlatform#autoReconnect}
+ * @param {string[]} [options.readOnlyTagManagers] - the MACs of the tag
+ *                       managers shared with the account read-only, see
+ *                       {@link WirelessTagManager#accessLevel}
+ * @param {string[]} [options.redactKeys] - the keys of values (such as
+ *                       passwords) to hide from error messages and log
+ *                       output; defaults to [DEFAULT_KEYS]{@link module:lib/redact~DEFAULT_KEYS}
+ * @param {APIRecorder|Object} [options.recording] - a recorder (or the
+ *                       options for creating one) for recording the traffic
+ *                       with the cloud API to a fixture file, or replaying
+ *                       it from one, see {@link APIRecorder}
+ * @param {string|boolean} [options.proxy] - the URI of the proxy through
+ *                       which to connect to the cloud, or `false` for not
+ *                       using the one given in the environment, see
+ *                       {@link module:lib/network}
+ * @param {string|string[]} [options.ca] - the certificate(s) of the
+ *                       authorities to trust, in PEM format
+ * @param {boolean} [options.rejectUnauthorized] - whether to reject servers
+ *                       whose certificate cannot be verified (default true)
+ * @param {http.Agent|Object} [options.agent] - the agent to use for
+ *                       connections, or an object with the agents to use
+ *                       for `http` and `https`
  *
  * @class
  * @alias WirelessTagPlatform
@@ -53,22 +129,124 @@ function WirelessTagPlatform(options) {
     this.apiBaseURI = options.apiBaseURI || API_BASE_URI;
     /** @member {function} - see {@link WirelessTagPlatform.callAPI} */
     this.callAPI = WirelessTagPlatform.callAPI;
+    /**
+     * @member {Object} - the cookie jar holding this instance's session
+     *                    with the cloud, as created by `request.jar()`;
+     *                    undefined in browsers, which manage cookies
+     *                    themselves
+     * @since 0.8.0
+     */
+    this.cookieJar = options.cookieJar || (request.jar && request.jar());
+    /**
+     * @member {Object} - the settings for connections to the cloud (proxy,
+     *          certificate authorities, and agents), see {@link module:lib/network}.
+     *          They apply to the transport adapter unless a custom one is
+     *          given, and to the SOAP client of the `PollingTagUpdater`.
+     * @since 0.8.0
+     */
+    this.networkSettings = {};
+    network.SETTINGS.forEach((key) => {
+        if (options[key] !== undefined) this.networkSettings[key] = options[key];
+    });
+    // keep proxy credentials out of debug output, such as from util.inspect()
+    Object.defineProperty(this, 'networkSettings', { enumerable: false });
+    /**
+     * @member {function} - the transport adapter for API calls, see
+     *                      {@link module:lib/transport}
+     * @since 0.8.0
+     */
+    this.transport = options.transport || WirelessTagPlatform.defaultTransport;
+    if ('string' === typeof this.transport) {
+        if (! transport[this.transport]) {
+            throw new TypeError("unknown transport '" + this.transport + "'");
+        }
+        this.transport = transport[this.transport](this.networkSettings);
+    }
+    /**
+     * @member {RetryPolicy} - the policy for retrying failed API calls,
+     *                         if [retrying is enabled]{@link WirelessTagPlatform#retryOnError}
+     * @since 0.8.0
+     */
+    this.retryPolicy = options.retryPolicy instanceof RetryPolicy ?
+        options.retryPolicy : new RetryPolicy(options.retryPolicy);
+    if (options.retryPolicy) this.retryOnError(true);
+    /**
+     * @member {Object|boolean} - the options for the command queues of tag
+     *          managers, or `false` if API calls are not to be queued
+     * @since 0.8.0
+     */
+    this.commandQueueOptions = options.commandQueue;
+    /**
+     * @member {Object|boolean} - the options for the circuit breakers of tag
+     *          managers, or `false` if circuit breakers are disabled
+     * @since 0.8.0
+     */
+    this.circuitBreakerOptions = options.circuitBreaker;
+    /**
+     * @member {string[]} - the MACs of the tag managers shared with the
+     *          account read-only, as the cloud API doesn't report this
+     * @since 0.8.0
+     */
+    this.readOnlyTagManagers = options.readOnlyTagManagers || [];
+    /**
+     * @member {string[]} - the keys of values to hide from error messages
+     *                      and log output, see {@link module:lib/redact}
+     * @since 0.8.0
+     */
+    this.redactKeys = options.redactKeys || redact.DEFAULT_KEYS.slice();
+    /**
+     * @member {APIRecorder} - the recorder through which API traffic is
+     *          recorded or replayed, if any
+     * @since 0.8.0
+     */
+    this.recorder = options.recording;
+    if (this.recorder
+        && ! (this.recorder instanceof WirelessTagPlatform.APIRecorder)) {
+        this.recorder = new WirelessTagPlatform.APIRecorder(Object.assign(
+            { redactKeys: this.redactKeys }, this.recorder));
+    }
+    if (this.recorder) this.transport = this.recorder.transport(this.transport);
+    this._apiStats = new APIStats();
+    // keep credentials out of debug output, such as from util.inspect()
+    Object.defineProperty(this, '_bearer', { writable: true });
+    Object.defineProperty(this, '_signinOpts', { writable: true });
     this._tagManagersByMAC = new Map();
+    this._tagsByUUID = new Map();
+    this.autoReconnect(options.autoReconnect);
     /**
      * @member {WirelessTagPlatform~factory}
      * @since 0.6.0
      */
     this.factory = options.factory || WirelessTagPlatform.factory(this);
+    this._state = 'disconnected';
+    /**
+     * The state of this object's connection (i.e., session) with the
+     * cloud, one of [STATES]{@link WirelessTagPlatform.STATES}. Changes
+     * are announced by the [stateChange event]{@link WirelessTagPlatform#event:stateChange}.
+     *
+     * @name state
+     * @type {string}
+     * @memberof WirelessTagPlatform#
+     * @since 0.8.0
+     */
+    Object.defineProperty(this, "state", {
+        enumerable: true,
+        get: function() { return this._state }
+    });
     /**
      * Whether or not this object is currently in the process of connecting
-     * (i.e., signing in).
+     * (i.e., signing in), including signing in again after the session
+     * expired.
      * @name connecting
      * @type {boolean}
      * @memberof WirelessTagPlatform#
      * @since 0.6.0
      */
     Object.defineProperty(this, "connecting", {
-        get: function() { return this._connecting === true }
+        get: function() {
+            return this._state === 'connecting'
+                || this._state === 'reconnecting';
+        }
     });
     /** @member {function} - alias for {@link WirelessTagPlatform#signin} */
     this.connect = this.signin;
@@ -82,6 +260,31 @@ function WirelessTagPlatform(options) {
 }
 util.inherits(WirelessTagPlatform, EventEmitter);
 
+/**
+ * The states of a platform object's connection with the cloud:
+ * - `disconnected`: not signed in, whether not yet or after signing off
+ *   or the session expiring
+ * - `connecting`: in the process of signing in
+ * - `connected`: signed in
+ * - `reconnecting`: in the process of signing in again after the session
+ *   expired, see {@link WirelessTagPlatform#autoReconnect}
+ * - `failed`: signing in (again) failed
+ *
+ * While `connecting` or `reconnecting`, API calls wait for signing in to
+ * finish before they are sent. While `failed`, and while `disconnected`
+ * after having been signed in, API calls are rejected right away with a
+ * [NotConnectedError]{@link WirelessTagPlatform.NotConnectedError}.
+ * (Before first signing in, calls are still sent, because the session
+ * may have been obtained otherwise, such as with
+ * [importSession()]{@link WirelessTagPlatform#importSession}.)
+ *
+ * @const {string[]}
+ * @default
+ * @since 0.8.0
+ */
+WirelessTagPlatform.STATES =
+    ['disconnected', 'connecting', 'connected', 'reconnecting', 'failed'];
+
 /**
  * Connect event. Emitted after the platform object successfully
  * connects to the cloud.
@@ -89,6 +292,96 @@ util.inherits(WirelessTagPlatform, EventEmitter);
  * @event WirelessTagPlatform#connect
  * @type {WirelessTagPlatform}
  */
+/**
+ * Reconnect event. Emitted after the platform object successfully signed
+ * in again after its session with the cloud expired. See
+ * {@link WirelessTagPlatform#autoReconnect}.
+ *
+ * @event WirelessTagPlatform#reconnect
+ * @type {WirelessTagPlatform}
+ * @since 0.8.0
+ */
+/**
+ * Reauthentication failed event. Emitted if signing in again after the
+ * session with the cloud expired fails. Listeners are passed the platform
+ * object and the error.
+ *
+ * @event WirelessTagPlatform#reauth-failed
+ * @type {WirelessTagPlatform}
+ * @since 0.8.0
+ */
+/**
+ * State change event. Emitted whenever the
+ * [state]{@link WirelessTagPlatform#state} of the platform object's
+ * connection with the cloud changes.
+ *
+ * @event WirelessTagPlatform#stateChange
+ * @type {object}
+ * @property {string} state - the new state
+ * @property {string} previous - the previous state
+ * @property {Error} [error] - the error causing the change, if any, such
+ *           as why signing in failed
+ * @property {WirelessTagPlatform} platform
+ * @since 0.8.0
+ */
+/**
+ * Retry event. Emitted before a failed API call is retried according to
+ * the [retry policy]{@link WirelessTagPlatform#retryPolicy}.
+ *
+ * @event WirelessTagPlatform#retry
+ * @type {object}
+ * @property {Error} error - the error with which the call failed
+ * @property {number} attempt - the number of the retry about to be made
+ * @property {number} delay - the time in milliseconds until the retry
+ * @property {string} uri - the URI of the API endpoint
+ * @property {object} object - the object on behalf of which the call
+ *           is made (platform, tag manager, tag, or sensor)
+ * @since 0.8.0
+ */
+/**
+ * Request event. Emitted whenever a call to the cloud API is sent,
+ * including retries of failed calls.
+ *
+ * @event WirelessTagPlatform#request
+ * @type {object}
+ * @property {string} uri - the URI of the API endpoint
+ * @property {string} endpoint - the path of the API endpoint's URI
+ * @property {string} [mac] - the MAC of the tag manager through which
+ *           the call goes, if any
+ * @property {number} attempt - the attempt of the call (greater than 1
+ *           for retries)
+ * @property {object} object - the object on behalf of which the call
+ *           is made (platform, tag manager, tag, or sensor)
+ * @since 0.8.0
+ */
+/**
+ * Response event. Emitted whenever a call to the cloud API completes
+ * successfully. In addition to the properties of the
+ * [request event]{@link WirelessTagPlatform#event:request}, the event
+ * object has the following properties.
+ *
+ * @event WirelessTagPlatform#response
+ * @type {object}
+ * @property {number} statusCode - the HTTP status code of the response
+ * @property {number} duration - the time in milliseconds the call took
+ * @since 0.8.0
+ */
+/**
+ * API error event. Emitted whenever a call to the cloud API fails. In
+ * addition to the properties of the [request event]{@link WirelessTagPlatform#event:request},
+ * the event object has the following properties.
+ *
+ * Note that listeners will see each failed attempt, even if a retry
+ * eventually succeeds.
+ *
+ * @event WirelessTagPlatform#apiError
+ * @type {object}
+ * @property {Error} error - the error with which the call failed
+ * @property {number} [statusCode] - the HTTP status code of the response,
+ *           if one was received
+ * @property {number} duration - the time in milliseconds the call took
+ * @since 0.8.0
+ */
 /**
  * Discover event. Emitted for every {@link WirelessTagManager}
  * instance discovered.
@@ -96,38 +389,111 @@ util.inherits(WirelessTagPlatform, EventEmitter);
  * @event WirelessTagPlatform#discover
  * @type {WirelessTagManager}
  */
+/**
+ * Change event. Emitted by {@link WirelessTagPlatform#discoverTagManagers}
+ * for every previously discovered tag manager for which the cloud
+ * returned changed [properties of interest]{@link module:lib/platform~TAG_MANAGER_CHANGE_KEYS}.
+ *
+ * @event WirelessTagPlatform#change
+ * @type {object}
+ * @property {WirelessTagManager} tagManager - the tag manager, already
+ *           updated with the new values
+ * @property {object} changes - for each changed property, an object with
+ *           properties `value` (the new value) and `previous` (the
+ *           previous value)
+ * @since 0.8.0
+ */
+/**
+ * Lost event. Emitted by {@link WirelessTagPlatform#discoverTagManagers}
+ * for every previously discovered tag manager that the cloud no longer
+ * returns, for example because it was removed from the account, or
+ * sharing it with the account was revoked. The tag manager, and its tags,
+ * are removed from the platform's cache of tag managers and tags.
+ *
+ * @event WirelessTagPlatform#lost
+ * @type {WirelessTagManager}
+ * @since 0.8.0
+ */
 
 /**
  * Signs in to the cloud API with the given credentials. Because there is no
  * persistent connection, here this is synonymous with connecting. (This used
  * to be named `connect()` prior to v0.6.0, which remains an alias.)
  *
+ * If a bearer (OAuth) token is given, the username/password sign-in is
+ * skipped entirely. Instead, the token will be sent as `Authorization`
+ * header with every subsequent API call, and signing in amounts to
+ * verifying that the cloud API accepts the token.
+ *
  * @param {Object} opts - connection parameters
- * @param {String} opts.username - the username (email) for connecting
- * @param {String} opts.password - the password for connecting
+ * @param {String} [opts.username] - the username (email) for connecting
+ * @param {String} [opts.password] - the password for connecting
+ * @param {String} [opts.bearer] - an OAuth bearer token for the account;
+ *                 if provided, `username` and `password` are ignored
+ *                 (since v0.8.0)
+ * @param {function} [opts.credentials] - a function returning (or
+ *                 promising) an object with `username` and `password`, or
+ *                 `bearer`, which then take precedence over those given
+ *                 directly; for example for unlocking an encrypted
+ *                 credential file (since v0.8.0)
  * @param {module:wirelesstags~apiCallback} [callback]
  *
  * @since 0.6.0
  * @fires WirelessTagPlatform#connect
+ * @fires WirelessTagPlatform#stateChange
  * @returns {Promise} resolves to 'this' upon success
  */
 WirelessTagPlatform.prototype.signin = function(opts, callback) {
 
-    this._connecting = true;
+    // signing in again after the session expired keeps its state
+    if (this._state !== 'reconnecting') this._setState('connecting');
+    if ('function' === typeof opts.credentials) {
+        return new Promise((resolve) => resolve(opts.credentials())).then(
+            (creds) => {
+                let signinOpts = Object.assign({}, opts, creds);
+                delete signinOpts.credentials;
+                let req = this.signin(signinOpts, callback);
+                // remember the function rather than what it resolved to,
+                // so that signing in again unlocks the credentials anew
+                if (this.autoReconnect()) {
+                    this._signinOpts = Object.assign({}, opts);
+                }
+                return req;
+            },
+            (err) => {
+                this._setState('failed', err);
+                return this.errorHandler(callback)(err);
+            });
+    }
+    if (this.autoReconnect()) this._signinOpts = Object.assign({}, opts);
 
-    return this.callAPI(
-        '/ethAccount.asmx/Signin',
-        { email: opts.username, password: opts.password },
-        callback
-    ).then(
+    let req;
+    if (opts.bearer) {
+        this._bearer = opts.bearer;
+        let uri = '/ethAccount.asmx/IsSignedIn';
+        req = this.callAPI(uri, {}, callback).then((signedIn) => {
+            if (signedIn) return signedIn;
+            throw new UnauthorizedAccessError(
+                "bearer token was not accepted",
+                { statusCode: 401, url: this.apiBaseURI + uri });
+        });
+    } else {
+        this._bearer = undefined;
+        req = this.callAPI(
+            '/ethAccount.asmx/Signin',
+            { email: opts.username, password: opts.password },
+            callback);
+    }
+    return req.then(
         () => {
-            this._connecting = false;
+            this._setState('connected');
             this.emit('connect', this);
             if (callback) callback(null, { object: this });
             return this;
         },
         (err) => {
-            this._connecting = false;
+            this._bearer = undefined;
+            this._setState('failed', err);
             return this.errorHandler(callback)(err);
         }
     );
@@ -140,6 +506,7 @@ WirelessTagPlatform.prototype.signin = function(opts, callback) {
  *
  * @since 0.6.0
  * @fires WirelessTagPlatform#disconnect
+ * @fires WirelessTagPlatform#stateChange
  * @returns {Promise} resolves to 'this' upon success
  */
 WirelessTagPlatform.prototype.signoff = function(callback) {
@@ -150,6 +517,9 @@ WirelessTagPlatform.prototype.signoff = function(callback) {
         callback
     ).then(
         () => {
+            this._bearer = undefined;
+            this._signinOpts = undefined;
+            this._setState('disconnected');
             this.emit('disconnect', this);
             if (callback) callback(null, { object: this });
             return this;
@@ -158,23 +528,233 @@ WirelessTagPlatform.prototype.signoff = function(callback) {
     );
 };
 
+/**
+ * Signs in to the cloud API again, using the options with which this
+ * instance last [signed in]{@link WirelessTagPlatform#signin}. This is
+ * only possible if [automatic reconnecting]{@link WirelessTagPlatform#autoReconnect}
+ * was enabled at the time of signing in.
+ *
+ * Concurrent calls while signing in again is still in progress will all
+ * receive the same promise. Users should not normally need to call this
+ * method directly, because {@link WirelessTagPlatform.callAPI} will call
+ * it when it detects that the session has expired.
+ *
+ * @fires WirelessTagPlatform#reconnect
+ * @fires WirelessTagPlatform#reauth-failed
+ * @fires WirelessTagPlatform#stateChange
+ * @returns {Promise} resolves to 'this' upon success
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.reauthenticate = function() {
+    if (this._reauth) return this._reauth;
+    if (! this._signinOpts) {
+        return Promise.reject(new Error("cannot sign in again without "
+                                        + "remembered sign-in options"));
+    }
+    this._setState('reconnecting');
+    let reauth = this.signin(this._signinOpts).then(
+        () => {
+            this._reauth = null;
+            this.emit('reconnect', this);
+            return this;
+        },
+        (err) => {
+            this._reauth = null;
+            this.emit('reauth-failed', this, err);
+            throw err;
+        });
+    this._reauth = reauth;
+    return reauth;
+};
+
+/**
+ * Queries and/or sets whether this instance should automatically sign in
+ * again if its session with the cloud expires. By default this is off.
+ *
+ * If enabled, the options passed to [signin()]{@link WirelessTagPlatform#signin}
+ * are remembered (until [signing off]{@link WirelessTagPlatform#signoff}),
+ * and an API call failing because the session expired is replayed once
+ * after successfully signing in again. Note that the options (which can
+ * include the password) are kept in memory for this, unless the
+ * credentials are given as a function (option `credentials`), which is
+ * then called again.
+ *
+ * @param {boolean} [enable] - on set, whether or not to enable reconnecting
+ * @returns {boolean} whether or not reconnecting is currently enabled
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.autoReconnect = function(enable) {
+    if (enable !== undefined) {
+        this._autoReconnect = enable;
+        if (! enable) this._signinOpts = undefined;
+    }
+    return this._autoReconnect || false;
+};
+
+/**
+ * Exports the session cookies of this instance, so that the session can
+ * later be resumed, for example by a restarted process, without signing in
+ * again (see {@link WirelessTagPlatform#importSession}).
+ *
+ * Note that the exported session gives access to the account just like
+ * the password does, and should be stored accordingly.
+ *
+ * @returns {Object} a JSON-serializable object, with the base URI of the
+ *          API server as property `apiBaseURI`, and the cookies (as strings
+ *          in `Set-Cookie` format) as property `cookies`
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.exportSession = function() {
+    let cookies = this.cookieJar.getCookies(this.apiBaseURI);
+    return {
+        apiBaseURI: this.apiBaseURI,
+        cookies: cookies.map((c) => c.toString())
+    };
+};
+
+/**
+ * Imports session cookies previously obtained from
+ * {@link WirelessTagPlatform#exportSession} into this instance's cookie
+ * jar. Use [isSignedIn()]{@link WirelessTagPlatform#isSignedIn} to test
+ * whether the imported session is still valid.
+ *
+ * @param {Object} session - the session as exported
+ * @returns {WirelessTagPlatform} this object (to enable chaining)
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.importSession = function(session) {
+    let uri = session.apiBaseURI || this.apiBaseURI;
+    (session.cookies || []).forEach((c) => this.cookieJar.setCookie(c, uri));
+    // whether we're signed out is no longer known
+    this._signedOut = false;
+    return this;
+};
+
+/**
+ * Obtains the HTTP headers needed for authenticating API calls made on
+ * behalf of this instance. At present, this is only non-empty if this
+ * instance was [signed in]{@link WirelessTagPlatform#signin} with a
+ * bearer token.
+ *
+ * Users should not normally need to call this method directly. It is
+ * mainly used by {@link WirelessTagPlatform.callAPI}, and by updater
+ * plugins making their own calls to the cloud.
+ *
+ * @returns {Object} the HTTP header names and values
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.authHeaders = function() {
+    if (! this._bearer) return {};
+    return { Authorization: 'Bearer ' + this._bearer };
+};
+
+/**
+ * Obtains the cumulative statistics of the calls to the cloud API made
+ * by this instance, per API endpoint. See {@link APIStats#snapshot} for
+ * the structure of the returned object.
+ *
+ * @param {boolean} [reset] - whether to start over collecting statistics
+ *          after obtaining them
+ * @returns {object} the statistics collected since this instance was
+ *          created, or since they were last reset
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.stats = function(reset) {
+    let stats = this._apiStats.snapshot();
+    if (reset) this._apiStats.reset();
+    return stats;
+};
+
 /**
  * Tests whether this instance is signed in to the cloud API. (This used to
  * be named `isConnected()` prior to v0.6.0, which remains an alias.)
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback` (since v0.8.0)
+ *
+ * Unless this instance is in the process of signing in, the answer also
+ * updates its [state]{@link WirelessTagPlatform#state} (since v0.8.0).
  *
  * @returns {Promise} resolves to true if signed in, and false otherwise
  * @since 0.6.0
  */
-WirelessTagPlatform.prototype.isSignedIn = function(callback) {
-    return this.callAPI('/ethAccount.asmx/IsSignedIn', {}, callback).
+WirelessTagPlatform.prototype.isSignedIn = function(callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
+    return this.callAPI('/ethAccount.asmx/IsSignedIn', {}, callback, options).
         then((res) => {
+            if (! this.connecting) {
+                if (res) {
+                    this._setState('connected');
+                } else if (this._state === 'connected') {
+                    this._setState('disconnected');
+                }
+            }
             if (callback) callback(null, { object: this, value: res });
             return res;
         });
 };
 
+/**
+ * Waits until this instance is [connected]{@link WirelessTagPlatform#state}
+ * to the cloud, such as when signing in elsewhere in the app, or signing
+ * in again after the session expired. Resolves right away if already
+ * connected. Note that this will not sign in by itself.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - the time in milliseconds after which
+ *          to give up waiting
+ * @param {AbortSignal} [options.signal] - a signal for giving up waiting
+ * @returns {Promise} resolves to 'this' once connected, and rejects with
+ *          an [OperationTimedOutError]{@link WirelessTagPlatform.OperationTimedOutError}
+ *          or [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}
+ *          if giving up waiting
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.whenConnected = function(options) {
+    return u.withAbort((signal) => new Promise((resolve) => {
+        if (this._state === 'connected') return resolve(this);
+        let onChange = (event) => {
+            if (event.state !== 'connected') return;
+            stop();
+            resolve(this);
+        };
+        let stop = () => {
+            this.removeListener('stateChange', onChange);
+            if (signal) signal.removeEventListener('abort', stop);
+        };
+        this.on('stateChange', onChange);
+        if (signal) signal.addEventListener('abort', stop);
+        return undefined;
+    }), options, 'whenConnected');
+};
+
+/**
+ * Changes the state of this instance's connection with the cloud.
+ *
+ * @param {string} state - one of [STATES]{@link WirelessTagPlatform.STATES}
+ * @param {Error} [error] - the error causing the change, if any
+ * @fires WirelessTagPlatform#stateChange
+ * @private
+ */
+WirelessTagPlatform.prototype._setState = function(state, error) {
+    let previous = this._state;
+    // whether a session may still exist is only unknown before first
+    // signing in, or after importing one
+    this._signedOut = (state === 'disconnected' || state === 'failed');
+    if (state === previous) return;
+    this._state = state;
+    this.emit('stateChange', {
+        state: state,
+        previous: previous,
+        error: error,
+        platform: this
+    });
+};
+
 /**
  * Retrieves the tag managers available to the connected account. The
  * list is optionally filtered depending on the supplied query
@@ -193,29 +773,51 @@ WirelessTagPlatform.prototype.isSignedIn = function(callback) {
  *                 meet. The most useful ones are likely 'name' and
  *                 'mac'. Consult the [GetTagManagers JSON API]{@link
  *                 http://wirelesstag.net/media/mytaglist.com/ethAccount.asmx@op=GetTagManagers.html}
- *                 for possible keys.
+ *                 for possible keys. Since v0.8.0, queries can use
+ *                 operators, see {@link module:lib/query}.
  * @param {module:wirelesstags~apiCallback} [callback] - if provided,
  *                `query` must be provided too, even if as value undefined.
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback` (since v0.8.0)
+ *
+ * Previously discovered tag managers that are no longer returned by the
+ * cloud are reported by a [lost event]{@link WirelessTagPlatform#event:lost}
+ * (regardless of the query), and those matching the query whose
+ * properties changed by a [change event]{@link WirelessTagPlatform#event:change}
+ * (since v0.8.0).
  *
  * @fires WirelessTagPlatform#discover
+ * @fires WirelessTagPlatform#change
+ * @fires WirelessTagPlatform#lost
  * @returns {Promise} resolves to an array of (optionally filtered)
  *                    {@link WirelessTagManager} instances
  */
-WirelessTagPlatform.prototype.discoverTagManagers = function(query, callback) {
+WirelessTagPlatform.prototype.discoverTagManagers = function(query,
+                                                             callback,
+                                                             options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
 
     var req = this.callAPI(
         '/ethAccount.asmx/GetTagManagers',
         {},
-        callback);
+        callback,
+        options);
     return req.then(
         (result) => {
             let knownMgrs = new Map(this._tagManagersByMAC);
             let tagManagers = [];
-            result = result.filter(u.createFilter(query));
-            for (let mgrData of result) {
+            let changed = [];
+            for (let mgrData of result.filter(u.createFilter(query))) {
                 let tagManager = knownMgrs.get(mgrData.mac);
                 if (tagManager) {
-                    tagManager.data = mgrData;
+                    let changes = tagManagerChanges(tagManager.data, mgrData);
+                    tagManager._setCloudData(mgrData);
+                    if (changes) {
+                        changed.push({ tagManager: tagManager, changes: changes });
+                    }
                 } else {
                     tagManager = this.factory.createTagManager(mgrData);
                     this.emit('discover', tagManager);
@@ -223,18 +825,35 @@ WirelessTagPlatform.prototype.discoverTagManagers = function(query, callback) {
                 tagManagers.push(tagManager);
             }
 
-            // In the absence of filtering we should have a complete list of
-            // tag managers currently accessible to the logged-in account.
-            // Use this to rebuild the cache of known tag managers, so that
-            // tag managers to which the logged in account no longer
-            // has access are removed from the cache.
-            let usedFilter = query && (Object.keys(query).length >= 0);
-            let mgrCache = usedFilter ? this._tagManagersByMAC : new Map();
+            // The filtering happens here, so regardless of the query we
+            // have a complete list of tag managers currently accessible to
+            // the logged-in account. Use this to rebuild the cache of known
+            // tag managers, so that tag managers to which the logged in
+            // account no longer has access are removed from the cache.
+            let macs = new Set(result.map((m) => m.mac));
+            let mgrCache = new Map();
+            let lost = [];
+            knownMgrs.forEach((m, mac) => {
+                if (macs.has(mac)) {
+                    mgrCache.set(mac, m);
+                } else {
+                    lost.push(m);
+                }
+            });
             tagManagers.forEach((m) => mgrCache.set(m.mac, m));
             // also try to make the change of the cache as atomic of an
             // operation as possible
-            if (! usedFilter) this._tagManagersByMAC = mgrCache;
+            this._tagManagersByMAC = mgrCache;
 
+            changed.forEach((change) => this.emit('change', change));
+            lost.forEach((m) => {
+                // no point in probing a tag manager we no longer have
+                if (m.circuitBreaker) m.circuitBreaker.reset();
+                this.eachTag().
+                    filter((tag) => tag.wirelessTagManager === m).
+                    forEach((tag) => this._forgetTag(tag));
+                this.emit('lost', m);
+            });
             if (callback) callback(null, { object: this, value: tagManagers });
             return tagManagers;
         },
@@ -255,6 +874,8 @@ WirelessTagPlatform.prototype.discoverTagManagers = function(query, callback) {
  *
  * @param {string} mac - the MAC identifier for the tag manager
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback` (since v0.8.0)
  *
  * @fires WirelessTagPlatform#discover
  * @returns {Promise} resolves to the matching {@link WirelessTagManager}
@@ -262,14 +883,19 @@ WirelessTagPlatform.prototype.discoverTagManagers = function(query, callback) {
  *                    and to undefined otherwise.
  * @since 0.6.0
  */
-WirelessTagPlatform.prototype.findTagManager = function(mac, callback) {
+WirelessTagPlatform.prototype.findTagManager = function(mac, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     let mgr = this.getTagManager(mac);
     if (mgr) {
         if (callback) callback(null, { object: this, value: mgr });
         return Promise.resolve(mgr);
     }
     let ecb = callback ? (e) => { if (e) return callback(e); } : undefined;
-    return this.discoverTagManagers({ mac: mac }, ecb).then((mgrs) => {
+    let req = this.discoverTagManagers({ mac: mac }, ecb, options);
+    return req.then((mgrs) => {
         if (callback) callback(null, { object: this, value: mgrs[0] });
         return mgrs[0];
     });
@@ -312,6 +938,38 @@ WirelessTagPlatform.prototype.eachTagManager = function(action) {
     return retVals;
 };
 
+/**
+ * Obtains the tag with the given UUID if it has been discovered before and
+ * is still available, i.e., if it is cached. Tags are cached by
+ * {@link WirelessTagPlatform#discoverTags} (and thus
+ * {@link WirelessTagManager#discoverTags}), by
+ * {@link WirelessTagManager#findTagById}, and by the polling updater in
+ * discovery mode.
+ *
+ * @param {string} uuid - the UUID of the tag
+ * @returns {WirelessTag} the cached tag object, or undefined if there is
+ *          no tag with this UUID in the cache
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.getTag = function(uuid) {
+    return this._tagsByUUID.get(uuid);
+};
+
+/**
+ * Invokes the given action on each tag object currently cached (see
+ * {@link WirelessTagPlatform#getTag}), and returns the results as an
+ * array. If no action is specified, return the currently cached tag
+ * objects.
+ *
+ * @param {function} [action] - the function to invoke for each tag object
+ * @returns {Array} the results of each invocation
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.eachTag = function(action) {
+    let tags = Array.from(this._tagsByUUID.values());
+    return action === undefined ? tags : tags.map(action);
+};
+
 /**
  * Retrieves the tags available to the connected account. The list is
  * optionally filtered depending on the supplied query parameter.
@@ -329,6 +987,14 @@ WirelessTagPlatform.prototype.eachTagManager = function(action) {
  * and the tag manager objects will in turn fire ['discover']{@link WirelessTagManager#event:discover}
  * events for each of their associated tags.
  *
+ * Since v0.8.0, tag objects are cached by UUID, and for tags discovered
+ * before, the cached objects are updated in place and returned, so that
+ * event listeners, update loops, and sensor objects remain in effect.
+ * ['discover']{@link WirelessTagManager#event:discover} events are fired
+ * only for newly created tag objects, and ['lost']{@link WirelessTagManager#event:lost}
+ * events for cached tags that are no longer returned by the cloud
+ * (regardless of the query).
+ *
  * @param {Object} [query] - an object with keys and values that a tag
  *                 data object returned by the API has to meet. The
  *                 most useful ones are likely `name` and
@@ -336,30 +1002,45 @@ WirelessTagPlatform.prototype.eachTagManager = function(action) {
  *                 for possible keys. The special key `wirelessTagManager`
  *                 can be used to add a query object for tag managers
  *                 (see {@link WirelessTagPlatform#discoverTagManagers}).
+ *                 Since v0.8.0, queries can use operators, and the derived
+ *                 properties `sensors` and `facts`, see {@link module:lib/query}.
  * @param {module:wirelesstags~apiCallback} [callback] - if provided,
  *                `query` must be provided too, even if as value undefined.
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback` (since v0.8.0); the timeout applies
+ *                to discovering tag managers and tags as a whole
  *
  * @fires WirelessTagPlatform#discover
  * @fires WirelessTagManager#discover
+ * @fires WirelessTagManager#lost
  * @returns {Promise} resolves to an array of {@link WirelessTag}
  *                    instances associated with tag managers
  *                    accessible to the logged-in account.
  * @since 0.6.0
  */
-WirelessTagPlatform.prototype.discoverTags = function(query, callback) {
+WirelessTagPlatform.prototype.discoverTags = function(query, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
 
     // we will need all matching tag manager objects anyway, so request an
     // up-to-date cache of those upfront, possibly filtering if requested
     query = Object.assign({}, query);   // copy so we can manipulate keys
     let mgrFilter = u.createFilter(query.wirelessTagManager);
     let ecb = callback ? (e) => { if (e) return callback(e); } : undefined;
-    let req = this.discoverTagManagers(mgrFilter, ecb);
     delete query.wirelessTagManager;    // ensure this doesn't interfere below
 
-    // only then make the actual API call for discovering tags
-    req = req.then(() => this.callAPI('/ethClient.asmx/GetTagManagerTagList',
-                                      {},
-                                      callback));
+    let req = u.withAbort((signal) => {
+        let mgrReq = this.discoverTagManagers(mgrFilter, ecb,
+                                              { signal: signal });
+        // only then make the actual API call for discovering tags
+        return mgrReq.then(
+            () => this.callAPI('/ethClient.asmx/GetTagManagerTagList',
+                               {},
+                               callback,
+                               { signal: signal }));
+    }, options, "discoverTags");
     return req.then(
         (result) => {
             let filter = u.createFilter(query);
@@ -378,15 +1059,19 @@ WirelessTagPlatform.prototype.discoverTags = function(query, callback) {
                     throw e;  // if no callback, or the callback didn't throw
                 }
 
-                // create and populate tag objects
-                let tagsList = rec.tags.filter(filter);
-                for (let tagData of tagsList) {
-                    let tag = this.factory.createTag(mgr, tagData);
-                    // console.log(tagData);
-                    tagObjs.push(tag);
-                    mgr.emit('discover', tag);
+                // create and populate tag objects, or update cached ones
+                for (let tagData of rec.tags) {
+                    // queries can involve properties derived by tag objects
+                    if (! filter(WirelessTag.dataView(mgr, tagData))) continue;
+                    tagObjs.push(this._cacheTag(mgr, tagData));
                 }
             }
+            // tags that the cloud no longer returns are gone
+            let uuids = new Set();
+            result.forEach((rec) => rec.tags.forEach((t) => uuids.add(t.uuid)));
+            this.eachTag().
+                filter((tag) => ! uuids.has(tag.uuid)).
+                forEach((tag) => this._forgetTag(tag));
             if (callback) callback(null, { object: this, value: tagObjs });
             return tagObjs;
         },
@@ -394,6 +1079,128 @@ WirelessTagPlatform.prototype.discoverTags = function(query, callback) {
     );
 };
 
+/**
+ * Iterates asynchronously over the tag managers available to the connected
+ * account, optionally filtered by the given query. This is an alternative
+ * to {@link WirelessTagPlatform#discoverTagManagers}, which it uses, for
+ * consuming the tag managers with `for await ... of`:
+ *
+ *     for await (let mgr of platform.tagManagers({ online: true })) {
+ *         console.log(mgr.name);
+ *     }
+ *
+ * The returned iterator can be consumed only once. API calls are made only
+ * once iteration starts, and iteration can be stopped early (such as by
+ * `break`) at any time.
+ *
+ * @param {Object} [query] - see {@link WirelessTagPlatform#discoverTagManagers}
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - a signal for aborting the
+ *          iteration, upon which it fails with an
+ *          [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}
+ *
+ * @fires WirelessTagPlatform#discover
+ * @fires WirelessTagPlatform#change
+ * @fires WirelessTagPlatform#lost
+ * @returns {AsyncIterator} yields {@link WirelessTagManager} instances
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.tagManagers = function(query, options) {
+    return u.asyncIterator((emit, signal) => {
+        let req = this.discoverTagManagers(query, { signal: signal });
+        return req.then((mgrs) => emitEach(mgrs, emit));
+    }, options, "tagManagers");
+};
+
+/**
+ * Iterates asynchronously over the tags available to the connected account,
+ * optionally filtered by the given query. This is an alternative to
+ * {@link WirelessTagPlatform#discoverTags} for consuming the tags with
+ * `for await ... of`:
+ *
+ *     for await (let tag of platform.tags({ sensors: { $in: ['humidity'] } })) {
+ *         for await (let sensor of tag.sensors()) {
+ *             console.log(tag.name, sensor.sensorType, sensor.reading);
+ *         }
+ *     }
+ *
+ * In contrast to {@link WirelessTagPlatform#discoverTags}, the tag managers
+ * are discovered first, and then the tags are retrieved for one tag manager
+ * (using {@link WirelessTagManager#discoverTags}) at a time, yielding each
+ * tag manager's tags as its list arrives. The list for the next tag manager
+ * is retrieved only once the consumer has taken all tags of the previous
+ * one, so stopping iteration early (such as by `break`) saves the API calls
+ * for the remaining tag managers. Note that this makes for more API calls
+ * overall than {@link WirelessTagPlatform#discoverTags} if all tags are
+ * consumed.
+ *
+ * The returned iterator can be consumed only once. API calls are made only
+ * once iteration starts.
+ *
+ * @param {Object} [query] - see {@link WirelessTagPlatform#discoverTags}
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - a signal for aborting the
+ *          iteration, upon which it fails with an
+ *          [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}
+ *
+ * @fires WirelessTagPlatform#discover
+ * @fires WirelessTagManager#discover
+ * @fires WirelessTagManager#lost
+ * @returns {AsyncIterator} yields {@link WirelessTag} instances
+ * @since 0.8.0
+ */
+WirelessTagPlatform.prototype.tags = function(query, options) {
+    let mgrQuery = query ? query.wirelessTagManager : undefined;
+    return u.asyncIterator((emit, signal) => {
+        let opts = { signal: signal };
+        let req = this.discoverTagManagers(mgrQuery, opts);
+        return req.then((mgrs) => mgrs.reduce((prev, mgr) => prev.then(() => {
+            if (signal.aborted) return undefined;
+            return mgr.discoverTags(query, opts).
+                then((tags) => emitEach(tags, emit));
+        }), Promise.resolve()));
+    }, options, "tags");
+};
+
+/**
+ * Adds a tag to the cache of tags, or if it is cached already, updates the
+ * cached tag object with the given data.
+ *
+ * @param {WirelessTagManager} tagManager - the tag manager of the tag
+ * @param {object} tagData - the tag's data as returned by the cloud
+ * @param {WirelessTag} [newTag] - the tag object to add if the tag isn't
+ *          cached yet; by default one is created
+ * @returns {WirelessTag} the new or updated tag object
+ * @fires WirelessTagManager#discover
+ * @private
+ */
+WirelessTagPlatform.prototype._cacheTag = function(tagManager, tagData, newTag) {
+    let tag = this._tagsByUUID.get(tagData.uuid);
+    if (tag) {
+        // the tag may have been moved to a different tag manager
+        tag.wirelessTagManager = tagManager;
+        tag.data = tagData;
+        return tag;
+    }
+    tag = newTag || this.factory.createTag(tagManager, tagData);
+    if (tag.uuid) this._tagsByUUID.set(tag.uuid, tag);
+    tagManager.emit('discover', tag);
+    return tag;
+};
+
+/**
+ * Removes the given tag from the cache of tags, and stops its update loop.
+ *
+ * @param {WirelessTag} tag
+ * @fires WirelessTagManager#lost
+ * @private
+ */
+WirelessTagPlatform.prototype._forgetTag = function(tag) {
+    this._tagsByUUID.delete(tag.uuid);
+    tag.stopUpdateLoop();
+    tag.wirelessTagManager.emit('lost', tag);
+};
+
 /**
  * Selects the given tag manager for subsequent API calls that expect
  * it, if the tag manager is not already selected. Note that the
@@ -402,16 +1209,25 @@ WirelessTagPlatform.prototype.discoverTags = function(query, callback) {
  *
  * @param {WirelessTagManager} tagManager - the tag manager instance to select
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback` (since v0.8.0)
  *
  * @returns {Promise} resolves to the tag manager instance
  */
-WirelessTagPlatform.prototype.selectTagManager = function(tagManager, callback) {
+WirelessTagPlatform.prototype.selectTagManager = function(tagManager,
+                                                          callback,
+                                                          options) {
     if (tagManager.selected) return Promise.resolve(tagManager);
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
 
     var req = this.callAPI(
         '/ethAccount.asmx/SelectTagManager',
         { mac: tagManager.mac },
-        callback);
+        callback,
+        options);
     return req.then(
         () => {
             tagManager.data.selected = true;
@@ -424,13 +1240,15 @@ WirelessTagPlatform.prototype.selectTagManager = function(tagManager, callback)
 
 /**
  * Queries and/or sets whether failed API calls should be retried. By
- * default this is off.
+ * default this is off, unless a retry policy was provided to the
+ * constructor.
  *
- * Note that failed calls are only retried under certain conditions,
- * and only for a certain number of times. At present, the condition
- * is that failure be due to the tag not responding, and the call is
- * retried only once, after waiting [WAIT_BEFORE_RETRY]{@link
- * module:lib/platform~WAIT_BEFORE_RETRY} milliseconds.
+ * Note that failed calls are only retried under the conditions, and only
+ * for the number of times, set by the [retry policy]{@link WirelessTagPlatform#retryPolicy}.
+ * By default, the condition is that failure be due to the tag not
+ * responding, and the call is retried only once, after waiting
+ * [WAIT_BEFORE_RETRY]{@link module:lib/retrypolicy~WAIT_BEFORE_RETRY}
+ * milliseconds.
  *
  * @param {boolean} [enable] - on set, whether or not to enable retrying
  * @returns {boolean} whether or not retrying is currently enabled
@@ -497,15 +1315,43 @@ WirelessTagPlatform.factory = function(platform) {
  *                 error, and it is the caller's responsibility to
  *                 call it with the appropriately processed return
  *                 value in case of success.
+ * @param {object} [options] - options for this call (since v0.8.0); can
+ *                 also be passed in place of `callback`
+ * @param {RetryPolicy|Object|boolean} [options.retry] - a retry policy,
+ *                 or options overriding those of the platform's
+ *                 [retry policy]{@link WirelessTagPlatform#retryPolicy}
+ *                 for this call; `true` or `false` enable or disable
+ *                 retrying for this call regardless of
+ *                 [retryOnError()]{@link WirelessTagPlatform#retryOnError}
+ * @param {number} [options.priority] - the priority of this call in the
+ *                 tag manager's [command queue]{@link CommandQueue}, if
+ *                 the call goes through a tag manager
+ * @param {number} [options.timeout] - the time in milliseconds after which
+ *                 to give up on the call, including time spent waiting in
+ *                 the command queue and for retries
+ * @param {AbortSignal} [options.signal] - a signal for cancelling the call
  *
+ * @fires WirelessTagPlatform#request
+ * @fires WirelessTagPlatform#response
+ * @fires WirelessTagPlatform#apiError
+ * @fires WirelessTagPlatform#retry
  * @returns {Promise} Resolves to the value of the 'd' property of the
  *                 response body from the API endpoint (or the body itself
  *                 if there is no 'd' property). Invokes error handler
  *                 function on error. The default handler will rethrow the
- *                 error, resulting in rejecting the promise.
+ *                 error, resulting in rejecting the promise. If the call
+ *                 times out or is cancelled, the error is an
+ *                 [OperationTimedOutError]{@link WirelessTagPlatform.OperationTimedOutError}
+ *                 or an [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError},
+ *                 respectively.
  */
-WirelessTagPlatform.callAPI = function(uri, reqBody, callback) {
+WirelessTagPlatform.callAPI = function(uri, reqBody, callback, options) {
     let platform, tagManager;
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
+    options = options || {};
 
     /* eslint-disable consistent-this */
     if (this instanceof WirelessTagPlatform) {
@@ -528,26 +1374,118 @@ WirelessTagPlatform.callAPI = function(uri, reqBody, callback) {
         uri = api_base + uri;
     }
 
-    // if we got a tag manager instance and it may need to be selected,
-    // specify it in the header
-    let options;
-    if (tagManager
-        && ((!tagManager.selected)
-            || (platform && platform.eachTagManager().length > 1))) {
-        options = { headers: { 'X-Set-Mac': tagManager.mac } };
-    }
+    let apiOptions = (signal) => {
+        // authenticate the call if the platform uses a bearer token
+        let headers = platform ? platform.authHeaders() : {};
+        // if we got a tag manager instance and it may need to be selected,
+        // specify it in the header
+        if (tagManager
+            && ((!tagManager.selected)
+                || (platform && platform.eachTagManager().length > 1))) {
+            headers['X-Set-Mac'] = tagManager.mac;
+        }
+        let opts = {};
+        if (Object.keys(headers).length > 0) opts.headers = headers;
+        // use the platform's session, not the process-wide one
+        if (platform) {
+            opts.jar = platform.cookieJar;
+            opts.transport = platform.transport;
+            opts.redactKeys = platform.redactKeys;
+        }
+        if (signal) opts.signal = signal;
+        return opts;
+    };
+
+    // calls going through a tag manager are queued so that the tag manager
+    // isn't sent more commands at a time than it can handle
+    let queue = tagManager ? tagManager.commandQueue : undefined;
+    let priority = options.priority;
+    if (queue && priority === undefined) priority = queue.priorityFor(uri);
+    // calls through a tag manager known to be offline fail right away
+    let breaker = tagManager ? tagManager.circuitBreaker : undefined;
+    let invoke = (signal, attempt) => {
+        let call = () => {
+            // the call may have been aborted while waiting in the queue
+            if (signal && signal.aborted) throw u.abortError(signal, uri);
+            if (breaker && breaker.isOpen()) {
+                throw new TagManagerOfflineError(
+                    "Tag manager " + tagManager.mac + " is known to be "
+                        + "offline since " + breaker.openedAt.toISOString()
+                        + ", not calling it",
+                    { url: uri,
+                      requestBody: reqBody,
+                      redactKeys: platform ? platform.redactKeys : undefined });
+            }
+            let callInfo = {
+                uri: uri,
+                endpoint: url.parse(uri).pathname,
+                mac: tagManager ? tagManager.mac : undefined,
+                attempt: attempt,
+                object: this
+            };
+            let req = instrumentAPICall(
+                platform,
+                callInfo,
+                () => makeAPICall(uri, reqBody, apiOptions(signal)));
+            if (! breaker) return req;
+            return req.then((result) => {
+                breaker.recordSuccess();
+                return result;
+            }, (e) => {
+                breaker.recordFailure(e);
+                throw e;
+            });
+        };
+        // don't make a call that will fail right away wait in the queue
+        if (breaker && breaker.isOpen()) {
+            return new Promise((resolve) => resolve(call()));
+        }
+        return queue ? queue.push(call, priority) : call();
+    };
 
     // perform the API call
-    let apiCall = makeAPICall(uri, reqBody, options).catch((e) => {
-        // if the call failed due to lack of response from a tag, try again
-        // once if we're configured to do so
-        if (platform
-            && platform.retryOnError()
-            && (e instanceof TagDidNotRespondError)) {
-            return delay(WAIT_BEFORE_RETRY).then(
-                () => makeAPICall(uri, reqBody, options)
-            );
+    let sendOnce = (signal, attempt) => invoke(signal, attempt).catch((e) => {
+        if (platform && isSessionExpiredError(e, uri)) {
+            // if the call failed because the session expired, sign in
+            // again and replay the call once if we're configured to do so
+            if (platform.autoReconnect()) {
+                return platform.reauthenticate().then(
+                    () => invoke(signal, attempt));
+            }
+            if (platform.state === 'connected') {
+                platform._setState('disconnected', e);
+            }
         }
+        throw e;
+    });
+    // if the call failed, retry as the retry policy says, if we are
+    // configured to do so
+    let policy = retryPolicyFor(platform, options.retry);
+    let startTime = Date.now();
+    let send = (signal, attempt) => sendOnce(signal, attempt).catch((e) => {
+        let wait = policy ?
+            policy.retryDelay(e, attempt, Date.now() - startTime) : undefined;
+        if (wait === undefined || (signal && signal.aborted)) throw e;
+        // no point in retrying while the tag manager is known to be offline
+        if (breaker && breaker.isOpen()) throw e;
+        platform.emit('retry', {
+            error: e,
+            attempt: attempt,
+            delay: wait,
+            uri: uri,
+            object: this
+        });
+        // stop waiting as soon as the call is aborted
+        return u.withAbort(() => delay(wait), { signal: signal }, uri).
+            then(() => send(signal, attempt + 1));
+    });
+    let apiCall = u.withAbort(
+        (signal) => checkAccess(tagManager, uri, reqBody).
+            then(() => whenSignedIn(platform, uri, signal)).
+            then(() => send(signal, 1)),
+        options,
+        uri
+    ).catch((e) => {
         let handler = platform ?
             platform.errorHandler(callback) : u.defaultHandler(callback);
         handler(e);
@@ -555,6 +1493,120 @@ WirelessTagPlatform.callAPI = function(uri, reqBody, callback) {
     return apiCall;
 };
 
+/**
+ * Checks whether the connected account has the access to the given tag
+ * manager needed for calling the given API endpoint through it. A tag
+ * manager shared with the account read-only can only be read from, and
+ * the cloud would refuse calls to any of the {@link WRITE_ENDPOINTS}.
+ *
+ * @param {WirelessTagManager} [tagManager]
+ * @param {string} uri - the URI of the API endpoint
+ * @param {object} [reqBody] - the body of the API call
+ * @returns {Promise} resolves if the call can be made, and rejects with an
+ *          [UnauthorizedAccessError]{@link WirelessTagPlatform.UnauthorizedAccessError}
+ *          otherwise
+ * @private
+ */
+function checkAccess(tagManager, uri, reqBody) {
+    if (! tagManager || tagManager.accessLevel !== 'readOnly'
+        || WRITE_ENDPOINTS.indexOf(uri.replace(/^.*\//, '')) < 0) {
+        return Promise.resolve();
+    }
+    let platform = tagManager.wirelessTagPlatform;
+    return Promise.reject(new UnauthorizedAccessError(
+        "Tag manager " + tagManager.mac + " is shared with this account "
+            + "read-only, not calling it",
+        { url: uri,
+          requestBody: reqBody,
+          redactKeys: platform ? platform.redactKeys : undefined }));
+}
+
+/**
+ * Waits, if needed, until the given platform instance is signed in for
+ * calling the given API endpoint. Calls made while signing in is in
+ * progress wait for it to finish, and calls made while the platform is
+ * known not to be signed in are rejected. The endpoints for signing in
+ * and out are always called right away.
+ *
+ * @param {WirelessTagPlatform} [platform]
+ * @param {string} uri - the URI of the API endpoint
+ * @param {AbortSignal} [signal] - stops waiting when aborted, leaving
+ *          rejecting to the caller
+ * @returns {Promise} resolves when the call can be made, and rejects with
+ *          a [NotConnectedError]{@link WirelessTagPlatform.NotConnectedError}
+ *          otherwise
+ * @private
+ */
+function whenSignedIn(platform, uri, signal) {
+    if (! platform || SESSION_URI.test(uri)) return Promise.resolve();
+    if (platform.connecting) {
+        if (signal && signal.aborted) return Promise.reject(signal.reason);
+        return new Promise((resolve) => {
+            let onChange = () => {
+                if (platform.connecting) return;
+                stop();
+                resolve(whenSignedIn(platform, uri, signal));
+            };
+            let stop = () => {
+                platform.removeListener('stateChange', onChange);
+                if (signal) signal.removeEventListener('abort', stop);
+            };
+            platform.on('stateChange', onChange);
+            if (signal) signal.addEventListener('abort', stop);
+        });
+    }
+    if (platform._signedOut) {
+        return Promise.reject(new NotConnectedError(null, platform.state, uri));
+    }
+    return Promise.resolve();
+}
+
+/**
+ * Makes an API call on behalf of the given platform instance such that
+ * the platform emits instrumentation events, and records the call in its
+ * statistics.
+ *
+ * @param {WirelessTagPlatform} [platform] - if undefined, the call is
+ *          made without instrumentation
+ * @param {object} callInfo - the properties of the events to emit, see
+ *          [request event]{@link WirelessTagPlatform#event:request}
+ * @param {function} call - makes the call, expected to return a promise
+ * @returns {Promise} the promise returned by `call`
+ * @private
+ */
+function instrumentAPICall(platform, callInfo, call) {
+    if (! platform) return call();
+    platform._apiStats.recordRequest(callInfo.endpoint, callInfo.attempt);
+    platform.emit('request', callInfo);
+    let startTime = Date.now();
+    return call().then((result) => {
+        let duration = Date.now() - startTime;
+        platform._apiStats.recordResponse(callInfo.endpoint, duration);
+        // any status other than 200 would have resulted in an error
+        platform.emit('response', Object.assign({
+            statusCode: 200,
+            duration: duration
+        }, callInfo));
+        return result;
+    }, (error) => {
+        let duration = Date.now() - startTime;
+        platform._apiStats.recordResponse(callInfo.endpoint, duration, error);
+        platform.emit('apiError', Object.assign({
+            error: error,
+            statusCode: error.apiStatusCode,
+            duration: duration
+        }, callInfo));
+        throw error;
+    });
+}
+
+/**
+ * The transport adapter used for API calls not made on behalf of a
+ * platform instance.
+ * @private
+ */
+const defaultTransport = transport.request();
+
 /**
  * Invokes an endpoint of the Wireless Tag JSON API, and returns a promise
  * that resolves to the result (see below).
@@ -565,8 +1617,11 @@ WirelessTagPlatform.callAPI = function(uri, reqBody, callback) {
  * @param {object} reqBody - The body for the request, as a JSON object. If
  *          defined and non-null, overrides the `body` property possibly
  *          given in the `options` parameter.
- * @param {object} [options] - options to be passed through to `request()`,
- *          such as custom headers.
+ * @param {object} [options] - options for the request, such as custom
+ *          headers (`headers`), the cookie jar (`jar`), the transport
+ *          adapter (`transport`, see {@link module:lib/transport}) to use,
+ *          an abort signal (`signal`), and the keys of values to redact
+ *          from errors (`redactKeys`).
  *
  * @returns {Promise} Resolves to the value of the `d` property of the
  *          response body from the API endpoint (or the body itself if there
@@ -575,26 +1630,100 @@ WirelessTagPlatform.callAPI = function(uri, reqBody, callback) {
 function makeAPICall(uri, reqBody, options) {
     let opts = {
         method: 'POST',
-        json: true,
-        jar: true,
-        gzip: true
+        headers: {},
+        jar: true
     };
     if (options) opts = Object.assign(opts, options);
     if (uri) opts.uri = uri;
     if (arguments.length < 3 && ! reqBody) reqBody = {};
     if (reqBody) opts.body = reqBody;
-    let apiCall = new Promise((resolve, reject) => {
-        request(opts, function (error, response, body) {
-            error = checkAPIerror(error, response, opts.uri, opts.body, body);
-            if (error) return reject(error);
-            resolve(body.d === undefined ? body : body.d);
-        });
+    let send = opts.transport || defaultTransport;
+    let apiCall = send({
+        method: opts.method,
+        uri: opts.uri,
+        body: opts.body,
+        headers: opts.headers,
+        jar: opts.jar,
+        signal: opts.signal
+    }).then((response) => {
+        let body = response ? response.body : undefined;
+        let error = checkAPIerror(null, response, opts.uri, opts.body, body,
+                                  opts.redactKeys);
+        if (error) throw error;
+        return (body && body.d !== undefined) ? body.d : body;
     });
     return apiCall;
 }
 
 var APICallError = require('./error/APICallError'),
-    TagDidNotRespondError = require('./error/TagDidNotRespondError');
+    TagDidNotRespondError = require('./error/TagDidNotRespondError'),
+    TagManagerOfflineError = require('./error/TagManagerOfflineError'),
+    NotConnectedError = require('./error/NotConnectedError'),
+    UnauthorizedAccessError = require('./error/UnauthorizedAccessError');
+
+/**
+ * The class of retry policies for failed API calls, see {@link RetryPolicy}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.RetryPolicy = RetryPolicy;
+
+/**
+ * The built-in transport adapters for API calls, see {@link module:lib/transport}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.transport = transport;
+
+/**
+ * The name of the built-in transport adapter used if none is given as
+ * option `transport`. This is `request`, except in the browser entry point
+ * of the library, where it is `fetch`.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.defaultTransport = 'request';
+
+/**
+ * The class of API call statistics, see {@link APIStats}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.APIStats = APIStats;
+
+/**
+ * Functions for redacting credentials from values and text, see
+ * {@link module:lib/redact}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.redact = redact;
+
+/**
+ * Functions for matching objects against queries, see {@link module:lib/query}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.query = queries;
+
+/**
+ * The class of recorders of API traffic, see {@link APIRecorder}. Its
+ * module is loaded only once needed.
+ * @name APIRecorder
+ * @memberof WirelessTagPlatform
+ * @since 0.8.0
+ */
+Object.defineProperty(WirelessTagPlatform, 'APIRecorder', {
+    enumerable: true,
+    get: () => require('./recorder') // eslint-disable-line global-require
+});
+
+/**
+ * The class of aggregates of platform objects signed in to different
+ * accounts, see {@link PlatformAggregate}. Its module is loaded only once
+ * needed.
+ * @name PlatformAggregate
+ * @memberof WirelessTagPlatform
+ * @since 0.8.0
+ */
+Object.defineProperty(WirelessTagPlatform, 'PlatformAggregate', {
+    enumerable: true,
+    get: () => require('./aggregate') // eslint-disable-line global-require
+});
 
 /** Generic error calling cloud API. */
 WirelessTagPlatform.APICallError = APICallError;
@@ -603,11 +1732,11 @@ WirelessTagPlatform.TagDidNotRespondError = TagDidNotRespondError;
 /** Error calling cloud API because the same command was sent again before a response to the first. */
 WirelessTagPlatform.DuplicateEthCmdError = require('./error/DuplicateEthCmdError');
 /** Error calling cloud API because the tag manager is offline. */
-WirelessTagPlatform.TagManagerOfflineError = require('./error/TagManagerOfflineError');
+WirelessTagPlatform.TagManagerOfflineError = TagManagerOfflineError;
 /** Error calling cloud API because the tag manager needed to respond but timed out */
 WirelessTagPlatform.TagManagerTimedOutError = require('./error/TagManagerTimedOutError');
 /** Error calling cloud API because logged in user is not authorized. */
-WirelessTagPlatform.UnauthorizedAccessError = require('./error/UnauthorizedAccessError');
+WirelessTagPlatform.UnauthorizedAccessError = UnauthorizedAccessError;
 /** Error calling cloud API because the requested operation is not valid */
 WirelessTagPlatform.InvalidOperationError = require('./error/InvalidOperationError');
 /** Thrown if the attempted cloud API call is not supported for the object for which it was made. */
@@ -623,14 +1752,119 @@ WirelessTagPlatform.OperationIncompleteError = require('./error/OperationIncompl
  * failed operation fails.
  */
 WirelessTagPlatform.RetryUnsuccessfulError = require('./error/RetryUnsuccessfulError');
+/**
+ * The operation was aborted, typically through the abort signal passed to
+ * it as option `signal`.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.OperationAbortedError = require('./error/OperationAbortedError');
+/**
+ * The operation was aborted because it did not complete within the time
+ * passed to it as option `timeout`.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.OperationTimedOutError = require('./error/OperationTimedOutError');
+/**
+ * Thrown in replay mode if no recorded request matches a request made,
+ * see {@link APIRecorder}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.UnmatchedRequestError = require('./error/UnmatchedRequestError');
+/**
+ * Thrown if a configuration file is malformed, or a profile requested from
+ * it is not defined, see {@link module:lib/config}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.ConfigError = require('./error/ConfigError');
+/**
+ * Thrown if an API call is made while the platform is known not to be
+ * signed in to the cloud, see [STATES]{@link WirelessTagPlatform.STATES}.
+ * @since 0.8.0
+ */
+WirelessTagPlatform.NotConnectedError = NotConnectedError;
+
+/**
+ * Emits the given values one after the other through the given function
+ * of an [async iterator's producer]{@link module:lib/util.asyncIterator},
+ * each once the consumer has taken the previous one.
+ *
+ * @returns {Promise} resolves once all values have been taken, or
+ *          iteration has stopped
+ * @private
+ */
+function emitEach(values, emit) {
+    return values.reduce(
+        (prev, value) => prev.then((more) => more && emit(value)),
+        Promise.resolve(true));
+}
+
+/**
+ * Determines how the properties of interest of a tag manager differ
+ * between the given data objects, see
+ * [TAG_MANAGER_CHANGE_KEYS]{@link module:lib/platform~TAG_MANAGER_CHANGE_KEYS}.
+ *
+ * @param {object} previous - the tag manager's previous data
+ * @param {object} current - the tag manager's new data
+ * @returns {object} the changes as for the [change event]{@link WirelessTagPlatform#event:change},
+ *          or undefined if there are none
+ * @private
+ */
+function tagManagerChanges(previous, current) {
+    let changes = {};
+    TAG_MANAGER_CHANGE_KEYS.forEach((key) => {
+        if (! deepEqual(previous[key], current[key])) {
+            changes[key] = { value: current[key], previous: previous[key] };
+        }
+    });
+    return Object.keys(changes).length > 0 ? changes : undefined;
+}
+
+/**
+ * Determines the retry policy to use for an API call made on behalf of
+ * the given platform instance.
+ *
+ * @param {WirelessTagPlatform} [platform]
+ * @param {RetryPolicy|Object|boolean} [override] - the `retry` option
+ *          passed for the call
+ * @returns {RetryPolicy} the policy, or undefined if the call is not to
+ *          be retried
+ * @private
+ */
+function retryPolicyFor(platform, override) {
+    if (! platform || override === false) return undefined;
+    if (override instanceof RetryPolicy) return override;
+    if (override === undefined && ! platform.retryOnError()) return undefined;
+    if (override && override !== true) {
+        return platform.retryPolicy.extend(override);
+    }
+    return platform.retryPolicy;
+}
+
+/**
+ * Tests whether the given error from calling the given API endpoint
+ * indicates that the session with the cloud has expired (or was otherwise
+ * signed out).
+ *
+ * @param {Error} error - the error with which the API call failed
+ * @param {string} uri - the URI of the API endpoint that was called
+ * @returns {boolean}
+ * @private
+ */
+function isSessionExpiredError(error, uri) {
+    // failing to sign in is not a matter of an expired session
+    if (/\/ethAccount\.asmx\/(Signin|IsSignedIn)$/.test(uri)) return false;
+    return (error instanceof UnauthorizedAccessError)
+        || ((error instanceof APICallError) && error.apiStatusCode === 401);
+}
 
-function checkAPIerror(error, response, uri, reqBody, body) {
+function checkAPIerror(error, response, uri, reqBody, body, redactKeys) {
     if (error) return error;
     if (! response) return new Error("undefined response for URI " + uri);
     if (response.statusCode !== 200) {
         let apiCallProps = { statusCode: response.statusCode,
                              requestBody: reqBody,
-                             url: uri };
+                             url: uri,
+                             redactKeys: redactKeys };
         let APIError = APICallError;
         let message = http.STATUS_CODES[response.statusCode];
         if (body) {
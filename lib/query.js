@@ -0,0 +1,262 @@
+"use strict";
+
+/**
+ * Declarative queries for selecting tag managers and tags, as accepted by
+ * {@link WirelessTagPlatform#discoverTagManagers},
+ * {@link WirelessTagPlatform#discoverTags}, {@link WirelessTagManager#discoverTags},
+ * and the updater plugins.
+ *
+ * A query is an object whose keys name properties, and whose values are
+ * the conditions the properties have to meet for an object to match:
+ * - A plain value (string, number, boolean, or null) matches if the
+ *   property has that value (by `Object.is`, as in earlier versions). It
+ *   does not match an array including the value; use `$in` or `$all` for
+ *   that.
+ * - A regular expression matches if the property is a string matching it.
+ * - An object whose keys are operators (see below) matches if every one
+ *   of the operators is met.
+ * - Any other object is a nested query for the property's value, such as
+ *   `{ wirelessConfig: { dataRate: 1 } }`.
+ *
+ * Keys can also be paths of properties separated by dots, such as
+ * `'wirelessTagManager.name'`. A property is looked up on the object,
+ * and if the object does not have it (or it is a method), on the object's
+ * `data`, i.e., the data returned by the cloud. In addition, the following
+ * properties are derived for tag objects:
+ * - `sensors`: the tag's [sensor capabilities]{@link WirelessTag#sensorCapabilities},
+ *   such as `['temp', 'humidity']`
+ * - `facts`: the tag's [hardware facts]{@link WirelessTag#hardwareFacts},
+ *   such as `['canBeep', 'hasBattery']`
+ *
+ * The operators are:
+ * - `$eq`, `$ne`: whether the property has, or does not have, the value
+ * - `$in`, `$nin`: whether the property has (or if it is an array,
+ *   includes) one, or none, of the values in the given array
+ * - `$all`: whether the property is an array including all of the values
+ *   in the given array
+ * - `$gt`, `$gte`, `$lt`, `$lte`: comparisons with the given value
+ * - `$regex`: whether the property is a string matching the given regular
+ *   expression (a `RegExp`, or a string with flags in `$options`)
+ * - `$exists`: whether the property is defined (given `true`) or not
+ *   (given `false`)
+ * - `$not`: whether the property does not meet the given condition
+ *
+ * `$not` can also be used as a key of the query itself, with a query as
+ * value that objects must not match. For example, the following query
+ * matches tags with a humidity sensor whose name does not start with
+ * "Test", and which can beep:
+ *
+ *     { sensors: { $all: ['humidity'] },
+ *       name: { $not: /^Test/ },
+ *       facts: { $in: ['canBeep'] } }
+ *
+ * A query can also be a function, which is then used as is: it is passed
+ * the object, and returns whether the object matches.
+ *
+ * @module lib/query
+ * @since 0.8.0
+ */
+
+var deepEqual = require('deep-equal');
+
+/**
+ * @const {object} - The properties derived for objects, by name, as
+ *          functions returning the property's value for an object, or
+ *          undefined if it cannot be derived for the object.
+ * @private
+ */
+const DERIVED = {
+    sensors: (obj) => callMethod(obj, 'sensorCapabilities'),
+    facts: (obj) => callMethod(obj, 'hardwareFacts')
+};
+
+/**
+ * @const {object} - The operators, by name, as functions taking the
+ *          operand and returning a test function for values.
+ * @private
+ */
+const OPERATORS = {
+    $eq: (operand) => (v) => equals(v, operand),
+    $ne: (operand) => (v) => ! equals(v, operand),
+    $in: (operand) => {
+        checkArray('$in', operand);
+        return (v) => operand.some((x) => includes(v, x));
+    },
+    $nin: (operand) => {
+        checkArray('$nin', operand);
+        return (v) => ! operand.some((x) => includes(v, x));
+    },
+    $all: (operand) => {
+        checkArray('$all', operand);
+        return (v) => Array.isArray(v)
+            && operand.every((x) => v.some((y) => deepEqual(x, y)));
+    },
+    $gt: (operand) => (v) => anyOf(v, (x) => isSet(x) && x > operand),
+    $gte: (operand) => (v) => anyOf(v, (x) => isSet(x) && x >= operand),
+    $lt: (operand) => (v) => anyOf(v, (x) => isSet(x) && x < operand),
+    $lte: (operand) => (v) => anyOf(v, (x) => isSet(x) && x <= operand),
+    $regex: (operand, options) => {
+        let re = operand instanceof RegExp ?
+            operand : new RegExp(operand, options || '');
+        return (v) => anyOf(v, (x) => 'string' === typeof x && re.test(x));
+    },
+    $exists: (operand) => (v) => (v !== undefined) === Boolean(operand),
+    $not: (operand) => {
+        let test = compileCondition(operand);
+        return (v) => ! test(v);
+    }
+};
+
+module.exports = {
+    compile: compile,
+    matches: matches,
+    resolve: resolve
+};
+
+/**
+ * Turns the given query into a filter function.
+ *
+ * @param {object|function} [query] - the query; if omitted, or if it has
+ *          no keys, any object matches
+ * @returns {function} accepts an object as argument, and returns true if
+ *          it matches the query and false otherwise
+ * @throws {TypeError} if the query uses an unknown operator, or an
+ *          operator with an invalid operand
+ * @memberof module:lib/query
+ */
+function compile(query) {
+    if ('function' === typeof query) return query;
+    if ((! query) || (Object.keys(query).length === 0)) return () => true;
+    let tests = Object.keys(query).map((key) => {
+        if (key === '$not') {
+            let test = compile(query[key]);
+            return (obj) => ! test(obj);
+        }
+        if (key.startsWith('$')) {
+            throw new TypeError("unknown query operator " + key);
+        }
+        let test = compileCondition(query[key]);
+        return (obj) => test(resolve(obj, key));
+    });
+    return (obj) => tests.every((test) => test(obj));
+}
+
+/**
+ * Tests whether the given object matches the given query.
+ *
+ * @param {object} obj
+ * @param {object|function} [query]
+ * @returns {boolean}
+ * @memberof module:lib/query
+ */
+function matches(obj, query) {
+    return compile(query)(obj);
+}
+
+/**
+ * Obtains the value of the property of the given object named by the given
+ * key, as queries see it (see above).
+ *
+ * @param {object} obj
+ * @param {string} key - the name of the property, or a path of property
+ *          names separated by dots
+ * @returns {*} the value, or undefined if the object has no such property
+ * @memberof module:lib/query
+ */
+function resolve(obj, key) {
+    return key.split('.').reduce((value, name) => {
+        if ((value === undefined) || (value === null)) return undefined;
+        let prop = value[name];
+        if ((prop !== undefined) && ('function' !== typeof prop)) return prop;
+        if (DERIVED[name]) {
+            let derived = DERIVED[name](value);
+            if (derived !== undefined) return derived;
+        }
+        let data = value.data;
+        return (data && 'object' === typeof data) ? data[name] : undefined;
+    }, obj);
+}
+
+/**
+ * Turns the given condition for a property into a test function for the
+ * property's value.
+ *
+ * @private
+ */
+function compileCondition(cond) {
+    if (cond instanceof RegExp) return OPERATORS.$regex(cond);
+    if (! isPlainObject(cond)) return (v) => equals(v, cond);
+    let keys = Object.keys(cond);
+    let ops = keys.filter((k) => k.startsWith('$'));
+    if (ops.length === 0) {
+        // a nested query for the value
+        let test = compile(cond);
+        return (v) => isSet(v) && 'object' === typeof v && test(v);
+    }
+    if (ops.length < keys.length) {
+        throw new TypeError("query condition mixes operators and properties: "
+                            + keys.join(", "));
+    }
+    let tests = ops.filter((op) => op !== '$options').map((op) => {
+        if (! OPERATORS[op]) {
+            throw new TypeError("unknown query operator " + op);
+        }
+        return OPERATORS[op](cond[op], cond.$options);
+    });
+    return (v) => tests.every((test) => test(v));
+}
+
+/**
+ * Tests whether the given value equals the given operand, deeply if the
+ * operand is an object.
+ *
+ * @private
+ */
+function equals(v, operand) {
+    if (isSet(operand) && 'object' === typeof operand) {
+        return deepEqual(v, operand);
+    }
+    return Object.is(v, operand);
+}
+
+/**
+ * Tests whether the given value equals the given operand, or if the value
+ * is an array, whether it includes the operand.
+ *
+ * @private
+ */
+function includes(v, operand) {
+    return equals(v, operand)
+        || (Array.isArray(v) && v.some((x) => equals(x, operand)));
+}
+
+/** @private */
+function callMethod(obj, name) {
+    if ('function' !== typeof obj[name]) return undefined;
+    return obj[name]();
+}
+
+/** @private */
+function anyOf(v, test) {
+    return Array.isArray(v) ? v.some(test) : test(v);
+}
+
+/** @private */
+function isSet(v) {
+    return (v !== undefined) && (v !== null);
+}
+
+/** @private */
+function isPlainObject(v) {
+    if (! isSet(v) || 'object' !== typeof v) return false;
+    let proto = Object.getPrototypeOf(v);
+    return proto === Object.prototype || proto === null;
+}
+
+/** @private */
+function checkArray(op, operand) {
+    if (! Array.isArray(operand)) {
+        throw new TypeError("operand of query operator " + op
+                            + " must be an array");
+    }
+}
@@ -0,0 +1,297 @@
+"use strict";
+
+/** @module */
+module.exports = APIRecorder;
+
+var fs = require('fs'),
+    url = require('url'),
+    redact = require('./redact'),
+    UnmatchedRequestError = require('./error/UnmatchedRequestError');
+
+/**
+ * @const {number} - The version of the format of fixture files.
+ * @default
+ */
+const FIXTURE_VERSION = 1;
+
+/**
+ * Records the traffic with the cloud API to a JSON fixture file, or
+ * replays it from such a file without any network access.
+ *
+ * In `record` mode, every request and response exchanged through the
+ * wrapped transports is recorded, and the recorded exchanges are written
+ * to the fixture file by [save()]{@link APIRecorder#save} and
+ * [close()]{@link APIRecorder#close}, or else when the process is about
+ * to exit. In `replay` mode, responses are served from the fixture file,
+ * which is read upon the first request. A request is matched to a
+ * recorded one by HTTP method, API endpoint (the path of the URI,
+ * disregarding the server), and normalized body. If several recorded
+ * requests match, their responses are served in the order in which they
+ * were recorded, each once; a further matching request fails, rather than
+ * for example polling for updates receiving the same ones over and over.
+ *
+ * Request bodies are [redacted]{@link module:lib/redact} before they are
+ * recorded and matched, so that fixture files do not contain credentials,
+ * and replaying does not depend on them. Response bodies are redacted
+ * before they are recorded, too.
+ *
+ * A user will not normally need to create instances directly; instead
+ * the platform creates one if passed the `recording` option.
+ *
+ * @param {object} options
+ * @param {string} options.mode - either `record` or `replay`
+ * @param {string} options.file - the path of the fixture file
+ * @param {string[]} [options.redactKeys] - the keys of values to redact
+ *          from request and response bodies, see {@link module:lib/redact}
+ *
+ * @class
+ * @alias APIRecorder
+ * @since 0.8.0
+ */
+function APIRecorder(options) {
+    options = options || {};
+    if (['record', 'replay'].indexOf(options.mode) < 0) {
+        throw new TypeError("invalid recording mode '" + options.mode + "'");
+    }
+    if (! options.file) {
+        throw new TypeError("recording requires a fixture file");
+    }
+    /** @member {string} - the mode, `record` or `replay` */
+    this.mode = options.mode;
+    /** @member {string} - the path of the fixture file */
+    this.file = options.file;
+    /** @member {string[]} - the keys of values to redact from recordings */
+    this.redactKeys = options.redactKeys;
+    this._exchanges = [];
+    this._served = new Map();
+    this._loading = undefined;
+    this._saving = Promise.resolve();
+    this._unsaved = false;
+    this._onExit = () => {
+        if (this._unsaved) this.save();
+    };
+    if (this.mode === 'record') process.once('beforeExit', this._onExit);
+}
+
+/**
+ * Wraps the given [transport adapter]{@link module:lib/transport} so that
+ * API calls made through it are recorded or replayed.
+ *
+ * @param {function} adapter - the transport adapter to wrap; in `replay`
+ *          mode it will not be called
+ * @returns {function} the wrapping transport adapter
+ */
+APIRecorder.prototype.transport = function(adapter) {
+    return (req) => {
+        let recReq = this.normalizeRequest(req.method || 'POST',
+                                           req.uri,
+                                           req.body);
+        if (this.mode === 'replay') {
+            return this._load().then(() => this.replay(recReq));
+        }
+        return adapter(req).then((response) => {
+            this.record(recReq, {
+                statusCode: response.statusCode,
+                body: response.body
+            });
+            return response;
+        });
+    };
+};
+
+/**
+ * Wraps the given function compatible with the `request` package (such as
+ * used by SOAP clients) so that requests made through it are recorded or
+ * replayed.
+ *
+ * @param {function} requestFunc - the function to wrap; in `replay` mode
+ *          it will not be called
+ * @returns {function} the wrapping function
+ */
+APIRecorder.prototype.request = function(requestFunc) {
+    return (options, callback) => {
+        let uri = options.uri || options.url;
+        if ('object' === typeof uri) uri = url.format(uri);
+        let recReq = this.normalizeRequest(options.method || 'GET',
+                                           uri,
+                                           options.body);
+        if (this.mode === 'replay') {
+            // call back outside of the promise chain, so that errors
+            // thrown by the callback aren't taken for failing to replay
+            this._load().then(() => this.replay(recReq)).then((response) => {
+                let res = {
+                    statusCode: response.statusCode,
+                    headers: {},
+                    body: response.body
+                };
+                setImmediate(() => callback(null, res, response.body));
+            }, (e) => setImmediate(() => callback(e)));
+            return undefined;
+        }
+        return requestFunc(options, (err, res, body) => {
+            if (! err) {
+                this.record(recReq, { statusCode: res.statusCode, body: body });
+            }
+            callback(err, res, body);
+        });
+    };
+};
+
+/**
+ * Turns the given request into the form in which it is recorded and
+ * matched.
+ *
+ * @param {string} method - the HTTP method
+ * @param {string} uri - the URI of the request
+ * @param {object|string} [body] - the request body
+ * @returns {object} the normalized request, with properties `method`,
+ *          `endpoint`, and `body`
+ */
+APIRecorder.prototype.normalizeRequest = function(method, uri, body) {
+    let target = url.parse(uri);
+    if ('string' === typeof body) {
+        body = body.replace(/\s+/g, ' ').trim();
+    }
+    body = sortKeys(redactBody(body, this.redactKeys));
+    return {
+        method: method.toUpperCase(),
+        endpoint: target.pathname + (target.search || ''),
+        body: body
+    };
+};
+
+/**
+ * Records the given exchange, with the response body redacted. It is
+ * written to the fixture file with the next [save()]{@link APIRecorder#save}.
+ *
+ * @param {object} request - the normalized request
+ * @param {object} response - the response, with properties `statusCode`
+ *          and `body`
+ */
+APIRecorder.prototype.record = function(request, response) {
+    response = {
+        statusCode: response.statusCode,
+        body: redactBody(response.body, this.redactKeys)
+    };
+    this._exchanges.push({ request: request, response: response });
+    this._unsaved = true;
+};
+
+/**
+ * Finds the response to serve for the given request.
+ *
+ * @param {object} request - the normalized request
+ * @returns {object} the recorded response
+ * @throws {WirelessTagPlatform.UnmatchedRequestError} if no recorded
+ *          request matches, or the responses of all that match have been
+ *          served already
+ */
+APIRecorder.prototype.replay = function(request) {
+    let key = matchKey(request);
+    let matches = this._exchanges.filter(
+        (exchange) => matchKey(exchange.request) === key);
+    if (matches.length === 0) {
+        throw new UnmatchedRequestError(null, request, this.file);
+    }
+    let served = this._served.get(key) || 0;
+    if (served >= matches.length) {
+        throw new UnmatchedRequestError(
+            "No more recorded responses: all " + matches.length
+                + " matching this request have been served",
+            request, this.file);
+    }
+    this._served.set(key, served + 1);
+    return matches[served].response;
+};
+
+/**
+ * Writes the exchanges recorded so far to the fixture file. Writes are
+ * made one after the other, so the file ends up with the exchanges as of
+ * the last call.
+ *
+ * @returns {Promise} resolves when the file has been written
+ */
+APIRecorder.prototype.save = function() {
+    let fixture = { version: FIXTURE_VERSION, exchanges: this._exchanges };
+    let content = JSON.stringify(fixture, null, 2) + "\n";
+    this._unsaved = false;
+    let write = () => new Promise((resolve, reject) => {
+        fs.writeFile(this.file, content, (err) => {
+            if (err) return reject(err);
+            resolve();
+        });
+    });
+    this._saving = this._saving.then(write, write);
+    return this._saving;
+};
+
+/**
+ * Finishes recording, writing the exchanges recorded so far to the
+ * fixture file if there are any that haven't been saved. In `replay`
+ * mode this does nothing.
+ *
+ * @returns {Promise} resolves when done
+ */
+APIRecorder.prototype.close = function() {
+    process.removeListener('beforeExit', this._onExit);
+    if (this.mode === 'record' && this._unsaved) return this.save();
+    return this._saving;
+};
+
+/**
+ * Reads the recorded exchanges from the fixture file, once.
+ *
+ * @returns {Promise} resolves when the exchanges have been read
+ * @private
+ */
+APIRecorder.prototype._load = function() {
+    if (! this._loading) {
+        this._loading = new Promise((resolve, reject) => {
+            fs.readFile(this.file, 'utf8', (err, content) => {
+                if (err) return reject(err);
+                resolve(JSON.parse(content));
+            });
+        }).then((fixture) => {
+            this._exchanges = fixture.exchanges || [];
+        });
+    }
+    return this._loading;
+};
+
+/**
+ * Redacts the given request or response body, which can be text (such as
+ * for SOAP calls) or a JSON object.
+ *
+ * @private
+ */
+function redactBody(body, keys) {
+    if ('string' === typeof body) return redact.redactText(body, keys);
+    return body === undefined ? body : redact.redact(body, keys);
+}
+
+/**
+ * Computes the key by which the given normalized request is matched.
+ *
+ * @private
+ */
+function matchKey(request) {
+    return JSON.stringify([request.method.toUpperCase(),
+                           request.endpoint,
+                           sortKeys(request.body)]);
+}
+
+/**
+ * Returns a copy of the given value in which the keys of all objects are
+ * sorted, so that equal values serialize to equal JSON.
+ *
+ * @private
+ */
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if ((! value) || ('object' !== typeof value)) return value;
+    let sorted = {};
+    Object.keys(value).sort().forEach((k) => {
+        sorted[k] = sortKeys(value[k]);
+    });
+    return sorted;
+}
@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * Functions for hiding credentials and other sensitive values (such as
+ * passwords, tokens, and email addresses) from error messages and log
+ * output.
+ *
+ * Values are redacted by key: the value of any property whose name matches
+ * one of the keys to redact (case-insensitively) is replaced with
+ * [REDACTED]{@link module:lib/redact~REDACTED}. In addition, if `email` is
+ * among the keys, email addresses appearing in string values are masked.
+ *
+ * @module lib/redact
+ * @since 0.8.0
+ */
+
+/**
+ * @const {string} - The value with which redacted values are replaced.
+ * @default
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * @const {string[]} - The keys of values redacted by default.
+ * @default
+ */
+const DEFAULT_KEYS = ['password',
+                      'email',
+                      'bearer',
+                      'token',
+                      'access_token',
+                      'refresh_token',
+                      'authorization',
+                      'cookie'];
+
+module.exports = {
+    redact: redact,
+    redactText: redactText,
+    DEFAULT_KEYS: DEFAULT_KEYS
+};
+
+/**
+ * Matches (things that look like) email addresses.
+ * @private
+ */
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+/**
+ * Creates a copy of the given value with sensitive values redacted. Objects
+ * and arrays are copied deeply; the value itself is not modified.
+ *
+ * @param {*} value - the value to redact
+ * @param {string[]} [keys] - the keys of values to redact, defaults to
+ *          [DEFAULT_KEYS]{@link module:lib/redact~DEFAULT_KEYS}
+ * @returns {*} the redacted copy
+ * @memberof module:lib/redact
+ */
+function redact(value, keys) {
+    return redactValue(value, normalizeKeys(keys), []);
+}
+
+/**
+ * Masks email addresses in the given text, if `email` is among the keys
+ * to redact.
+ *
+ * @param {string} text - the text to redact
+ * @param {string[]} [keys] - the keys of values to redact, defaults to
+ *          [DEFAULT_KEYS]{@link module:lib/redact~DEFAULT_KEYS}
+ * @returns {string} the redacted text
+ * @memberof module:lib/redact
+ */
+function redactText(text, keys) {
+    if ('string' !== typeof text) return text;
+    if (normalizeKeys(keys).indexOf('email') < 0) return text;
+    return text.replace(EMAIL_REGEX, REDACTED);
+}
+
+/** @private */
+function normalizeKeys(keys) {
+    return (keys || DEFAULT_KEYS).map((k) => k.toLowerCase());
+}
+
+/** @private */
+function redactValue(value, keys, seen) {
+    if ('string' === typeof value) {
+        return keys.indexOf('email') < 0 ?
+            value : value.replace(EMAIL_REGEX, REDACTED);
+    }
+    if ((! value) || ('object' !== typeof value)) return value;
+    // guard against circular structures
+    if (seen.indexOf(value) >= 0) return REDACTED;
+    seen = seen.concat([value]);
+    if (Array.isArray(value)) {
+        return value.map((v) => redactValue(v, keys, seen));
+    }
+    if (value.constructor !== Object && value.constructor !== undefined) {
+        // leave class instances (dates, buffers, errors, ...) alone
+        return value;
+    }
+    let copy = {};
+    for (let key of Object.keys(value)) {
+        copy[key] = keys.indexOf(key.toLowerCase()) >= 0 ?
+            REDACTED : redactValue(value[key], keys, seen);
+    }
+    return copy;
+}
@@ -0,0 +1,190 @@
+"use strict";
+
+/** @module */
+module.exports = RetryPolicy;
+
+var APICallError = require('./error/APICallError'),
+    TagDidNotRespondError = require('./error/TagDidNotRespondError'),
+    DuplicateEthCmdError = require('./error/DuplicateEthCmdError'),
+    TagManagerOfflineError = require('./error/TagManagerOfflineError'),
+    TagManagerTimedOutError = require('./error/TagManagerTimedOutError'),
+    UnauthorizedAccessError = require('./error/UnauthorizedAccessError'),
+    InvalidOperationError = require('./error/InvalidOperationError');
+
+/**
+ * @const {number} - The time in milliseconds to wait before retrying an
+ *                   operation that failed because the tag did not respond.
+ * @default
+ */
+const WAIT_BEFORE_RETRY = 8000;
+
+/**
+ * @const {object} - Default settings for retrying, which apply to every
+ *                   rule unless the rule overrides them.
+ * @default
+ */
+const DEFAULT_SETTINGS = {
+    retries: 3,
+    minTimeout: 1000,
+    maxTimeout: 60000,
+    factor: 2,
+    jitter: 0.1,
+    maxRetryTime: 300000
+};
+
+/**
+ * @const {object} - Default retry rules. These reproduce the behavior prior
+ *                   to v0.8.0, namely retrying once, after [WAIT_BEFORE_RETRY]{@link module:lib/retrypolicy~WAIT_BEFORE_RETRY}
+ *                   milliseconds, if the tag did not respond.
+ * @default
+ */
+const DEFAULT_RULES = {
+    TagDidNotRespondError: { retries: 1, minTimeout: WAIT_BEFORE_RETRY, jitter: 0 }
+};
+
+/**
+ * @const {string[]} - The error codes of network errors considered
+ *                     transient, and hence matched by rule `network`.
+ * @default
+ */
+const NETWORK_ERROR_CODES = ['ECONNRESET',
+                             'ECONNREFUSED',
+                             'ETIMEDOUT',
+                             'ESOCKETTIMEDOUT',
+                             'EPIPE',
+                             'EAI_AGAIN',
+                             'ENETUNREACH',
+                             'EHOSTUNREACH'];
+
+/**
+ * The error classes that retry rules can be keyed by, in addition to the
+ * special keys `network` and `serverError`.
+ * @private
+ */
+const errorClasses = {
+    APICallError: APICallError,
+    TagDidNotRespondError: TagDidNotRespondError,
+    DuplicateEthCmdError: DuplicateEthCmdError,
+    TagManagerOfflineError: TagManagerOfflineError,
+    TagManagerTimedOutError: TagManagerTimedOutError,
+    UnauthorizedAccessError: UnauthorizedAccessError,
+    InvalidOperationError: InvalidOperationError
+};
+
+/**
+ * A policy for retrying failed calls to the cloud API. A policy consists of
+ * default settings, and rules keyed by the kind of error they apply to. A
+ * failed call is only retried if a rule matches the error.
+ *
+ * Rules are keyed by the name of an error class (such as `TagManagerTimedOutError`
+ * or `DuplicateEthCmdError`), or by one of the following special keys:
+ * - `network`: transient network errors (see [NETWORK_ERROR_CODES]{@link module:lib/retrypolicy~NETWORK_ERROR_CODES})
+ * - `serverError`: generic [APICallErrors]{@link WirelessTagPlatform.APICallError}
+ *   with an HTTP status code of 500 or higher
+ *
+ * The value of a rule is `true` (use the default settings), `false`
+ * (don't retry), or an object overriding some or all of the default
+ * settings. The time to wait before retry number `n` is
+ * `minTimeout * factor^(n-1)`, but no more than `maxTimeout`, and
+ * randomized by +/- `jitter` (a fraction).
+ *
+ * @param {object} [options]
+ * @param {number} [options.retries] - the maximum number of retries
+ * @param {number} [options.minTimeout] - the time in milliseconds to wait
+ *          before the first retry
+ * @param {number} [options.maxTimeout] - the maximum time in milliseconds
+ *          to wait between retries
+ * @param {number} [options.factor] - the exponential backoff factor
+ * @param {number} [options.jitter] - the fraction by which to randomize
+ *          wait times (0 for none)
+ * @param {number} [options.maxRetryTime] - the maximum total time in
+ *          milliseconds, counted from the first attempt, after which no
+ *          further retry will be made
+ * @param {object} [options.rules] - the retry rules, keyed by error class
+ *          name or special key; these are merged with the [default rules]{@link module:lib/retrypolicy~DEFAULT_RULES}
+ *
+ * @class
+ * @alias RetryPolicy
+ * @since 0.8.0
+ */
+function RetryPolicy(options) {
+    options = Object.assign({}, options);
+    let rules = Object.assign({}, DEFAULT_RULES, options.rules);
+    delete options.rules;
+    /** @member {object} - the default settings for rules */
+    this.settings = Object.assign({}, DEFAULT_SETTINGS, options);
+    /** @member {object} - the retry rules, keyed by error class or special key */
+    this.rules = rules;
+}
+
+/**
+ * Creates a new policy from this one, with the given options overriding
+ * settings and rules of this policy.
+ *
+ * @param {object} [options] - see {@link RetryPolicy}
+ * @returns {RetryPolicy}
+ */
+RetryPolicy.prototype.extend = function(options) {
+    options = Object.assign({}, options);
+    let rules = Object.assign({}, this.rules, options.rules);
+    delete options.rules;
+    let merged = Object.assign({}, this.settings, options);
+    merged.rules = rules;
+    return new RetryPolicy(merged);
+};
+
+/**
+ * Finds the rule matching the given error, and returns its settings.
+ *
+ * A rule keyed by the name of the error's class takes precedence over a
+ * rule keyed by one of its superclasses, which in turn take precedence
+ * over the special keys.
+ *
+ * @param {Error} error - the error with which the call failed
+ * @returns {object} the settings of the matching rule, or undefined if no
+ *          rule matches or the matching rule is disabled
+ */
+RetryPolicy.prototype.ruleFor = function(error) {
+    if (! error) return undefined;
+    let key = error.name;
+    if (this.rules[key] === undefined) {
+        key = Object.keys(this.rules).find(
+            (k) => errorClasses[k] && (error instanceof errorClasses[k]));
+    }
+    if (key === undefined) {
+        if (NETWORK_ERROR_CODES.indexOf(error.code) >= 0) {
+            key = 'network';
+        } else if (error.constructor === APICallError
+                   && error.apiStatusCode >= 500) {
+            key = 'serverError';
+        }
+    }
+    let rule = key === undefined ? false : this.rules[key];
+    if (! rule) return undefined;
+    return Object.assign({}, this.settings, rule === true ? {} : rule);
+};
+
+/**
+ * Determines whether, and if so after how long, a call that failed with
+ * the given error should be retried.
+ *
+ * @param {Error} error - the error with which the call failed
+ * @param {number} retry - the number of the retry to be made (1 for the
+ *          first retry)
+ * @param {number} [elapsed] - the time in milliseconds elapsed since the
+ *          first attempt of the call
+ * @returns {number} the time in milliseconds to wait before retrying, or
+ *          undefined if the call should not be retried
+ */
+RetryPolicy.prototype.retryDelay = function(error, retry, elapsed) {
+    let rule = this.ruleFor(error);
+    if ((! rule) || retry > rule.retries) return undefined;
+    let wait = rule.minTimeout * Math.pow(rule.factor, retry - 1);
+    wait = Math.min(wait, rule.maxTimeout);
+    if (rule.jitter) {
+        wait *= 1 + rule.jitter * (Math.random() * 2 - 1);
+    }
+    wait = Math.round(wait);
+    if ((elapsed || 0) + wait > rule.maxRetryTime) return undefined;
+    return wait;
+};
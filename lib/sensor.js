@@ -369,6 +369,9 @@ WirelessTagSensor.prototype.canDisarm = function() {
  * Arms this sensor.
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`; the timeout applies to the operation
+ *          as a whole, including retrying updates
  * @returns {Promise} Resolves to the sensor when arming completes. Will
  *          [retry updating]{@link WirelessTag#retryUpdateUntil}
  *          until the tag's data reflect the armed state. Rejects
@@ -378,7 +381,11 @@ WirelessTagSensor.prototype.canDisarm = function() {
  * @throws {WirelessTagPlatform.OperationUnsupportedError} if the sensor
  *         does not support arming
  */
-WirelessTagSensor.prototype.arm = function(callback) {
+WirelessTagSensor.prototype.arm = function(callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     if (this.isArmed()) return Promise.resolve(this);
     if (! this.canArm()) {
         let e = new OperationUnsupportedError(this.sensorType
@@ -388,13 +395,16 @@ WirelessTagSensor.prototype.arm = function(callback) {
         if (callback) callback(e);
         return Promise.reject(e);
     }
-    return changeArmedStatus(this, callback);
+    return changeArmedStatus(this, callback, options);
 };
 
 /**
  * Disarms this sensor.
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`; the timeout applies to the operation
+ *          as a whole, including retrying updates
  * @returns {Promise} Resolves to the sensor when disarming completes. Will
  *          [retry updating]{@link WirelessTag#retryUpdateUntil}
  *          until the tag's data reflect the armed state. Rejects
@@ -404,7 +414,11 @@ WirelessTagSensor.prototype.arm = function(callback) {
  * @throws {WirelessTagPlatform.OperationUnsupportedError} if the sensor
  *         does not support arming
  */
-WirelessTagSensor.prototype.disarm = function(callback) {
+WirelessTagSensor.prototype.disarm = function(callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     if (! this.isArmed()) return Promise.resolve(this);
     if (! this.canDisarm()) {
         let e = new OperationUnsupportedError(this.sensorType
@@ -414,7 +428,7 @@ WirelessTagSensor.prototype.disarm = function(callback) {
         if (callback) callback(e);
         return Promise.reject(e);
     }
-    return changeArmedStatus(this, callback);
+    return changeArmedStatus(this, callback, options);
 };
 
 /**
@@ -447,7 +461,7 @@ WirelessTagSensor.prototype.monitoringConfig = function(newConfig) {
     return this._config;
 };
 
-function changeArmedStatus(sensor, callback) {
+function changeArmedStatus(sensor, callback, options) {
     var isArmed = sensor.isArmed();
     var action = isArmed ? "disarm" : "arm";
     var apiSpec = sensorApiURIs[sensor.sensorType];
@@ -459,27 +473,30 @@ function changeArmedStatus(sensor, callback) {
         action);
     var data = apiSpec[action + "Data"] || {};
     data.id = sensor.wirelessTag.slaveId;
-    var req = sensor.callAPI(uri, data, callback);
-    return req.then((result) => {
-        sensor.wirelessTag.data = result;
-        if (isArmed !== undefined && isArmed === sensor.isArmed()) {
-            // the API call itself succeeded, so this should resolve
-            // itself if we retry updating after some delay
-            return sensor.wirelessTag.retryUpdateUntil((tag, n) => {
-                let s = tag[sensor.sensorType + "Sensor"];
-                if (isArmed !== s.isArmed()) return true;
-                throw new RetryUnsuccessfulError(
-                    "Event state for " + s.sensorType
-                        + " of " + tag.name + " failed to change to "
-                        + action + "ed after " + n + " update attempts",
-                    s,
-                    action,
-                    n);
-            }).then((tag) => tag[sensor.sensorType + "Sensor"]);
-        }
-        if (callback) callback(null, { object: sensor });
-        return sensor;
-    });
+    return u.withAbort((signal) => {
+        let req = sensor.callAPI(uri, data, callback, { signal: signal });
+        return req.then((result) => {
+            sensor.wirelessTag.data = result;
+            if (isArmed !== undefined && isArmed === sensor.isArmed()) {
+                // the API call itself succeeded, so this should resolve
+                // itself if we retry updating after some delay
+                return sensor.wirelessTag.retryUpdateUntil((tag, n) => {
+                    let s = tag[sensor.sensorType + "Sensor"];
+                    if (isArmed !== s.isArmed()) return true;
+                    throw new RetryUnsuccessfulError(
+                        "Event state for " + s.sensorType
+                            + " of " + tag.name + " failed to change to "
+                            + action + "ed after " + n + " update attempts",
+                        s,
+                        action,
+                        n);
+                }, { signal: signal }).then(
+                    (tag) => tag[sensor.sensorType + "Sensor"]);
+            }
+            if (callback) callback(null, { object: sensor });
+            return sensor;
+        });
+    }, options, action);
 }
 
 /**
@@ -488,17 +505,24 @@ function changeArmedStatus(sensor, callback) {
  * and Reed sensors have).
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`
  * @returns {Promise} Resolves when the reset completes.
  *
  * @method reset
  * @memberof WirelessTagSensor#
  */
 /* eslint-disable no-invalid-this */
-function resetMotion(callback) {
+function resetMotion(callback, options) {
     if (! this.isArmed()) return Promise.resolve(this);
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     let req = this.callAPI('/ethClient.asmx/ResetTag',
                            { id: this.wirelessTag.slaveId },
-                           callback);
+                           callback,
+                           options);
     return req.then((result) => {
         this.wirelessTag.data = result;
         if (callback) callback(null, { object: this });
@@ -413,6 +413,8 @@ MonitoringConfig.create = function(sensor, data) {
  * before calling tnis method.
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *            in place of `callback`
  * @returns {Promise} Resolves to this monitoring configuration object when
  *            saving the monitoring configuration to the cloud completes.
  * @method save
@@ -430,8 +432,13 @@ MonitoringConfig.create = function(sensor, data) {
  * @private
  */
 function configSaveFunc(sensor) {
-    return function(callback) {
-        if (this.isModified()) {
+    return function(callback, options) {
+        if (callback && ('function' !== typeof callback)) {
+            options = callback;
+            callback = undefined;
+        }
+        if (! this.isModified()) return Promise.resolve(this);
+        return u.withAbort((signal) => {
             // if this is an out of range config and grace period is one of the
             // properties changed, then start with saving that, which
             // unfortunately is a separate (and undocumented) API call.
@@ -439,7 +446,8 @@ function configSaveFunc(sensor) {
             if (this.isModified('gracePeriod')) {
                 let ecb = callback ?
                     (e) => { if (e) callback(e); } : undefined;
-                setGrace = setOutOfRangeGracePeriod(sensor, ecb);
+                setGrace = setOutOfRangeGracePeriod(sensor, ecb,
+                                                    { signal: signal });
             } else {
                 setGrace = Promise.resolve(sensor);
             }
@@ -447,7 +455,7 @@ function configSaveFunc(sensor) {
             let req = setGrace.then((s) => {
                 let ecb = callback ?
                     (e) => { if (e) callback(e); } : undefined;
-                return setMonitoringConfig(s, ecb);
+                return setMonitoringConfig(s, ecb, { signal: signal });
             });
             // finally convert from sensor to config to simplify chaining
             return req.then((s) => {
@@ -456,8 +464,7 @@ function configSaveFunc(sensor) {
                 if (callback) callback(null, { object: mconfig });
                 return mconfig;
             });
-        }
-        return Promise.resolve(this);
+        }, options, "save");
     };
 }
 /* eslint-enable no-invalid-this */
@@ -473,6 +480,8 @@ function configSaveFunc(sensor) {
  * before calling tnis method.
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *            in place of `callback`
  * @returns {Promise} Resolves to this monitoring configuration object when
  *            updating (loading) the monitoring configuration from the cloud
  *            completes.
@@ -491,10 +500,14 @@ function configSaveFunc(sensor) {
  * @private
  */
 function configUpdateFunc(sensor) {
-    return function(callback) {
+    return function(callback, options) {
+        if (callback && ('function' !== typeof callback)) {
+            options = callback;
+            callback = undefined;
+        }
         if (! this.isModified()) {
             let ecb = callback ? (e) => { if (e) callback(e); } : undefined;
-            let req = loadMonitoringConfig(sensor, ecb);
+            let req = loadMonitoringConfig(sensor, ecb, options);
             return req.then((configData) => {
                 this.data = configData;
                 sensor.emit('config', sensor, this, 'update');
@@ -507,11 +520,12 @@ function configUpdateFunc(sensor) {
 }
 
 /** @private */
-function loadMonitoringConfig(sensor, callback) {
+function loadMonitoringConfig(sensor, callback, options) {
     var apiSpec = sensorMonitorApiURIs[sensor.sensorType];
     var req = sensor.callAPI(apiSpec.load,
                             { id: sensor.wirelessTag.slaveId },
-                            callback);
+                            callback,
+                            options);
     return req.then((result) => {
         if (apiSpec.payloadKey) result = result[apiSpec.payloadKey];
         return result;
@@ -519,36 +533,39 @@ function loadMonitoringConfig(sensor, callback) {
 }
 
 /** @private */
-function setMonitoringConfig(sensor, callback) {
+function setMonitoringConfig(sensor, callback, options) {
     var apiSpec = sensorMonitorApiURIs[sensor.sensorType];
     var uri = apiSpec ? apiSpec.save : undefined;
     if (! uri) throw new OperationUnsupportedError(
         "undefined API for updating "
             + sensor.sensorType + " monitoring config for "
             + sensor.wirelessTag.name);
-    var flagIndex = ('function' === typeof callback) ? 3 : 2;
+    options = options || {};
     var confData = Object.assign({}, sensor.monitoringConfig().data);
     delete confData.__type;
     var reqBody = { id: sensor.wirelessTag.slaveId, config: confData };
-    reqBody.applyAll = arguments[flagIndex] || false;
-    reqBody.allMac = arguments[flagIndex + 1] || false;
-    return sensor.callAPI(uri, reqBody, callback).then(() => {
+    reqBody.applyAll = options.applyAll || false;
+    reqBody.allMac = options.allMac || false;
+    var req = sensor.callAPI(uri, reqBody, callback,
+                             { signal: options.signal });
+    return req.then(() => {
         if (callback) callback(null, { object: sensor });
         return sensor;
     });
 }
 
 /** @private */
-function setOutOfRangeGracePeriod(sensor, callback) {
+function setOutOfRangeGracePeriod(sensor, callback, options) {
     var reqBody = { id: sensor.wirelessTag.slaveId,
                     // we can't use the accessor property ('gracePeriod') here
                     // becasuse that one will return the value mapped to seconds
                     oorGrace: sensor.data.oorGrace };
-    var flagIndex = ('function' === typeof callback) ? 2 : 1;
-    reqBody.applyAll = arguments[flagIndex] || false;
+    options = options || {};
+    reqBody.applyAll = options.applyAll || false;
     var req = sensor.callAPI('/ethClient.asmx/SetOutOfRangeGrace',
                              reqBody,
-                             callback);
+                             callback,
+                             { signal: options.signal });
     return req.then((result) => {
         sensor.wirelessTag.data = result;
         if (callback) callback(null, { object: sensor });
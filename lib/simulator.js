@@ -0,0 +1,493 @@
+"use strict";
+
+/** @module */
+module.exports = TagSimulator;
+
+var u = require('./util'),
+    WirelessTag = require('./tag');
+
+/**
+ * @const {number} - the length of a day in milliseconds
+ * @default
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @const {object} - Default options for simulators.
+ * @default
+ */
+const DEFAULT_OPTIONS = {
+    seed: 1,
+    tempAmplitude: 3,         // degC of daily swing around the baseline
+    tempNoise: 0.2,           // degC
+    humidityNoise: 1,         // %
+    luxPeak: 1000,            // lux at noon
+    batteryDecay: 0.002,      // V per day
+    signalJitter: 3,          // dBm
+    tickInterval: 1000        // ms, when running in real time
+};
+
+// event states, see lib/sensor.js
+const ARMED = 1, MOVED = 2, OPENED = 3, CLOSED = 4, DETECTED = 5, TIMED_OUT = 6;
+
+/**
+ * Simulates the behaviour of the tags of a {@link FakeCloud}, producing
+ * realistic data records for them: temperature and humidity drift with
+ * the time of day, light levels follow daylight, battery voltage decays,
+ * and signal strength jitters. Each tag posts back new data at its update
+ * interval (`postBackInterval`), which also advances its `lastComm`
+ * timestamp. Which readings a tag produces is determined by its `tagType`
+ * (and `rev`) the same way {@link WirelessTag} determines its sensors.
+ *
+ * Readings of armed sensors are checked against the thresholds of the
+ * monitoring configuration saved for the tag, and the sensor's event state
+ * changes the way the real cloud changes it (such as to "Too Hot" for
+ * temperature sensors). Arming and disarming sensors, and saving monitoring
+ * configurations, through the API hence affect the data produced
+ * subsequently.
+ *
+ * The simulation runs on a clock of its own, which it installs as the
+ * [clock of the fake cloud]{@link FakeCloud#now}, and which advances only
+ * through [advance()]{@link TagSimulator#advance}, or, if started, in real
+ * time. Random variation comes from a seeded generator. Given the same seed,
+ * start time, and [scenario]{@link TagSimulator#scenario}, a simulation
+ * therefore always produces the same data.
+ *
+ * @param {FakeCloud} cloud - the fake cloud whose tags to simulate
+ * @param {object} [options] - see [DEFAULT_OPTIONS]{@link module:lib/simulator~DEFAULT_OPTIONS}
+ *          for defaults
+ * @param {number} [options.seed] - the seed for random variation
+ * @param {Date|number} [options.start] - the time at which the simulation
+ *          starts; defaults to the current time of the fake cloud
+ * @param {number} [options.tempAmplitude] - the daily swing (in degC) of
+ *          temperatures around their baseline
+ * @param {number} [options.tempNoise] - the random variation (in degC) of
+ *          temperature readings
+ * @param {number} [options.humidityNoise] - the random variation (in %) of
+ *          humidity and moisture readings
+ * @param {number} [options.luxPeak] - the light level (in lux) at noon
+ * @param {number} [options.batteryDecay] - the decrease of battery voltage
+ *          per day
+ * @param {number} [options.signalJitter] - the random variation (in dBm)
+ *          of signal strength
+ * @param {number} [options.tickInterval] - the interval (in milliseconds)
+ *          at which to advance the simulation when running in real time
+ *
+ * @class
+ * @alias TagSimulator
+ * @since 0.8.0
+ */
+function TagSimulator(cloud, options) {
+    /** @member {FakeCloud} */
+    this.cloud = cloud;
+    /** @member {object} - the options with which the simulator was created */
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    /** @member {number} - the current time of the simulation */
+    this.now = this.options.start === undefined ?
+        cloud.now() : Number(this.options.start);
+    /** @member {number} - the time at which the simulation started */
+    this.startTime = this.now;
+    this._random = seededRandom(this.options.seed);
+    this._models = new Map();
+    this._schedule = [];
+    this._seq = 0;
+    cloud.now = () => this.now;
+}
+
+/**
+ * Schedules the given steps of a scenario. Each step is an object with
+ * property `at`, the time (in milliseconds after the start of the
+ * simulation) at which to take the step, and property `tag`, the name or
+ * UUID of the tag to which the step applies, and one of the following:
+ * - `set`: an object with tag data to set; new readings of temperature,
+ *   humidity (`cap`), light (`lux`), battery voltage, or signal strength
+ *   set this way are also the baseline for subsequent ones
+ * - `event`: one of `motion`, `open`, `close`, `water`, `dry`,
+ *   `outOfRange`, and `inRange`; for `outOfRange`, property `duration`
+ *   optionally gives the time (in milliseconds) after which the tag is in
+ *   range again. Tags report events immediately, but motion and door events
+ *   only while the tag is armed.
+ * - `lag`: the number of times the tag's data is read before the next
+ *   command sent to it takes effect, see {@link FakeCloud#delayChanges}
+ * - `action`: a function, which is called with the simulator (and for
+ *   which `tag` is optional)
+ *
+ * @param {object[]} steps
+ * @returns {TagSimulator} this simulator
+ */
+TagSimulator.prototype.scenario = function(steps) {
+    steps.forEach((step) => {
+        this._scheduleAt(this.startTime + (step.at || 0),
+                         () => this._runStep(step));
+    });
+    return this;
+};
+
+/**
+ * Advances the simulation by the given time, taking the steps scheduled,
+ * and producing the tag data due, in the meantime.
+ *
+ * @param {number} ms - the time (in milliseconds) by which to advance
+ * @returns {TagSimulator} this simulator
+ */
+TagSimulator.prototype.advance = function(ms) {
+    let end = this.now + ms;
+    for (let next = this._nextDue(end); next; next = this._nextDue(end)) {
+        if (next.time > this.now) this.now = next.time;
+        next.run();
+    }
+    this.now = end;
+    return this;
+};
+
+/**
+ * Makes the given tag post back new data now.
+ *
+ * @param {string} tag - the name or UUID of the tag
+ * @returns {object} the new data of the tag
+ */
+TagSimulator.prototype.postback = function(tag) {
+    let tagData = this._resolve(tag);
+    let model = this._model(tagData);
+    model.lastPostback = this.now;
+    if (model.outOfRange) return tagData;
+    return this.cloud.updateTag(tagData.uuid, this._reading(tagData, model));
+};
+
+/**
+ * Starts advancing the simulation in real time (or faster).
+ *
+ * @param {number} [speed] - the factor by which the simulation runs
+ *          faster than real time, default is 1
+ * @returns {TagSimulator} this simulator
+ */
+TagSimulator.prototype.start = function(speed) {
+    let interval = this.options.tickInterval;
+    if (! this._timer) {
+        this._timer = setInterval(() => this.advance(interval * (speed || 1)),
+                                  interval);
+    }
+    return this;
+};
+
+/**
+ * Stops advancing the simulation in real time.
+ */
+TagSimulator.prototype.stop = function() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = undefined;
+};
+
+/** @private */
+TagSimulator.prototype._scheduleAt = function(time, run) {
+    this._schedule.push({ time: time, seq: this._seq++, run: run });
+    this._schedule.sort((a, b) => (a.time - b.time) || (a.seq - b.seq));
+};
+
+/**
+ * Determines what is due next up to the given time, which is either a
+ * scheduled step, or a tag posting back data.
+ *
+ * @private
+ */
+TagSimulator.prototype._nextDue = function(end) {
+    let step = this._schedule[0];
+    let next = step && step.time <= end ? step : undefined;
+    this.cloud.eachTag((tagData, mgrData) => {
+        if (! mgrData.online) return;
+        let model = this._model(tagData);
+        let interval = tagData.postBackInterval * 1000;
+        if (model.outOfRange || ! (interval > 0)) return;
+        let due = model.lastPostback + interval;
+        // scheduled steps go first if at the same time
+        if (due <= end && ((! next) || due < next.time)) {
+            next = { time: due, run: () => this.postback(tagData.uuid) };
+        }
+    });
+    if (next && next === step) this._schedule.shift();
+    return next;
+};
+
+/** @private */
+TagSimulator.prototype._runStep = function(step) {
+    if (step.action) return step.action(this);
+    let tagData = this._resolve(step.tag);
+    let model = this._model(tagData);
+    if (step.set) {
+        modelKeys.forEach((k) => {
+            if (step.set[k] !== undefined) model[k] = step.set[k];
+        });
+        if (step.set.temperature !== undefined) {
+            model.tempReading = step.set.temperature;
+        }
+        if (step.set.cap !== undefined) model.capReading = step.set.cap;
+        if (step.set.batteryVolt !== undefined) model.batterySince = this.now;
+        return this.cloud.updateTag(tagData.uuid, step.set);
+    }
+    if (step.lag !== undefined) {
+        return this.cloud.delayChanges(tagData.uuid, step.lag);
+    }
+    let event = tagEvents[step.event];
+    if (! event) throw new TypeError("invalid event '" + step.event + "'");
+    // tags out of range can't report events
+    if (model.outOfRange && step.event !== 'inRange') return undefined;
+    return event.call(this, tagData, model, step);
+};
+
+/**
+ * Obtains the data of the tag with the given name or UUID.
+ *
+ * @private
+ */
+TagSimulator.prototype._resolve = function(tag) {
+    let found = this.cloud.eachTag().find(
+        (t) => t.uuid === tag || t.name === tag);
+    if (! found) throw new Error("no such tag: " + tag);
+    return found;
+};
+
+/**
+ * Obtains the simulation model of the given tag, creating it from the
+ * tag's current data if it doesn't exist yet.
+ *
+ * @private
+ */
+TagSimulator.prototype._model = function(tagData) {
+    let model = this._models.get(tagData.uuid);
+    if (! model) {
+        let lastComm = u.FILETIMEtoDate(tagData.lastComm);
+        model = {
+            capabilities: capabilities(tagData),
+            lastPostback: Math.min(lastComm, this.now),
+            outOfRange: tagData.OutOfRange,
+            batterySince: this.now
+        };
+        modelKeys.forEach((k) => { model[k] = tagData[k] });
+        model.tempReading = tagData.temperature;
+        model.capReading = tagData.cap;
+        this._models.set(tagData.uuid, model);
+    }
+    return model;
+};
+
+/**
+ * Produces a new data record (as the changes to the current one) of the
+ * given tag at the current time.
+ *
+ * @private
+ */
+TagSimulator.prototype._reading = function(tagData, model) {
+    let opts = this.options;
+    let caps = model.capabilities;
+    // 0 at midnight, 0.5 at noon (UTC)
+    let timeOfDay = (this.now % DAY) / DAY;
+    let daily = -Math.cos(2 * Math.PI * timeOfDay);
+    let changes = {};
+    if (caps.temp) {
+        let target = model.temperature + opts.tempAmplitude * daily;
+        let thermostat = tagData.thermostat;
+        if (caps.kumostat && thermostat && ! thermostat.turnOff) {
+            target = (thermostat.th_low + thermostat.th_high) / 2;
+        }
+        model.tempReading += (target - model.tempReading) / 3
+            + this._gaussian() * opts.tempNoise;
+        changes.temperature = u.round(model.tempReading, 2);
+    }
+    if (caps.cap) {
+        model.capReading += (model.cap - model.capReading) / 3
+            + this._gaussian() * opts.humidityNoise;
+        model.capReading = Math.min(100, Math.max(0, model.capReading));
+        changes.cap = u.round(model.capReading, 1);
+    }
+    if (caps.light) {
+        // daylight on top of the baseline (artificial) light
+        let lux = (Math.max(0, daily) * opts.luxPeak + model.lux)
+            * (1 + this._gaussian() * 0.05);
+        changes.lux = u.round(Math.max(0, lux), 2);
+    }
+    if (caps.physical) {
+        let days = (this.now - model.batterySince) / DAY;
+        changes.batteryVolt =
+            u.round(Math.max(0, model.batteryVolt - opts.batteryDecay * days), 3);
+        let jitter = Math.round((this._random() * 2 - 1) * opts.signalJitter);
+        changes.signaldBm = model.signaldBm + jitter;
+    }
+    Object.assign(changes, this._eventStates(tagData, changes));
+    return changes;
+};
+
+/**
+ * Determines the event states of the armed sensors of the given tag
+ * resulting from the given new readings.
+ *
+ * @private
+ */
+TagSimulator.prototype._eventStates = function(tagData, readings) {
+    let states = {};
+    let config = (kind) => this.cloud.getMonitoringConfig(tagData.uuid, kind);
+    if (readings.temperature !== undefined && tagData.tempEventState > 0) {
+        let c = config('temp');
+        states.tempEventState = thresholdState(
+            readings.temperature, tagData.tempEventState,
+            { normal: 1, low: 3, high: 2 },
+            c.th_low, c.th_high, c.th_window);
+    }
+    if (readings.cap !== undefined && tagData.capEventState > 1) {
+        let c = config('cap');
+        states.capEventState = thresholdState(
+            readings.cap, tagData.capEventState,
+            { normal: 2, low: 3, high: 4 },
+            c.th_low, c.th_high, c.th_window);
+    }
+    if (readings.lux !== undefined && tagData.lightEventState > 1) {
+        let c = config('light');
+        states.lightEventState = thresholdState(
+            readings.lux, tagData.lightEventState,
+            { normal: 2, low: 3, high: 4 },
+            c.lux_th_low, c.lux_th_high, c.lux_th_window);
+    }
+    return states;
+};
+
+/**
+ * Returns a random number from the standard normal distribution.
+ *
+ * @private
+ */
+TagSimulator.prototype._gaussian = function() {
+    let u1 = this._random() || Number.MIN_VALUE;
+    let u2 = this._random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+// the readings for which the model keeps a baseline
+const modelKeys = ['temperature', 'cap', 'lux', 'batteryVolt', 'signaldBm'];
+
+/* eslint-disable no-invalid-this */
+// events that can be scripted, each called with the simulator as `this`
+const tagEvents = {
+    motion: function(tagData, model) {
+        let caps = model.capabilities;
+        if (! (caps.motion && tagData.eventState > 0)) return undefined;
+        let motion = this.cloud.getMonitoringConfig(tagData.uuid, 'motion');
+        if (caps.pir) {
+            return this.cloud.updateTag(tagData.uuid, { eventState: DETECTED });
+        }
+        if (motion.door_mode) {
+            return this.cloud.updateTag(tagData.uuid, { eventState: OPENED });
+        }
+        // motion events reset (or time out) by themselves
+        this._scheduleAt(this.now + motion.auto_reset_delay * 1000, () => {
+            if (tagData.eventState !== MOVED) return;
+            this.cloud.updateTag(tagData.uuid, {
+                eventState: motion.hmc_timeout_mode ? TIMED_OUT : ARMED
+            });
+        });
+        return this.cloud.updateTag(tagData.uuid, { eventState: MOVED });
+    },
+    open: function(tagData, model) {
+        if (! canDoorEvent(this.cloud, tagData, model)) return undefined;
+        return this.cloud.updateTag(tagData.uuid, { eventState: OPENED });
+    },
+    close: function(tagData, model) {
+        if (! canDoorEvent(this.cloud, tagData, model)) return undefined;
+        return this.cloud.updateTag(tagData.uuid, { eventState: CLOSED });
+    },
+    water: function(tagData, model) {
+        if (! model.capabilities.water) return undefined;
+        return this.cloud.updateTag(tagData.uuid, { shorted: true });
+    },
+    dry: function(tagData, model) {
+        if (! model.capabilities.water) return undefined;
+        return this.cloud.updateTag(tagData.uuid, { shorted: false });
+    },
+    outOfRange: function(tagData, model, step) {
+        model.outOfRange = true;
+        if (step.duration) {
+            this._scheduleAt(this.now + step.duration, () => {
+                tagEvents.inRange.call(this, tagData, model);
+            });
+        }
+        // the cloud notices, not the tag, so this isn't a communication
+        let lastComm = tagData.lastComm;
+        return this.cloud.updateTag(tagData.uuid,
+                                    { OutOfRange: true, lastComm: lastComm });
+    },
+    inRange: function(tagData, model) {
+        if (! model.outOfRange) return undefined;
+        model.outOfRange = false;
+        this.cloud.updateTag(tagData.uuid, { OutOfRange: false });
+        return this.postback(tagData.uuid);
+    }
+};
+/* eslint-enable no-invalid-this */
+
+/**
+ * Whether the given tag reports opening and closing, which requires it to
+ * be armed, and to have a Reed sensor, or a motion sensor in door mode.
+ *
+ * @private
+ */
+function canDoorEvent(cloud, tagData, model) {
+    let caps = model.capabilities;
+    if (! (tagData.eventState > 0)) return false;
+    if (caps.reed) return true;
+    return caps.motion && ! caps.pir
+        && cloud.getMonitoringConfig(tagData.uuid, 'motion').door_mode;
+}
+
+/**
+ * Determines the event state of a sensor monitored against thresholds.
+ *
+ * @private
+ */
+function thresholdState(value, state, states, low, high, hysteresis) {
+    if (value > high) return states.high;
+    if (value < low) return states.low;
+    hysteresis = hysteresis || 0;
+    if (state === states.high && value > high - hysteresis) return state;
+    if (state === states.low && value < low + hysteresis) return state;
+    return states.normal;
+}
+
+/**
+ * Determines which readings and events the given tag produces, using the
+ * same logic as {@link WirelessTag}.
+ *
+ * @private
+ */
+function capabilities(tagData) {
+    let tag = Object.create(WirelessTag.prototype, {
+        data: { value: tagData },
+        tagType: { get: () => tagData.tagType },
+        rev: { get: () => tagData.rev }
+    });
+    return {
+        temp: tag.hasTempSensor(),
+        cap: tag.hasHumiditySensor() || tag.hasMoistureSensor(),
+        light: tag.hasLightSensor(),
+        motion: tag.hasMotionSensor() || tag.hasPIRSensor(),
+        pir: tag.hasPIRSensor(),
+        reed: tag.hasReedSensor(),
+        water: tag.hasWaterSensor(),
+        kumostat: tag.isKumostat(),
+        physical: tag.isPhysicalTag()
+    };
+}
+
+/**
+ * Creates a generator of pseudo-random numbers in [0, 1) from the given
+ * seed (using the Mulberry32 algorithm).
+ *
+ * @private
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
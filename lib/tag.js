@@ -102,6 +102,27 @@ function WirelessTag(tagManager, tagData) {
 }
 util.inherits(WirelessTag, EventEmitter);
 
+/**
+ * Creates a read-only view of the given tag data that has the properties
+ * and methods of tag objects, but without creating a tag object (which
+ * for some kinds of tags involves calls to the cloud API). Useful for
+ * [matching queries]{@link module:lib/query} against tag data.
+ *
+ * @param {WirelessTagManager} [tagManager] - the tag manager of the tag
+ * @param {Object} tagData - the tag's data as returned by the API
+ * @returns {WirelessTag} the view; it must not be used to change the tag,
+ *          or to call the cloud API
+ * @since 0.8.0
+ */
+WirelessTag.dataView = function(tagManager, tagData) {
+    let view = Object.create(WirelessTag.prototype);
+    view.wirelessTagManager = tagManager;
+    view.data = tagData || {};
+    roTagProps.concat(rwTagProps).forEach(
+        (p) => u.defineLinkedProperty(view, p, 'data', true));
+    return view;
+};
+
 /**
  * Obtains the list of sensor types supported by this tag, such as `light`,
  * `humidity`, `temp` (for temperature), etc.
@@ -424,6 +445,34 @@ WirelessTag.prototype.discoverSensors = function() {
     return Promise.all(proms);
 };
 
+/**
+ * Iterates asynchronously over the [sensor objects]{@link WirelessTagSensor}
+ * supported by this tag, for consuming them with `for await ... of`. The
+ * sensors are [initialized]{@link WirelessTag#initializeSensor} concurrently,
+ * as by {@link WirelessTag#discoverSensors}, and each is yielded once its
+ * monitoring config has loaded, regardless of the order of the tag's
+ * [sensor capabilities]{@link WirelessTag#sensorCapabilities}.
+ *
+ * The returned iterator can be consumed only once. Sensors are initialized
+ * only once iteration starts. If iteration is stopped early (such as by
+ * `break`), the initializations under way still complete (and emit their
+ * `discover` events), but their sensors are no longer yielded.
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - a signal for aborting the
+ *          iteration, upon which it fails with an
+ *          [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}
+ *
+ * @returns {AsyncIterator} yields {@link WirelessTagSensor} objects
+ * @since 0.8.0
+ */
+WirelessTag.prototype.sensors = function(options) {
+    return u.asyncIterator((emit) => Promise.all(
+        this.sensorCapabilities().map(
+            (sensorType) => this.initializeSensor(sensorType).then(emit))
+    ), options, "sensors");
+};
+
 /**
  * Obtains, and if necessary initializes the [sensor object]{@link WirelessTagSensor}
  * of the given type for this tag.
@@ -504,13 +553,20 @@ WirelessTag.prototype.createSensor = function(sensorType) {
  * data changed (such as temperature or humidity).
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`
  * @returns {Promise} Resolves to this tag object once the update completes.
  */
-WirelessTag.prototype.update = function(callback) {
+WirelessTag.prototype.update = function(callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     var req = this.callAPI(
         '/ethClient.asmx/GetTagForSlaveId',
         { slaveid: this.slaveId },
-        callback);
+        callback,
+        options);
     return req.then(
         (result) => {
             this.data = result;
@@ -553,10 +609,17 @@ WirelessTag.prototype.update = function(callback) {
  *           milliseconds to wait between retries
  * @param {number} [options.retries] - the number of times to retry before
  *           giving up
+ * @param {number} [options.timeout] - the time in milliseconds after which
+ *           to give up retrying, regardless of the number of retries
+ *           (since v0.8.0)
+ * @param {AbortSignal} [options.signal] - a signal for cancelling the
+ *           retries (since v0.8.0)
  * @returns {Promise} Resolves to the tag if retrying is eventually
  *           considered successful, and rejects with an
  *           [OperationIncompleteError]{@link WirelessTagPlatform.OperationIncompleteError}
- *           otherwise.
+ *           otherwise. Rejects with an [OperationTimedOutError]{@link WirelessTagPlatform.OperationTimedOutError}
+ *           or [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}
+ *           if timing out or being cancelled.
  */
 WirelessTag.prototype.retryUpdateUntil = function(success, options) {
     let successFunc = (tag, attempt) => {
@@ -568,8 +631,16 @@ WirelessTag.prototype.retryUpdateUntil = function(success, options) {
             "update",
             attempt);
     };
-    options = Object.assign(DEFAULT_RETRY_OPTIONS, options);
-    return u.retryUntil(this.update.bind(this), successFunc, options);
+    options = Object.assign({}, DEFAULT_RETRY_OPTIONS, options);
+    let abortOpts = { timeout: options.timeout, signal: options.signal };
+    delete options.timeout;
+    delete options.signal;
+    return u.withAbort(
+        (signal) => u.retryUntil(() => this.update({ signal: signal }),
+                                 successFunc,
+                                 options),
+        abortOpts,
+        "update");
 };
 
 /**
@@ -581,7 +652,8 @@ WirelessTag.prototype.retryUpdateUntil = function(success, options) {
  * will be made. Otherwise, retries are passed to `retryUpdateUntil()`.
  */
 WirelessTag.prototype.updateUntil = function(success, retryOptions) {
-    return this.update().then((tag) => {
+    let signal = retryOptions ? retryOptions.signal : undefined;
+    return this.update({ signal: signal }).then((tag) => {
         if (success(tag)) return tag;
         // success function didn't return truthy, convert to throw
         throw new OperationIncompleteError("update of tag deemed unsuccessful",
@@ -609,13 +681,20 @@ WirelessTag.prototype.updateUntil = function(success, retryOptions) {
  * value.
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`
  * @returns {Promise} Resolves to this tag object once the update completes.
  */
-WirelessTag.prototype.liveUpdate = function(callback) {
+WirelessTag.prototype.liveUpdate = function(callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     var req = this.callAPI(
         '/ethClient.asmx/RequestImmediatePostback',
         { id: this.slaveId },
-        callback);
+        callback,
+        options);
     return req.then(
         (result) => {
             this.data = result;
@@ -645,7 +724,12 @@ WirelessTag.prototype.startUpdateLoop = function(minWait) {
     this._updateTimer = true; // placeholder to avoid race conditions
     let action = () => {
         this._updateTimer = true;  // timer is done but action not yet
-        this.update().then(() => {
+        // while the tag manager is known to be offline an update can only
+        // fail, so skip it, and try again after the usual wait
+        let mgr = this.wirelessTagManager;
+        let update = (mgr.isReachable && ! mgr.isReachable()) ?
+            Promise.resolve() : this.update();
+        update.then(() => {
             // reset wait time upon success
             minWait = undefined;
         }).catch((err) => {
@@ -765,6 +849,9 @@ WirelessTag.prototype.toString = function() {
  *          the update interval will be set to the value of the
  *          `updateInterval` property
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`; the timeout applies to the operation
+ *          as a whole, including retrying updates
  * @returns {Promise} Resolves to this tag object when the operation
  *          completes successfully. Will [retry updating]{@link WirelessTag#retryUpdateUntil}
  *          until the tag's data reflect the new update interval. Rejects
@@ -772,11 +859,16 @@ WirelessTag.prototype.toString = function() {
  *          if this is still not the case after the
  *          [default number of retries]{@link module:lib/tag~DEFAULT_RETRY_OPTIONS}.
  */
-WirelessTag.prototype.setUpdateInterval = function(value, callback) {
-    if ('function' === typeof value) {
+WirelessTag.prototype.setUpdateInterval = function(value, callback, options) {
+    if (('function' === typeof value) || (value && 'object' === typeof value)) {
+        options = callback;
         callback = value;
         value = undefined;
     }
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     if (value === undefined) {
         value = this.updateInterval;
     } else if (value === this.updateInterval) {
@@ -786,23 +878,27 @@ WirelessTag.prototype.setUpdateInterval = function(value, callback) {
     if (('number' !== typeof value) || (value <= 0)) {
         throw new TypeError("invalid update interval for tag " + this.name);
     }
-    var req = this.callAPI(
-        '/ethClient.asmx/SetPostbackIntervalFor',
-        { id: this.slaveId, sec: value },
-        callback);
-    return req.then(
-        (result) => {
-            this.data = result;
-            if (this.updateInterval !== value) {
-                // the API call itself succeeded, so this should resolve
-                // itself if we retry updating after a short delay
-                return this.retryUpdateUntil(
-                    (tag) => tag.updateInterval === value
-                );
-            }
-            if (callback) callback(null, { object: this });
-            return this;
-        });
+    return u.withAbort((signal) => {
+        let req = this.callAPI(
+            '/ethClient.asmx/SetPostbackIntervalFor',
+            { id: this.slaveId, sec: value },
+            callback,
+            { signal: signal });
+        return req.then(
+            (result) => {
+                this.data = result;
+                if (this.updateInterval !== value) {
+                    // the API call itself succeeded, so this should resolve
+                    // itself if we retry updating after a short delay
+                    return this.retryUpdateUntil(
+                        (tag) => tag.updateInterval === value,
+                        { signal: signal }
+                    );
+                }
+                if (callback) callback(null, { object: this });
+                return this;
+            });
+    }, options, "setUpdateInterval");
 };
 
 /**
@@ -817,6 +913,9 @@ WirelessTag.prototype.setUpdateInterval = function(value, callback) {
  *          low power mode; if omitted, the value of the `lowPowerMode`
  *          property will be used
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`; the timeout applies to the operation
+ *          as a whole, including retrying updates
  * @returns {Promise} Resolves to this tag object when the operation
  *          completes successfully. Will [retry updating]{@link WirelessTag#retryUpdateUntil}
  *          until the tag's data reflect the requested value. Rejects
@@ -824,11 +923,16 @@ WirelessTag.prototype.setUpdateInterval = function(value, callback) {
  *          if this is still not the case after the
  *          [default number of retries]{@link module:lib/tag~DEFAULT_RETRY_OPTIONS}.
  */
-WirelessTag.prototype.setLowPowerMode = function(value, callback) {
-    if ('function' === typeof value) {
+WirelessTag.prototype.setLowPowerMode = function(value, callback, options) {
+    if (('function' === typeof value) || (value && 'object' === typeof value)) {
+        options = callback;
         callback = value;
         value = undefined;
     }
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
     if (value === undefined) {
         value = this.lowPowerMode;
     } else if ('boolean' === typeof value) {
@@ -840,21 +944,25 @@ WirelessTag.prototype.setLowPowerMode = function(value, callback) {
         throw new TypeError("invalid power mode value for tag " + this.name);
     }
 
-    var req = this.callAPI(
-        '/ethClient.asmx/SetLowPowerWOR',
-        { id: this.slaveId, enable: value },
-        callback);
-    return req.then(
-        (result) => {
-            this.data = result;
-            if (this.lowPowerMode !== value) {
-                // the API call itself succeeded, so this should resolve
-                // itself if we retry updating after a short delay
-                return this.retryUpdateUntil(
-                    (tag) => tag.lowPowerMode === value
-                );
-            }
-            if (callback) callback(null, { object: this });
-            return this;
-        });
+    return u.withAbort((signal) => {
+        let req = this.callAPI(
+            '/ethClient.asmx/SetLowPowerWOR',
+            { id: this.slaveId, enable: value },
+            callback,
+            { signal: signal });
+        return req.then(
+            (result) => {
+                this.data = result;
+                if (this.lowPowerMode !== value) {
+                    // the API call itself succeeded, so this should resolve
+                    // itself if we retry updating after a short delay
+                    return this.retryUpdateUntil(
+                        (tag) => tag.lowPowerMode === value,
+                        { signal: signal }
+                    );
+                }
+                if (callback) callback(null, { object: this });
+                return this;
+            });
+    }, options, "setLowPowerMode");
 };
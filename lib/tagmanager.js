@@ -5,7 +5,12 @@ module.exports = WirelessTagManager;
 
 var util = require('util'),
     EventEmitter = require('events'),
-    u = require('./util');
+    deepEqual = require('deep-equal'),
+    u = require('./util'),
+    CommandQueue = require('./commandqueue'),
+    CircuitBreaker = require('./circuitbreaker'),
+    OperationUnsupportedError = require('./error/OperationUnsupportedError'),
+    UnauthorizedAccessError = require('./error/UnauthorizedAccessError');
 
 const roMgrProps = ["mac",
                     "radioId",
@@ -32,13 +37,25 @@ const rwMgrProps = ["name"];
  * @alias WirelessTagManager
  *
  * @property {string} mac - unique serial number (MAC) of the tag manager
- * @property {string} name - name of the tag manager (user-assigned)
+ * @property {string} name - name of the tag manager (user-assigned);
+ *           assigning it changes only the local data, see
+ *           {@link WirelessTagManager#save}
  * @property {string} radioId
  * @property {string} rev - hardware revision
  * @property {object} wirelessConfig
  * @property {boolean} online - true if the tag manager is online, and false otherwise
  * @property {boolean} selected - true if the tag manager is currently selected, and false otherwise
  * @property {number} dbid - a sequential number among the tag managers associated with an account
+ * @property {Array} mirrors - the mirrors of the tag manager (other
+ *           accounts it is shared with) as the polling endpoint reports
+ *           them along with tag data, empty until then (since v0.8.0)
+ * @property {string} accessLevel - the access the connected account has
+ *           to the tag manager, either `full`, or `readOnly` for a tag
+ *           manager listed in the platform's option `readOnlyTagManagers`,
+ *           in which case API calls changing anything through the tag
+ *           manager fail with an
+ *           [UnauthorizedAccessError]{@link WirelessTagPlatform.UnauthorizedAccessError}
+ *           (since v0.8.0)
  */
 function WirelessTagManager(platform, data) {
     EventEmitter.call(this);
@@ -47,11 +64,64 @@ function WirelessTagManager(platform, data) {
     this.errorHandler = platform ? platform.errorHandler : u.defaultHandler;
     /** @member {function} - see {@link WirelessTagPlatform.callAPI} */
     this.callAPI = platform ? platform.callAPI : undefined;
+    let queueOpts = platform ? platform.commandQueueOptions : undefined;
+    /**
+     * @member {CommandQueue} - the queue for API calls going through this
+     *          tag manager, or undefined if queueing is disabled (see option
+     *          `commandQueue` of {@link WirelessTagPlatform})
+     * @since 0.8.0
+     */
+    this.commandQueue =
+        queueOpts === false ? undefined : new CommandQueue(queueOpts);
+    let breakerOpts = platform ? platform.circuitBreakerOptions : undefined;
+    /**
+     * @member {CircuitBreaker} - the circuit breaker for API calls going
+     *          through this tag manager, or undefined if disabled (see
+     *          option `circuitBreaker` of {@link WirelessTagPlatform})
+     * @since 0.8.0
+     */
+    this.circuitBreaker = breakerOpts === false ?
+        undefined :
+        new CircuitBreaker(breakerOpts, () => this._probe());
+    if (this.circuitBreaker) {
+        this.circuitBreaker.on('open', (event) => {
+            this.emit('offline', Object.assign({ tagManager: this }, event));
+        });
+        this.circuitBreaker.on('close', (event) => {
+            this.emit('online', {
+                tagManager: this,
+                offlineDuration: event.duration
+            });
+        });
+        // the cloud's status of the tag manager, if we have it, is the
+        // most direct evidence of whether it is online
+        this.on('_data', () => {
+            if (this.data.online === false) {
+                this.circuitBreaker.open();
+            } else if (this.data.online === true) {
+                this.circuitBreaker.close();
+            }
+        });
+    }
     u.defineOnChangeProperty(this, 'data', 'data');
     roMgrProps.forEach((p) => u.defineLinkedProperty(this, p, 'data', true));
     rwMgrProps.forEach((p) => u.defineLinkedProperty(this, p, 'data', false));
+    // not part of the data, which rediscovery replaces
+    this._mirrors = [];
+    Object.defineProperty(this, "mirrors", {
+        enumerable: true,
+        get: function() { return this._mirrors }
+    });
+    Object.defineProperty(this, "accessLevel", {
+        enumerable: true,
+        get: function() {
+            let readOnly = platform ? platform.readOnlyTagManagers : undefined;
+            return (readOnly && readOnly.indexOf(this.mac) >= 0) ?
+                'readOnly' : 'full';
+        }
+    });
     /** @member {object} - the JSON object returned by the cloud API */
-    this.data = data;
+    this._setCloudData(data);
 }
 util.inherits(WirelessTagManager, EventEmitter);
 
@@ -61,12 +131,54 @@ util.inherits(WirelessTagManager, EventEmitter);
  * @event WirelessTagManager#discover
  * @type {WirelessTag}
  */
+/**
+ * Lost event. Emitted for every previously discovered {@link WirelessTag}
+ * instance that the cloud no longer returns, see
+ * {@link WirelessTagPlatform#discoverTags}.
+ *
+ * @event WirelessTagManager#lost
+ * @type {WirelessTag}
+ * @since 0.8.0
+ */
 /**
  * Data event. Emitted whenever the properties data for an instance changes.
  *
  * @event WirelessTagManager#data
  * @type {WirelessTagManager}
  */
+/**
+ * Update event. Emitted when a writable property is assigned a different
+ * value, and since v0.8.0, when [saving]{@link WirelessTagManager#save} a
+ * setting to the cloud has been verified. Listeners are passed the tag
+ * manager, the name of the property, and its new value.
+ *
+ * @event WirelessTagManager#update
+ * @type {WirelessTagManager}
+ */
+/**
+ * Offline event. Emitted when the tag manager becomes known to be
+ * offline, whether from a failed API call or from its status in the cloud.
+ * API calls through it then fail right away, see {@link CircuitBreaker}.
+ *
+ * @event WirelessTagManager#offline
+ * @type {object}
+ * @property {WirelessTagManager} tagManager
+ * @property {Error} [error] - the error from which the tag manager is known
+ *           to be offline, if any
+ * @property {Date} since - when the tag manager became known to be offline
+ * @since 0.8.0
+ */
+/**
+ * Online event. Emitted when a tag manager that was known to be offline
+ * is found to be back online.
+ *
+ * @event WirelessTagManager#online
+ * @type {object}
+ * @property {WirelessTagManager} tagManager
+ * @property {number} offlineDuration - the time in milliseconds the tag
+ *           manager was known to be offline
+ * @since 0.8.0
+ */
 
 /**
  * Retrieves the tags associated with this tag managaer and available
@@ -77,17 +189,26 @@ util.inherits(WirelessTagManager, EventEmitter);
  *                 data object returned by the API has to meet. The
  *                 most useful ones are likely `name` and
  *                 `uuid`. Consult the [GetTagForSlaveId JSON API]{@link http://wirelesstag.net/media/mytaglist.com/ethClient.asmx@op=GetTagForSlaveId.html}
- *                 for possible keys.
+ *                 for possible keys. Since v0.8.0, queries can use
+ *                 operators and derived properties, see {@link module:lib/query}.
  * @param {module:wirelesstags~apiCallback} [callback] - if provided,
  *                `query` must be provided too, even if as value undefined.
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback`
  *
  * @fires WirelessTagManager#discover
+ * @fires WirelessTagManager#lost
  * @returns {Promise} Resolves to an array of {@link WirelessTag} instances.
  */
-WirelessTagManager.prototype.discoverTags = function(query, callback) {
-    query = Object.assign({ "wirelessTagManager": {} }, query);
-    query.wirelessTagManager.mac = this.mac;
-    return this.wirelessTagPlatform.discoverTags(query, callback);
+WirelessTagManager.prototype.discoverTags = function(query, callback, options) {
+    query = Object.assign({}, query);
+    let mgrQuery = query.wirelessTagManager;
+    if ('function' === typeof mgrQuery) {
+        query.wirelessTagManager = (mgr) => (mgr.mac === this.mac) && mgrQuery(mgr);
+    } else {
+        query.wirelessTagManager = Object.assign({}, mgrQuery, { mac: this.mac });
+    }
+    return this.wirelessTagPlatform.discoverTags(query, callback, options);
 };
 
 /**
@@ -98,26 +219,206 @@ WirelessTagManager.prototype.discoverTags = function(query, callback) {
  * will not normally need to do so.
  *
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback`
  *
  * @returns {Promise} resolves to the tag manager instance
  */
-WirelessTagManager.prototype.select = function(callback) {
-    return this.wirelessTagPlatform.selectTagManager(this, callback);
+WirelessTagManager.prototype.select = function(callback, options) {
+    return this.wirelessTagPlatform.selectTagManager(this, callback, options);
 };
 
 /**
  * Finds the tag associated with this tag manager and identified by the
- * given 'slaveId'.
+ * given 'slaveId'. Since v0.8.0, if the tag was discovered before, the
+ * cached tag object (see {@link WirelessTagPlatform#getTag}) is updated
+ * and returned, and otherwise the tag object is added to the cache.
  *
  * @param {number} slaveId - the sequential ID of the tag to be found
  * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *                in place of `callback`
  *
+ * @fires WirelessTagManager#discover
  * @returns {Promise} resolves to the tag object if successful, and otherwise
  *      rejects with an [InvalidOperationError]{@link WirelessTagPlatform.InvalidOperationError}
  * @since 0.6.2
  */
-WirelessTagManager.prototype.findTagById = function(slaveId, callback) {
-    let factory = this.wirelessTagPlatform.factory;
-    let tag = factory.createTag(this, { slaveId: slaveId });
-    return tag.update(callback);
+WirelessTagManager.prototype.findTagById = function(slaveId, callback, options) {
+    let platform = this.wirelessTagPlatform;
+    let tag = platform.eachTag().find(
+        (t) => t.wirelessTagManager === this && t.slaveId === slaveId);
+    if (tag) return tag.update(callback, options);
+    tag = platform.factory.createTag(this, { slaveId: slaveId });
+    // once we know its UUID, a cached object may exist after all (if the
+    // tag moved here from another tag manager)
+    return tag.update(callback, options).then((result) => {
+        if (! tag.uuid) return result;
+        return platform._cacheTag(this, tag.data, tag);
+    });
+};
+
+/**
+ * Whether any or a specific writable property of this tag manager (see
+ * {@link WirelessTagManager#save}) has been changed locally since the tag
+ * manager's data were last received from the cloud.
+ *
+ * @param {string} [property] - the name of the property if querying for a
+ *          specific one rather than any
+ * @returns {boolean}
+ * @since 0.8.0
+ */
+WirelessTagManager.prototype.isModified = function(property) {
+    let keys = property ? [property] : rwMgrProps;
+    return keys.some((key) => rwMgrProps.indexOf(key) >= 0
+                     && ! deepEqual(this.data[key], this._cloudData[key]));
+};
+
+/**
+ * Saves the properties of this tag manager that have been
+ * [modified]{@link WirelessTagManager#isModified} locally to the cloud.
+ *
+ * The only writable property is `name`, and the cloud's published API has
+ * no endpoint for changing it (or any other setting of a tag manager), so
+ * for now saving fails if anything has been modified. Does nothing if no
+ * property has been modified.
+ *
+ * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`
+ *
+ * @returns {Promise} Resolves to this tag manager object if there is
+ *          nothing to save. Rejects with an
+ *          [UnauthorizedAccessError]{@link WirelessTagPlatform.UnauthorizedAccessError}
+ *          if the tag manager is shared with the connected account
+ *          read-only (see {@link WirelessTagManager#accessLevel}), and with
+ *          an [OperationUnsupportedError]{@link WirelessTagPlatform.OperationUnsupportedError}
+ *          otherwise.
+ * @since 0.8.0
+ */
+WirelessTagManager.prototype.save = function(callback) {
+    // options can be passed in place of callback, but none apply yet
+    if (callback && ('function' !== typeof callback)) callback = undefined;
+    let keys = rwMgrProps.filter((k) => this.isModified(k));
+    if (keys.length === 0) {
+        if (callback) callback(null, { object: this });
+        return Promise.resolve(this);
+    }
+    let platform = this.wirelessTagPlatform;
+    let e;
+    if (this.accessLevel === 'readOnly') {
+        e = new UnauthorizedAccessError(
+            "Tag manager " + this.mac + " is shared with this account "
+                + "read-only, cannot save " + keys.join(", "),
+            { redactKeys: platform ? platform.redactKeys : undefined });
+    } else {
+        e = new OperationUnsupportedError(
+            "saving " + keys.join(", ") + " of tag managers is not "
+                + "supported by the cloud API",
+            this,
+            "save");
+    }
+    if (callback) callback(e);
+    return Promise.reject(e);
+};
+
+/**
+ * Changes the name of this tag manager, and [saves]{@link WirelessTagManager#save}
+ * it to the cloud. Unlike assigning `name`, this restores the previous name
+ * if saving fails, which for now it always does (see
+ * {@link WirelessTagManager#save}).
+ *
+ * @param {string} name - the new name
+ * @param {module:wirelesstags~apiCallback} [callback]
+ * @param {module:wirelesstags~callOptions} [options] - can also be passed
+ *          in place of `callback`
+ *
+ * @returns {Promise} see {@link WirelessTagManager#save}; also rejects
+ *          with a `TypeError` if the name is not a non-empty string
+ * @since 0.8.0
+ */
+WirelessTagManager.prototype.setName = function(name, callback, options) {
+    if (callback && ('function' !== typeof callback)) {
+        options = callback;
+        callback = undefined;
+    }
+    if (('string' !== typeof name) || (name.trim().length === 0)) {
+        let e = new TypeError("invalid name for tag manager " + this.mac);
+        if (callback) callback(e);
+        return Promise.reject(e);
+    }
+    let oldName = this.name;
+    // bypass the setter, which would emit update before the cloud has it
+    this.data.name = name;
+    return this.save(options).then((result) => {
+        if (callback) callback(null, { object: this });
+        return result;
+    }, (err) => {
+        // unless the cloud has given us its name meanwhile, revert ours
+        if (this.data.name === name) this.data.name = oldName;
+        throw err;
+    }).catch(this.errorHandler(callback));
+};
+
+/**
+ * Sets the mirrors of this tag manager to those reported by the cloud,
+ * emitting an `update` event if they differ.
+ *
+ * @param {Array} mirrors
+ * @private
+ */
+WirelessTagManager.prototype._setMirrors = function(mirrors) {
+    if (deepEqual(this._mirrors, mirrors)) return;
+    this._mirrors = mirrors;
+    this.emit('update', this, 'mirrors', mirrors);
+};
+
+/**
+ * Sets the data of this tag manager to those received from the cloud, and
+ * remembers them as what local changes to its settings are detected
+ * against (see {@link WirelessTagManager#isModified}).
+ *
+ * @param {object} data - the tag manager's data as returned by the API
+ * @private
+ */
+WirelessTagManager.prototype._setCloudData = function(data) {
+    this.data = data;
+    this._cloudData = JSON.parse(JSON.stringify(this.data));
+};
+
+/**
+ * Whether API calls through this tag manager can be expected to reach it.
+ * This is false while the tag manager is known to be offline, either from
+ * the [circuit breaker]{@link WirelessTagManager#circuitBreaker}, or if
+ * that is disabled, from the tag manager's status in the cloud (property
+ * `online`).
+ *
+ * @returns {boolean}
+ * @since 0.8.0
+ */
+WirelessTagManager.prototype.isReachable = function() {
+    if (this.circuitBreaker) return ! this.circuitBreaker.isOpen();
+    return this.online !== false;
+};
+
+/**
+ * Probes whether this tag manager is online, by retrieving its status
+ * from the cloud. Unlike {@link WirelessTagPlatform#discoverTagManagers},
+ * this leaves the platform's tag managers and their data alone. Stops
+ * the probing if the platform no longer has this tag manager.
+ *
+ * @returns {Promise} resolves to true if the tag manager is online
+ * @private
+ */
+WirelessTagManager.prototype._probe = function() {
+    let platform = this.wirelessTagPlatform;
+    if (platform._tagManagersByMAC.get(this.mac) !== this) {
+        this.circuitBreaker.reset();
+        return Promise.resolve(false);
+    }
+    return platform.callAPI('/ethAccount.asmx/GetTagManagers', {}).
+        then((result) => {
+            let mgrData = result.find((m) => m.mac === this.mac);
+            return mgrData !== undefined && mgrData.online !== false;
+        });
 };
@@ -0,0 +1,252 @@
+"use strict";
+
+/**
+ * Transport adapters for making calls to the cloud JSON API. A transport
+ * adapter is a function that is passed a request object, and returns a
+ * promise resolving to the response (see below). It can be passed to
+ * {@link WirelessTagPlatform} as option `transport`, which allows using a
+ * different HTTP client library, custom agents, or test doubles.
+ *
+ * The request object passed to the adapter has the following properties:
+ * - `method`: the HTTP method (currently always `POST`)
+ * - `uri`: the absolute URI of the API endpoint
+ * - `body`: the request body, as an object to be sent as JSON
+ * - `headers`: additional HTTP headers to send, as an object
+ * - `jar`: the cookie jar holding the session, either an object with
+ *   methods `getCookieString(uri)` and `setCookie(cookie, uri)` (such as
+ *   created by `request.jar()`), or `true` for the process-wide cookie jar
+ *   (which only the `request` adapter supports)
+ * - `signal`: if present, an abort signal upon which the request should
+ *   be aborted
+ *
+ * The response the promise resolves to must have the following properties:
+ * - `statusCode`: the HTTP status code of the response
+ * - `body`: the response body, parsed from JSON if possible
+ *
+ * The promise should only reject if no response was received. Error
+ * responses are translated into errors by the caller.
+ *
+ * The adapters created by this module accept the
+ * [network settings]{@link module:lib/network} (proxy, certificate
+ * authorities, and agents) as options.
+ *
+ * @module lib/transport
+ * @since 0.8.0
+ */
+
+var url = require('url'),
+    zlib = require('zlib'),
+    request = require('request'),
+    network = require('./network');
+
+module.exports = {
+    request: requestTransport,
+    http: httpTransport,
+    fetch: fetchTransport
+};
+
+/**
+ * Creates a transport adapter using the `request` package. This is the
+ * default transport.
+ *
+ * @param {object} [options] - the network settings, and additional
+ *          options to pass to `request()`
+ * @returns {function} the transport adapter
+ * @memberof module:lib/transport
+ */
+function requestTransport(options) {
+    let settings = {};
+    let extraOpts = {};
+    Object.keys(options || {}).forEach((key) => {
+        if (network.SETTINGS.indexOf(key) >= 0) {
+            settings[key] = options[key];
+        } else {
+            extraOpts[key] = options[key];
+        }
+    });
+    return function(req) {
+        let opts = Object.assign({
+            method: req.method || 'POST',
+            uri: req.uri,
+            body: req.body,
+            headers: req.headers,
+            json: true,
+            jar: req.jar || true,
+            gzip: true
+        }, network.requestOptions(req.uri, settings), extraOpts);
+        return new Promise((resolve, reject) => {
+            let r = request(opts, function(error, response, body) {
+                if (error) return reject(error);
+                resolve({ statusCode: response.statusCode, body: body });
+            });
+            onAbort(req.signal, () => {
+                r.abort();
+                reject(req.signal.reason);
+            });
+        });
+    };
+}
+
+/**
+ * Creates a transport adapter using Node's built-in `http` and `https`
+ * modules.
+ *
+ * @param {object} [options] - the network settings
+ * @param {object} [options.agent] - the agent to use for connections
+ * @returns {function} the transport adapter
+ * @memberof module:lib/transport
+ */
+function httpTransport(options) {
+    let connect = network.connector(options);
+    return function(req) {
+        let target = url.parse(req.uri);
+        let conn = connect(req.uri);
+        let payload = JSON.stringify(req.body || {});
+        let headers = Object.assign({
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(payload),
+            'Accept': 'application/json',
+            'Accept-Encoding': 'gzip, deflate'
+        }, req.headers);
+        let cookies = getCookies(req.jar, req.uri);
+        if (cookies) headers.Cookie = cookies;
+        let reqOpts = Object.assign({}, target, conn.options, {
+            method: req.method || 'POST',
+            headers: Object.assign(headers, conn.options.headers)
+        });
+        return new Promise((resolve, reject) => {
+            let httpReq = conn.client.request(reqOpts, (response) => {
+                setCookies(req.jar, req.uri, response.headers['set-cookie']);
+                let stream = response;
+                let encoding = response.headers['content-encoding'];
+                if (encoding === 'gzip') {
+                    stream = response.pipe(zlib.createGunzip());
+                } else if (encoding === 'deflate') {
+                    stream = response.pipe(zlib.createInflate());
+                }
+                let chunks = [];
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.on('error', reject);
+                stream.on('end', () => {
+                    let text = Buffer.concat(chunks).toString('utf8');
+                    resolve({
+                        statusCode: response.statusCode,
+                        body: parseBody(text)
+                    });
+                });
+            });
+            httpReq.on('error', reject);
+            onAbort(req.signal, () => {
+                httpReq.abort();
+                reject(req.signal.reason);
+            });
+            httpReq.end(payload);
+        });
+    };
+}
+
+/**
+ * Creates a transport adapter using the Fetch API.
+ *
+ * The Fetch API has no standard way to configure proxies or certificate
+ * authorities, and so the network settings are not supported. Instead, a
+ * dispatcher (such as undici's `ProxyAgent`, for Node's built-in `fetch()`)
+ * can be passed. In particular, proxies given in the environment are not
+ * used unless by such a dispatcher.
+ *
+ * @param {object} [options]
+ * @param {function} [options.fetch] - the `fetch()` implementation to use;
+ *          defaults to the global one
+ * @param {object} [options.dispatcher] - the dispatcher to pass to
+ *          `fetch()`
+ * @param {string} [options.credentials] - the credentials mode to pass to
+ *          `fetch()`, such as `include` for sending the session cookie in
+ *          browsers across origins
+ * @returns {function} the transport adapter
+ * @throws {TypeError} if network settings are given
+ * @memberof module:lib/transport
+ */
+function fetchTransport(options) {
+    let opts = options || {};
+    if (network.hasSettings(opts)) {
+        throw new TypeError("the fetch transport does not support options "
+                            + network.SETTINGS.join(", ")
+                            + "; pass option dispatcher instead");
+    }
+    return function(req) {
+        let fetchImpl = opts.fetch || global.fetch;
+        if ('function' !== typeof fetchImpl) {
+            return Promise.reject(new TypeError("no fetch() implementation"));
+        }
+        let headers = Object.assign({
+            'Content-Type': 'application/json; charset=utf-8',
+            'Accept': 'application/json'
+        }, req.headers);
+        let cookies = getCookies(req.jar, req.uri);
+        if (cookies) headers.Cookie = cookies;
+        let init = {
+            method: req.method || 'POST',
+            headers: headers,
+            body: JSON.stringify(req.body || {})
+        };
+        if (req.signal) init.signal = req.signal;
+        if (opts.dispatcher) init.dispatcher = opts.dispatcher;
+        if (opts.credentials) init.credentials = opts.credentials;
+        return fetchImpl(req.uri, init).then((response) => {
+            let setCookie = response.headers.getSetCookie ?
+                response.headers.getSetCookie() :
+                response.headers.get('set-cookie');
+            setCookies(req.jar, req.uri, setCookie);
+            return response.text().then((text) => ({
+                statusCode: response.status,
+                body: parseBody(text)
+            }));
+        });
+    };
+}
+
+/**
+ * Invokes the given action once the given signal is aborted.
+ *
+ * @private
+ */
+function onAbort(signal, action) {
+    if (! signal) return;
+    if (signal.aborted) return action();
+    signal.addEventListener('abort', action);
+}
+
+/**
+ * Obtains the value for the `Cookie` header from the given cookie jar.
+ *
+ * @private
+ */
+function getCookies(jar, uri) {
+    if (! (jar && 'function' === typeof jar.getCookieString)) return undefined;
+    return jar.getCookieString(uri) || undefined;
+}
+
+/**
+ * Stores the value(s) of `Set-Cookie` headers in the given cookie jar.
+ *
+ * @private
+ */
+function setCookies(jar, uri, cookies) {
+    if (! (cookies && jar && 'function' === typeof jar.setCookie)) return;
+    if (! Array.isArray(cookies)) cookies = [cookies];
+    cookies.forEach((c) => jar.setCookie(c, uri));
+}
+
+/**
+ * Parses the given response text as JSON, if possible.
+ *
+ * @private
+ */
+function parseBody(text) {
+    if (! text) return undefined;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
@@ -3,7 +3,10 @@
 var deepEqual = require('deep-equal'),
     EventEmitter = require('events'),
     retryPromised = require('promise-retry'),
-    OperationIncompleteError = require('./error/OperationIncompleteError.js');
+    query = require('./query'),
+    OperationIncompleteError = require('./error/OperationIncompleteError.js'),
+    OperationAbortedError = require('./error/OperationAbortedError.js'),
+    OperationTimedOutError = require('./error/OperationTimedOutError.js');
 
 /** @module lib/util */
 
@@ -12,10 +15,14 @@ module.exports = {
     defineLinkedProperty: defineLinkedProperty,
     defineOnChangeProperty: defineOnChangeProperty,
     FILETIMEtoDate: FILETIMEtoDate,
+    dateToFILETIME: dateToFILETIME,
     round: round,
     defaultHandler: defaultHandler,
     createFilter: createFilter,
-    retryUntil: retryUntil
+    retryUntil: retryUntil,
+    withAbort: withAbort,
+    abortError: abortError,
+    asyncIterator: asyncIterator
 };
 
 /**
@@ -93,7 +100,7 @@ function defineLinkedProperty(obj, prop, srcProp, readOnly) {
         descriptor.set = function(val) {
             let oldVal = obj[srcProp][srcKey];
             if (! deepEqual(val, oldVal)) {
-                obj[srcKey][srcKey] = val;
+                obj[srcProp][srcKey] = val;
                 if (obj instanceof EventEmitter) {
                     obj.emit('update', obj, propName, val);
                 }
@@ -192,6 +199,20 @@ function FILETIMEtoDate(filetime) {
     return filetime / 10000 - 11644473600000;
 }
 
+/**
+ * Converts from JavaScript Date (milliseconds since January 1, 1970 (UTC))
+ * to Windows FILETIME (100 nanosecond intervals since January 1, 1601
+ * (UTC)). This is the inverse of {@link module:lib/util.FILETIMEtoDate}.
+ *
+ * @param {Date|number} date - the date, or milliseconds since the epoch
+ * @returns {number} the corresponding Windows FILETIME value
+ * @memberof module:lib/util
+ * @since 0.8.0
+ */
+function dateToFILETIME(date) {
+    return (Number(date) + 11644473600000) * 10000;
+}
+
 /**
  * Similar to `Math.round()` but rounds to given precision of decimal places.
  * @param {number} number - the number to round
@@ -227,24 +248,15 @@ function defaultHandler(callback) {
  * @param {object} [jsonQuery] - An object specifying properties and values
  *           that an object has to match in order to pass the filter. If
  *           omitted, or if the object has no keys, any object will pass the
- *           generated filter.
+ *           generated filter. Since v0.8.0, this can use the operators and
+ *           derived properties described in {@link module:lib/query}.
  * @returns {function} the generated filter function, accepts an object as
  *           argument and returns true if it passes the filter and false
  *           otherwise.
  * @memberof module:lib/util
  */
 function createFilter(jsonQuery) {
-    if ('function' === typeof jsonQuery) return jsonQuery;
-    if ((!jsonQuery) || (Object.keys(jsonQuery).length === 0)) {
-        return () => true;
-    }
-    jsonQuery = Object.assign({}, jsonQuery); // protect against side effects
-    return function(obj) {
-        for (let key of Object.keys(jsonQuery)) {
-            if (! Object.is(obj[key], jsonQuery[key])) return false;
-        }
-        return true;
-    };
+    return query.compile(jsonQuery);
 }
 
 /**
@@ -275,3 +287,232 @@ function retryUntil(action, success, options) {
         }),
         options);
 }
+
+/**
+ * Runs the given asynchronous action such that it can be time-limited
+ * and/or cancelled, as requested by the given options.
+ *
+ * The action is passed an abort signal, which it should pass on to the
+ * asynchronous operations it performs (such as API calls), so that these
+ * are aborted too. The signal is aborted when the timeout expires, or when
+ * the signal given in the options is aborted, whichever happens first.
+ *
+ * @param {function} action - the action to run, expected to return a
+ *          promise. It is passed the abort signal, or undefined if neither
+ *          a timeout nor a signal is given.
+ * @param {object} [options]
+ * @param {number} [options.timeout] - the time in milliseconds after
+ *          which to abort the action
+ * @param {AbortSignal} [options.signal] - a signal for aborting the action
+ * @param {string} [opName] - the name of the operation, for error messages
+ * @returns {Promise} Resolves or rejects as the action does, unless the
+ *          action is aborted first, in which case it rejects with an
+ *          [OperationTimedOutError]{@link WirelessTagPlatform.OperationTimedOutError}
+ *          if the timeout expired, and otherwise with an
+ *          [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}.
+ * @memberof module:lib/util
+ * @since 0.8.0
+ */
+function withAbort(action, options, opName) {
+    let timeout = options ? options.timeout : undefined;
+    let parent = options ? options.signal : undefined;
+    if (! (timeout || parent)) return action();
+
+    let controller = createAbortController();
+    let signal = controller.signal;
+    let reason, timer, onParentAbort;
+    let abort = (error) => {
+        if (signal.aborted) return;
+        reason = error;
+        controller.abort(error);
+    };
+    let aborted = new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(reason));
+    });
+    if (parent) {
+        onParentAbort = () => abort(abortError(parent, opName));
+        if (parent.aborted) {
+            onParentAbort();
+        } else {
+            parent.addEventListener('abort', onParentAbort);
+        }
+    }
+    if (timeout && ! signal.aborted) {
+        timer = setTimeout(
+            () => abort(new OperationTimedOutError(null, opName, timeout)),
+            timeout);
+    }
+    let done = () => {
+        clearTimeout(timer);
+        if (onParentAbort) parent.removeEventListener('abort', onParentAbort);
+    };
+    let req = signal.aborted ?
+        aborted :
+        Promise.race([Promise.resolve(signal).then(action), aborted]);
+    return req.then((result) => {
+        done();
+        return result;
+    }, (error) => {
+        done();
+        throw error;
+    });
+}
+
+/**
+ * Obtains the error with which to reject an operation that was aborted
+ * through the given signal.
+ *
+ * @param {AbortSignal} signal - the aborted signal
+ * @param {string} [opName] - the name of the operation, for error messages
+ * @returns {WirelessTagPlatform.OperationAbortedError} the reason with which
+ *          the signal was aborted if it is an `OperationAbortedError`, and
+ *          otherwise a new one wrapping the reason.
+ * @memberof module:lib/util
+ * @since 0.8.0
+ */
+function abortError(signal, opName) {
+    let reason = signal ? signal.reason : undefined;
+    if (reason instanceof OperationAbortedError) return reason;
+    return new OperationAbortedError(null, opName, reason);
+}
+
+/**
+ * @const {symbol} - The symbol by which objects declare themselves async
+ *          iterable. Node.js versions before 10 lack `Symbol.asyncIterator`,
+ *          so there the same registered symbol is used that transpilers use.
+ * @private
+ */
+const ASYNC_ITERATOR = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+/**
+ * Creates an async iterator over the values that the given producer
+ * function emits. Like the objects returned by async generator functions,
+ * the iterator is its own async iterable, and thus can be consumed with
+ * `for await ... of` (or turned into a stream with `Readable.from()`), but
+ * only once.
+ *
+ * The producer is started upon the first call of `next()`, and is passed
+ * a function for emitting values, and an abort signal. Emitting returns a
+ * promise that resolves to `true` once the consumer has taken the value,
+ * and to `false` if iteration stopped before that, so that producers can
+ * wait for the consumer to catch up before doing more work. When the
+ * consumer stops iterating early (such as by `break`, which calls the
+ * iterator's `return()`), the signal is aborted, values not yet taken are
+ * dropped, and whatever the producer does thereafter is ignored.
+ *
+ * @param {function} producer - the function producing the values, expected
+ *          to return a promise that resolves when there are no more values
+ *          (or rejects if producing them fails)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - a signal for aborting the
+ *          iteration, upon which the pending or next call of `next()`
+ *          rejects with an [OperationAbortedError]{@link WirelessTagPlatform.OperationAbortedError}
+ * @param {string} [opName] - the name of the operation, for error messages
+ * @returns {AsyncIterator} the iterator
+ * @memberof module:lib/util
+ * @since 0.8.0
+ */
+function asyncIterator(producer, options, opName) {
+    let parent = options ? options.signal : undefined;
+    let controller = createAbortController();
+    let buffer = [];    // values emitted but not yet taken
+    let waiting = [];   // calls of next() waiting for a value
+    let started = false;
+    let finished = false;
+    let failure;
+
+    let finish = (error) => {
+        if (finished) return;
+        finished = true;
+        if (parent) parent.removeEventListener('abort', onParentAbort);
+        if (error && waiting.length > 0) {
+            waiting.shift().reject(error);
+        } else {
+            failure = error;
+        }
+        waiting.forEach((w) => w.resolve({ value: undefined, done: true }));
+        waiting = [];
+    };
+    let stop = (error) => {
+        buffer.forEach((item) => item.taken(false));
+        buffer = [];
+        finish(error);
+        controller.abort(error);
+    };
+    let onParentAbort = () => stop(abortError(parent, opName));
+    let emit = (value) => new Promise((resolve) => {
+        if (finished) return resolve(false);
+        if (waiting.length > 0) {
+            waiting.shift().resolve({ value: value, done: false });
+            return resolve(true);
+        }
+        buffer.push({ value: value, taken: resolve });
+        return undefined;
+    });
+    let start = () => {
+        started = true;
+        if (parent) {
+            if (parent.aborted) return onParentAbort();
+            parent.addEventListener('abort', onParentAbort);
+        }
+        new Promise((resolve) => resolve(producer(emit, controller.signal))).
+            then(() => finish(), (error) => finish(error));
+        return undefined;
+    };
+
+    let iterator = {
+        next: () => {
+            if (! started) start();
+            if (buffer.length > 0) {
+                let item = buffer.shift();
+                item.taken(true);
+                return Promise.resolve({ value: item.value, done: false });
+            }
+            if (finished) {
+                let error = failure;
+                failure = undefined;
+                if (error) return Promise.reject(error);
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise((resolve, reject) => {
+                waiting.push({ resolve: resolve, reject: reject });
+            });
+        },
+        return: (value) => {
+            started = true;
+            if (! finished) stop();
+            failure = undefined;
+            return Promise.resolve({ value: value, done: true });
+        }
+    };
+    iterator[ASYNC_ITERATOR] = () => iterator;
+    return iterator;
+}
+
+/**
+ * Creates an abort controller, using the global `AbortController` class if
+ * it is available (Node.js 15 and later).
+ *
+ * @private
+ */
+function createAbortController() {
+    if ('function' === typeof global.AbortController) {
+        return new global.AbortController();
+    }
+    let emitter = new EventEmitter();
+    let signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: (event, l) => emitter.on(event, l),
+        removeEventListener: (event, l) => emitter.removeListener(event, l)
+    };
+    return {
+        signal: signal,
+        abort: (reason) => {
+            if (signal.aborted) return;
+            signal.aborted = true;
+            signal.reason = reason;
+            emitter.emit('abort');
+        }
+    };
+}
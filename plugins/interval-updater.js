@@ -13,13 +13,25 @@
  * @module
  */
 
+var query = require('../lib/query');
+
 /**
  * Creates the updater instance.
  *
+ * @param {WirelessTagPlatform} [platform] - not used by this updater, but
+ *               accepted so that it can be swapped in for others (since
+ *               v0.8.0)
+ * @param {object} [options] - configuration options (since v0.8.0)
+ * @param {object|function} [options.query] - if provided, tags not
+ *               matching this query are ignored when added. See
+ *               {@link module:lib/query} for the syntax.
+ *
  * @constructor
  */
-function TimedTagUpdater() {
+function TimedTagUpdater(platform, options) {
     this.tagsByUUID = {};
+    this.options = Object.assign({}, options);
+    this._filter = query.compile(this.options.query);
 }
 
 /**
@@ -31,7 +43,8 @@ function TimedTagUpdater() {
  * Adding the same (determined by identity) object again has no
  * effect. However, an object that represents the same tag as one
  * already added (i.e., has the same `uuid` property value) will be
- * registered for updates, too.
+ * registered for updates, too. Tags not matching the `query` option, if
+ * one was given, are ignored.
  *
  * @param {(WirelessTag|WirelessTag[])} tags - the tags (or the tag) to
  *                                           be updated
@@ -40,7 +53,7 @@ function TimedTagUpdater() {
  */
 TimedTagUpdater.prototype.addTags = function(tags) {
     if (!Array.isArray(tags)) tags = [tags];
-    for (let tag of tags) {
+    for (let tag of tags.filter(this._filter)) {
         if (this._running) tag.startUpdateLoop();
         if (this.tagsByUUID[tag.uuid]) {
             this.tagsByUUID[tag.uuid].add(tag);
@@ -38,7 +38,10 @@
 var request = require('request'),
     soap = require('soap'),
     util = require('util'),
-    EventEmitter = require('events');
+    EventEmitter = require('events'),
+    redact = require('../lib/redact'),
+    network = require('../lib/network'),
+    query = require('../lib/query');
 
 /**
  * @const {string} - the path (relative to `API_BASE_URI`) of the WSDL
@@ -93,6 +96,11 @@ const MAX_UPDATE_LOOP_WAIT = 30 * 60 * 1000;
  *               and tag manager object factory to use in discovery
  *               mode. Either this, or the `platform` parameter must
  *               be provided for discovery mode to work.
+ * @param {object|function} [options.query] - if provided, only tags
+ *               matching this query are updated: tags not matching it
+ *               are ignored when added, and in discovery mode, only
+ *               tags matching it are created. See {@link module:lib/query}
+ *               for the syntax. (since v0.8.0)
  *
  * @constructor
  */
@@ -136,6 +144,8 @@ function PollingTagUpdater(platform, options) {
                 }
             }
             this._platform = p;
+            // the SOAP client is bound to the platform's cookie jar
+            this._client = undefined;
             if (p) {
                 if (! this.options.log) this.options.log = p.log;
                 p.on('disconnect', h);
@@ -146,6 +156,7 @@ function PollingTagUpdater(platform, options) {
 
     /** @member {WirelessTagPlatform~factory} */
     this.factory = this.options.factory;
+    this._filter = query.compile(this.options.query);
 }
 util.inherits(PollingTagUpdater, EventEmitter);
 
@@ -155,7 +166,8 @@ util.inherits(PollingTagUpdater, EventEmitter);
  * Adding the same (determined by identity) object again has no
  * effect. However, an object that represents the same tag as one
  * already added (i.e., has the same `uuid` property value) will be
- * registered for updates, too.
+ * registered for updates, too. Tags not matching the `query` option, if
+ * one was given, are ignored.
  *
  * @param {(WirelessTag|WirelessTag[])} tags - the tag object(s) to
  *                                           be updated
@@ -164,7 +176,7 @@ util.inherits(PollingTagUpdater, EventEmitter);
  */
 PollingTagUpdater.prototype.addTags = function(tags) {
     if (!Array.isArray(tags)) tags = [tags];
-    for (let tag of tags) {
+    for (let tag of tags.filter(this._filter)) {
         if (this.tagsByUUID[tag.uuid]) {
             this.tagsByUUID[tag.uuid].add(tag);
         } else {
@@ -227,8 +239,11 @@ PollingTagUpdater.prototype.startUpdateLoop = function(waitTime, callback) {
             // if all tags are associated with a single tag manager,
             // limit updates to that tag manager
             let mgrs = this.discoveryMode ? [] : this.uniqueTagManagers();
+            // authenticate the same way the platform does, if we have one
+            let headers = this.platform ? this.platform.authHeaders() : {};
             return pollForNextUpdate(client,
                                      mgrs.length === 1 ? mgrs[0] : undefined,
+                                     headers,
                                      callback);
         }).then((tagDataList) => {
             const EMPTY = { size: 0 };
@@ -244,25 +259,37 @@ PollingTagUpdater.prototype.startUpdateLoop = function(waitTime, callback) {
             });
             return Promise.all(newTagProms);
         }).then((newTagList) => {
-            newTagList.forEach((tag) => this.emit('data', tag));
+            newTagList.
+                filter(this._filter).
+                forEach((tag) => this.emit('data', tag));
             // reset wait time upon success
             waitTime = undefined;
         }).catch((err) => {
             let log = this.options.log || console;
+            let redactKeys = this.platform ? this.platform.redactKeys : undefined;
             waitTime =
                 waitTime < WAIT_AFTER_ERROR ? WAIT_AFTER_ERROR : waitTime * 2;
             if (err.Fault && this.platform) {
                 return this.platform.isSignedIn().then((signedIn) => {
                     if (signedIn) throw err;
                     // if not signed in anymore we'll treat this as sufficient
-                    // explanation, and what's left is to stop polling
+                    // explanation; if the platform is configured to do so,
+                    // sign in again, and otherwise stop polling
+                    if (this.platform.autoReconnect()) {
+                        log.warn('unexpectedly signed out of Wireless Tags, signing in again');
+                        return this.platform.reauthenticate().catch((e) => {
+                            log.error('failed to sign in again, stopping updates');
+                            this.stopUpdateLoop();
+                            throw e;
+                        });
+                    }
                     log.error('unexpectedly signed out of Wireless Tags, stopping updates');
                     this.stopUpdateLoop();
                 }).catch((e) => {
-                    logError(log, e);
+                    logError(log, e, redactKeys);
                 });
             }
-            logError(log, err);
+            logError(log, err, redactKeys);
         }).then(() => {
             // with the preceding catch() this is in essence a finally()
             if (this._updateTimer) {
@@ -299,7 +326,12 @@ PollingTagUpdater.prototype.stopUpdateLoop = function() {
  */
 PollingTagUpdater.prototype.apiClient = function() {
     if (this._client) return Promise.resolve(this._client);
-    return createSoapClient(this.options).then((client) => {
+    let headers = this.platform ? this.platform.authHeaders() : {};
+    let jar = this.platform ? this.platform.cookieJar : undefined;
+    let recorder = this.platform ? this.platform.recorder : undefined;
+    let settings = this.platform ? this.platform.networkSettings : undefined;
+    let req = createSoapClient(this.options, headers, jar, recorder, settings);
+    return req.then((client) => {
         this._client = client;
         return client;
     });
@@ -344,13 +376,30 @@ function updateTag(tag, tagData) {
                         + " to be with tag manager " + tag.mac
                         + " but is reported to be with " + tagData.mac);
     }
-    // we don't currently have anything more to do for the extra properties
-    // identifying the tag manager, so simply get rid of them
+    // the tag manager may have been shared with more or fewer accounts
+    updateMirrors(tag.wirelessTagManager, tagData.mirrors);
+    // the other extra properties identify the tag manager, which we've
+    // checked already, so get rid of them (leaving the data intact for
+    // other tag objects with the same UUID)
+    tagData = Object.assign({}, tagData);
     managerProps.forEach((k) => { delete tagData[k] });
     // almost done
     tag.data = tagData;
 }
 
+/**
+ * Updates the mirrors of the given tag manager with those reported along
+ * with tag data by the polling endpoint.
+ *
+ * @param {WirelessTagManager} mgr
+ * @param {Array} [mirrors]
+ * @private
+ */
+function updateMirrors(mgr, mirrors) {
+    if (! (mgr && mgr._setMirrors && Array.isArray(mirrors))) return;
+    mgr._setMirrors(mirrors);
+}
+
 /**
  * Creates a tag object from the given attribute data object, and returns it.
  *
@@ -361,7 +410,8 @@ function updateTag(tag, tagData) {
  *             not provide a factory, `factory` must be provided.
  * @param {WirelessTagPlatform~factory} [factory] - the tag and tag
  *             manager object factory to use
- * @returns {WirelessTag}
+ * @returns {WirelessTag} the new tag object, or if the platform has
+ *             the tag cached already, the cached one, updated with the data
  * @private
  */
 function createTag(tagData, platform, factory) {
@@ -372,6 +422,9 @@ function createTag(tagData, platform, factory) {
         mgrData[mk] = tagData[k];
         delete tagData[k];
     });
+    // not part of the tag manager's data, see WirelessTagManager#mirrors
+    let mirrors = mgrData.mirrors;
+    delete mgrData.mirrors;
     if (! platform) platform = {};
     if (! factory) factory = platform.factory;
     if (! factory) throw new TypeError("must have valid platform object or "
@@ -381,7 +434,11 @@ function createTag(tagData, platform, factory) {
         Promise.resolve(factory.createTagManager(mgrData));
     return mgrProm.then((mgr) => {
         if (! mgr) throw new Error("no such tag manager: " + mgrData.mac);
-        return factory.createTag(mgr, tagData);
+        updateMirrors(mgr, mirrors);
+        let tag = factory.createTag(mgr, tagData);
+        // register the tag with the platform as its discovery does, so
+        // that it is found by UUID
+        return platform._cacheTag ? platform._cacheTag(mgr, tagData, tag) : tag;
     });
 }
 
@@ -396,14 +453,31 @@ function createTag(tagData, platform, factory) {
  *                 module:plugins/polling-updater~API_BASE_URI} and
  *                 [WSDL_URL_PATH]{@link
  *                 module:plugins/polling-updater~WSDL_URL_PATH}
+ * @param {object} [headers] - HTTP headers to send when fetching the
+ *                 WSDL document, such as for authentication
+ * @param {object} [jar] - the cookie jar holding the session; defaults
+ *                 to the process-wide cookie jar
+ * @param {APIRecorder} [recorder] - the recorder through which to record
+ *                 or replay the SOAP exchanges
+ * @param {object} [settings] - the network settings (proxy, certificate
+ *                 authorities, and agents), see {@link module:lib/network}
  *
  * @returns {Promise} On success, resolves to the created SOAP client object
  * @private
  */
-function createSoapClient(opts) {
+function createSoapClient(opts, headers, jar, recorder, settings) {
     let wsdl = opts && opts.wsdl_url ?
         opts.wsdl_url : API_BASE_URI + WSDL_URL_PATH;
-    let clientOpts = { request: request.defaults({ jar: true, gzip: true }) };
+    let defaultRequest = request.defaults({ jar: jar || true, gzip: true });
+    let requestFunc = (options, callback) => {
+        let netOpts = network.requestOptions(options.uri || options.url,
+                                             settings);
+        return defaultRequest(Object.assign(netOpts, options), callback);
+    };
+    // record or replay SOAP exchanges if the platform does so for API calls
+    if (recorder) requestFunc = recorder.request(requestFunc);
+    let clientOpts = { request: requestFunc };
+    if (headers) clientOpts.wsdl_headers = headers;
     return new Promise((resolve, reject) => {
         soap.createClient(wsdl, clientOpts, (err, client) => {
             if (err) return reject(err);
@@ -418,15 +492,17 @@ function createSoapClient(opts) {
  * @param {object} client - the SOAP client object
  * @param {WirelessTagManager} [tagManager] - the tag manager to which
  *                             to restrict updates
+ * @param {object} [headers] - extra HTTP headers to send with the SOAP
+ *                             request, such as for authentication
  * @param {module:wirelesstags~apiCallback} [callback] - if provided,
- *                             the `tagManager` parameter must be
- *                             provided too (even if as undefined or
- *                             null)
+ *                             the `tagManager` and `headers` parameters
+ *                             must be provided too (even if as undefined
+ *                             or null)
  *
  * @returns {Promise} On success, resolves to an array of tag data objects
  * @private
  */
-function pollForNextUpdate(client, tagManager, callback) {
+function pollForNextUpdate(client, tagManager, headers, callback) {
     let req = new Promise((resolve, reject) => {
         let methodName = tagManager ?
             "GetNextUpdateForAllManagersOnDB" :
@@ -445,7 +521,7 @@ function pollForNextUpdate(client, tagManager, callback) {
                 // no good reason to escalate an error thrown by callback
             }
             resolve(tagDataList);
-        });
+        }, null, headers || {});
     });
     if (callback) {
         req = req.catch((err) => {
@@ -457,18 +533,19 @@ function pollForNextUpdate(client, tagManager, callback) {
 }
 
 /**
- * Logs the given error to the given log facility.
+ * Logs the given error to the given log facility. Sensitive values are
+ * redacted (see {@link module:lib/redact}).
  *
  * @private
  */
-function logError(log, err) {
+function logError(log, err, redactKeys) {
     let debug = log.debug || log.trace || log.log;
     if (err.Fault) {
-        log.error(err.Fault);
+        log.error(redact.redact(err.Fault, redactKeys));
         if (err.response && err.response.request) {
             log.error("URL: " + err.response.request.href);
         }
-        if (err.body) debug(err.body);
+        if (err.body) debug(redact.redact(err.body, redactKeys));
     } else {
         log.error(err.stack ? err.stack : err);
     }
@@ -4,6 +4,8 @@
  * Test functions of the platform object
  */
 
+var FakeCloud = require('../fakecloud');
+
 describe('WirelessTagPlatform:', function() {
 
     var WirelessTagManager,
@@ -32,6 +34,1539 @@ describe('WirelessTagPlatform:', function() {
         });
     });
 
+    describe('#authHeaders()', function() {
+
+        it('should be empty when not signed in with bearer token', function() {
+            expect(platform.authHeaders()).to.deep.equal({});
+        });
+    });
+
+    describe('#signin() with bearer token', function() {
+        let PollingTagUpdater = require('../plugins/polling-updater');
+        let cloud, pf, endpoints;
+        let account = { username: "joe@example.com", password: "s3cr3t",
+                        bearer: "t0ken" };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [account],
+                tagManagers: [{ name: "Home", tags: [{ name: "Hall" }] }],
+                pollTimeout: 200
+            });
+            endpoints = [];
+            cloud.on('request', (e) => endpoints.push(e.endpoint));
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should verify the token instead of signing in with password', function() {
+            let req = pf.signin({ bearer: "t0ken",
+                                  username: account.username,
+                                  password: "wrong" });
+            return req.then(() => {
+                expect(endpoints).to.deep.equal(['/ethAccount.asmx/IsSignedIn']);
+                expect(pf.cookieJar.getCookieString(pf.apiBaseURI)).to.equal("");
+                expect(pf.authHeaders()).to.deep.equal({
+                    Authorization: "Bearer t0ken"
+                });
+            });
+        });
+        it('should reject a token the cloud does not accept', function() {
+            let req = pf.signin({ bearer: "wrong" });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.UnauthorizedAccessError).then(() => {
+                    expect(pf.authHeaders()).to.deep.equal({});
+                });
+        });
+        it('should authenticate API calls with the token', function() {
+            let req = pf.signin({ bearer: "t0ken" }).
+                then(() => pf.discoverTags());
+            return req.then((tags) => {
+                expect(tags.map((t) => t.name)).to.deep.equal(["Hall"]);
+                expect(endpoints).to.not.include('/ethAccount.asmx/Signin');
+                expect(pf.cookieJar.getCookieString(pf.apiBaseURI)).to.equal("");
+            });
+        });
+        it('should authenticate polling for updates with the token', function(done) {
+            let updater = new PollingTagUpdater(pf);
+            pf.signin({ bearer: "t0ken" }).
+                then(() => pf.discoverTags()).
+                then((tags) => {
+                    updater.addTags(tags);
+                    tags[0].on('data', (tag) => {
+                        updater.stopUpdateLoop();
+                        expect(tag.data.temperature).to.equal(12.5);
+                        done();
+                    });
+                    updater.startUpdateLoop();
+                    setTimeout(() => {
+                        cloud.updateTag(tags[0].uuid, { temperature: 12.5 });
+                    }, 50);
+                }).
+                catch(done);
+        });
+        it('should stop sending the token after signing off', function() {
+            let req = pf.signin({ bearer: "t0ken" }).then(() => pf.signoff());
+            return req.then(() => {
+                // signing off requires a session, so the token was sent
+                expect(endpoints).to.include('/ethClient.asmx/SignOut');
+                expect(pf.authHeaders()).to.deep.equal({});
+            });
+        });
+    });
+
+    describe('#cookieJar', function() {
+
+        it('should be separate for each platform instance', function() {
+            let pf = new WirelessTagPlatform();
+            expect(pf.cookieJar).to.be.an('object');
+            expect(pf.cookieJar).to.not.equal(platform.cookieJar);
+        });
+    });
+
+    describe('#exportSession() and #importSession()', function() {
+
+        it('should transfer session cookies between instances', function() {
+            let pf1 = new WirelessTagPlatform();
+            let pf2 = new WirelessTagPlatform();
+            pf1.cookieJar.setCookie("ASP.NET_SessionId=abc123; Path=/",
+                                    pf1.apiBaseURI);
+            let session = JSON.parse(JSON.stringify(pf1.exportSession()));
+            expect(session.cookies).to.have.lengthOf(1);
+            expect(pf2.importSession(session)).to.equal(pf2);
+            expect(pf2.cookieJar.getCookieString(pf2.apiBaseURI)).
+                to.equal("ASP.NET_SessionId=abc123");
+        });
+    });
+
+    describe('#transport', function() {
+        const http = require('http');
+        let server, baseURI, requests = [];
+
+        before('start local API server', function(done) {
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => { body += chunk });
+                req.on('end', () => {
+                    requests.push({ url: req.url,
+                                    headers: req.headers,
+                                    body: JSON.parse(body) });
+                    res.setHeader('Content-Type', 'application/json');
+                    res.setHeader('Set-Cookie', 'session=xyz; Path=/');
+                    if (req.url.endsWith('/Fail')) {
+                        res.statusCode = 500;
+                        return res.end(JSON.stringify({
+                            ExceptionType: "MyTagList.TagDidNotRespondException",
+                            Message: "tag did not respond"
+                        }));
+                    }
+                    res.end(JSON.stringify({ d: { echo: JSON.parse(body) } }));
+                });
+            });
+            server.listen(0, '127.0.0.1', () => {
+                baseURI = 'http://127.0.0.1:' + server.address().port;
+                done();
+            });
+        });
+        after('stop local API server', function(done) {
+            server.close(done);
+        });
+
+        it('should default to the request-based adapter', function() {
+            expect(platform.transport).to.be.a('function');
+        });
+        it('should reject unknown transport names', function() {
+            expect(() => new WirelessTagPlatform({ transport: 'carrier pigeon' })).
+                to.throw(TypeError);
+        });
+
+        ['request', 'http', 'fetch'].forEach((name) => {
+            it(`should make API calls using '${name}' adapter`, function() {
+                if (name === 'fetch' && ! global.fetch) return this.skip();
+
+                let pf = new WirelessTagPlatform({ apiBaseURI: baseURI,
+                                                   transport: name });
+                pf._bearer = "abc"; // note this is not exposed, used to test only
+                return pf.callAPI('/Echo', { x: 1 }).then((res) => {
+                    expect(res).to.deep.equal({ echo: { x: 1 } });
+                    let req = requests[requests.length - 1];
+                    expect(req.headers.authorization).to.equal("Bearer abc");
+                    expect(pf.cookieJar.getCookieString(baseURI)).
+                        to.equal("session=xyz");
+                });
+            });
+            it(`should translate API errors with '${name}' adapter`, function() {
+                if (name === 'fetch' && ! global.fetch) return this.skip();
+
+                let pf = new WirelessTagPlatform({ apiBaseURI: baseURI,
+                                                   transport: name });
+                return expect(pf.callAPI('/Fail', {})).to.be.rejectedWith(
+                    WirelessTagPlatform.TagDidNotRespondError);
+            });
+        });
+        it('should accept a custom adapter function', function() {
+            let adapter = sinon.spy(
+                () => Promise.resolve({ statusCode: 200, body: { d: 42 } }));
+            let pf = new WirelessTagPlatform({ transport: adapter });
+            return pf.callAPI('/Foo', { y: 2 }).then((res) => {
+                expect(res).to.equal(42);
+                expect(adapter).to.have.been.calledWith(sinon.match({
+                    uri: pf.apiBaseURI + '/Foo',
+                    body: { y: 2 }
+                }));
+            });
+        });
+    });
+
+    describe('#retryPolicy', function() {
+        const RetryPolicy = require('../lib/retrypolicy');
+        let timedOut = () => ({
+            statusCode: 500,
+            body: { ExceptionType: "MyTagList.TagManagerTimedOutException",
+                    Message: "tag manager timed out" }
+        });
+
+        it('should by default only retry if tag did not respond', function() {
+            let policy = new RetryPolicy();
+            let e1 = new WirelessTagPlatform.TagDidNotRespondError("x");
+            let e2 = new WirelessTagPlatform.TagManagerTimedOutError("x");
+            expect(policy.retryDelay(e1, 1)).to.equal(8000);
+            expect(policy.retryDelay(e1, 2)).to.equal(undefined);
+            expect(policy.retryDelay(e2, 1)).to.equal(undefined);
+        });
+        it('should back off exponentially up to the maximum', function() {
+            let policy = new RetryPolicy({
+                minTimeout: 100, maxTimeout: 300, factor: 2, jitter: 0,
+                rules: { network: { retries: 5 } }
+            });
+            let e = new Error("reset");
+            e.code = 'ECONNRESET';
+            expect([1, 2, 3, 4].map((n) => policy.retryDelay(e, n))).
+                to.deep.equal([100, 200, 300, 300]);
+            expect(policy.retryDelay(e, 6)).to.equal(undefined);
+        });
+        it('should stop retrying after the maximum total time', function() {
+            let policy = new RetryPolicy({
+                minTimeout: 100, jitter: 0, maxRetryTime: 1000,
+                rules: { serverError: true }
+            });
+            let e = new WirelessTagPlatform.APICallError("x", { statusCode: 503 });
+            expect(policy.retryDelay(e, 1, 800)).to.equal(100);
+            expect(policy.retryDelay(e, 1, 950)).to.equal(undefined);
+        });
+        it('should retry API calls and emit "retry" events', function() {
+            let adapter = sinon.stub();
+            adapter.onFirstCall().resolves(timedOut());
+            adapter.onSecondCall().resolves({ statusCode: 200, body: { d: 1 } });
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                retryPolicy: {
+                    minTimeout: 5, jitter: 0,
+                    rules: { TagManagerTimedOutError: true }
+                }
+            });
+            let retrySpy = sinon.spy();
+            pf.on('retry', retrySpy);
+            return pf.callAPI('/Foo', {}).then((res) => {
+                expect(res).to.equal(1);
+                expect(adapter).to.have.callCount(2);
+                expect(retrySpy).to.have.callCount(1);
+                expect(retrySpy).to.have.been.calledWith(sinon.match({
+                    attempt: 1,
+                    delay: 5,
+                    object: pf
+                }));
+            });
+        });
+        it('should allow overriding the policy for a call', function() {
+            let adapter = sinon.stub().resolves(timedOut());
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                retryPolicy: {
+                    minTimeout: 5, jitter: 0,
+                    rules: { TagManagerTimedOutError: true }
+                }
+            });
+            let req = pf.callAPI('/Foo', {}, { retry: { retries: 1 } });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.TagManagerTimedOutError
+            ).then(() => {
+                expect(adapter).to.have.callCount(2);
+            });
+        });
+    });
+
+    describe('#commandQueueOptions', function() {
+        let running, maxRunning, order;
+        let adapter = (req) => {
+            running++;
+            maxRunning = Math.max(running, maxRunning);
+            order.push(req.uri.replace(/^.*\//, ''));
+            return new Promise((resolve) => setTimeout(() => {
+                running--;
+                resolve({ statusCode: 200, body: { d: {} } });
+            }, 5));
+        };
+
+        beforeEach(function() {
+            running = maxRunning = 0;
+            order = [];
+        });
+
+        it('should queue calls through a tag manager', function() {
+            let pf = new WirelessTagPlatform({ transport: adapter });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            let lengthSpy = sinon.spy();
+            mgr.commandQueue.on('length', lengthSpy);
+            return Promise.all([
+                mgr.callAPI('/ethClient.asmx/Arm', {}),
+                mgr.callAPI('/ethClient.asmx/SetPostbackIntervalFor', {}),
+                mgr.callAPI('/ethClient.asmx/GetTagForSlaveId', {})
+            ]).then(() => {
+                expect(maxRunning).to.equal(1);
+                // the read is queued ahead of the second write
+                expect(order).to.deep.equal(['Arm',
+                                             'GetTagForSlaveId',
+                                             'SetPostbackIntervalFor']);
+                expect(lengthSpy).to.have.been.calledWith(0, 0);
+                expect(mgr.commandQueue.length).to.equal(0);
+            });
+        });
+        it('should honor the configured concurrency', function() {
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                commandQueue: { concurrency: 2 }
+            });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            let calls = [1, 2, 3, 4].map(
+                () => mgr.callAPI('/ethClient.asmx/Arm', {}));
+            return Promise.all(calls).then(() => {
+                expect(maxRunning).to.equal(2);
+            });
+        });
+        it('can be disabled', function() {
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                commandQueue: false
+            });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            expect(mgr.commandQueue).to.equal(undefined);
+            let calls = [1, 2, 3].map(
+                () => mgr.callAPI('/ethClient.asmx/Arm', {}));
+            return Promise.all(calls).then(() => {
+                expect(maxRunning).to.equal(3);
+            });
+        });
+    });
+
+    describe('#callAPI() with timeout and signal', function() {
+        let requests;
+        let delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        let AbortController = global.AbortController;
+        // never responds, but gives up when the request is aborted
+        let hangingAdapter = (req) => {
+            requests.push(req);
+            return new Promise((resolve, reject) => {
+                req.signal.addEventListener('abort', () => reject(req.signal.reason));
+            });
+        };
+
+        beforeEach(function() {
+            requests = [];
+        });
+
+        it('should reject with OperationTimedOutError on timeout', function() {
+            let pf = new WirelessTagPlatform({ transport: hangingAdapter });
+            let req = pf.callAPI('/ethAccount.asmx/GetTagManagers', {},
+                                 { timeout: 20 });
+            return req.then(() => {
+                throw new Error("should have timed out");
+            }, (e) => {
+                expect(e).to.be.instanceOf(WirelessTagPlatform.OperationTimedOutError);
+                expect(e).to.be.instanceOf(WirelessTagPlatform.OperationAbortedError);
+                expect(e.timeout).to.equal(20);
+                expect(requests).to.have.lengthOf(1);
+                expect(requests[0].signal.aborted).to.equal(true);
+            });
+        });
+        it('should reject with OperationAbortedError when aborted', function() {
+            let pf = new WirelessTagPlatform({ transport: hangingAdapter });
+            if (! AbortController) return this.skip();
+
+            let controller = new AbortController();
+            let req = pf.callAPI('/ethAccount.asmx/GetTagManagers', {},
+                                 { signal: controller.signal, timeout: 5000 });
+            setTimeout(() => controller.abort(), 10);
+            return req.then(() => {
+                throw new Error("should have been aborted");
+            }, (e) => {
+                expect(e).to.be.instanceOf(WirelessTagPlatform.OperationAbortedError);
+                expect(e).to.not.be.instanceOf(WirelessTagPlatform.OperationTimedOutError);
+                expect(requests[0].signal.aborted).to.equal(true);
+            });
+        });
+        it('should stop waiting to retry when aborted', function() {
+            let adapter = sinon.stub().resolves({
+                statusCode: 500,
+                body: { ExceptionType: "MyTagList.TagManagerTimedOutException",
+                        Message: "tag manager timed out" }
+            });
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                retryPolicy: {
+                    minTimeout: 200, jitter: 0,
+                    rules: { TagManagerTimedOutError: true }
+                }
+            });
+            if (! AbortController) return this.skip();
+
+            let controller = new AbortController();
+            let startTime = Date.now();
+            pf.once('retry', () => controller.abort());
+            let req = pf.callAPI('/ethClient.asmx/GetTagForSlaveId', {},
+                                 { signal: controller.signal });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.OperationAbortedError
+            ).then(() => {
+                expect(Date.now() - startTime).to.be.below(150);
+                return delay(250);
+            }).then(() => {
+                // the retry was never sent
+                expect(adapter).to.have.callCount(1);
+            });
+        });
+        it('should not send the call if already aborted', function() {
+            let pf = new WirelessTagPlatform({ transport: hangingAdapter });
+            if (! AbortController) return this.skip();
+
+            let controller = new AbortController();
+            controller.abort();
+            let req = pf.callAPI('/ethAccount.asmx/GetTagManagers', {},
+                                 { signal: controller.signal });
+            return req.then(() => {
+                throw new Error("should have been aborted");
+            }, (e) => {
+                expect(e).to.be.instanceOf(WirelessTagPlatform.OperationAbortedError);
+                expect(requests).to.have.lengthOf(0);
+            });
+        });
+        it('should abort calls waiting in the command queue', function() {
+            let pf = new WirelessTagPlatform({ transport: hangingAdapter });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            let first = mgr.callAPI('/ethClient.asmx/Arm', {}, { timeout: 40 });
+            let second = mgr.callAPI('/ethClient.asmx/Arm', {}, { timeout: 10 });
+            return Promise.all([
+                expect(first).to.be.rejectedWith(WirelessTagPlatform.OperationTimedOutError),
+                expect(second).to.be.rejectedWith(WirelessTagPlatform.OperationTimedOutError)
+            ]).then(() => delay(5)).then(() => {
+                // the second call was never sent
+                expect(requests).to.have.lengthOf(1);
+                expect(mgr.commandQueue.active).to.equal(0);
+            });
+        });
+        it('should time-limit retrying tag updates', function() {
+            let adapter = sinon.stub().resolves({
+                statusCode: 200,
+                body: { d: { slaveId: 1,
+                             name: "test",
+                             tagType: 13,
+                             thermostat: null,
+                             postBackInterval: 600 } }
+            });
+            let pf = new WirelessTagPlatform({ transport: adapter });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            let tag = pf.factory.createTag(mgr, { slaveId: 1 });
+            let req = tag.retryUpdateUntil(
+                (t) => t.updateInterval === 300,
+                { minTimeout: 5, maxTimeout: 5, retries: 100, timeout: 50 });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.OperationTimedOutError
+            ).then(() => {
+                let calls = adapter.callCount;
+                expect(calls).to.be.above(1);
+                return delay(20).then(() => {
+                    // retrying stopped once timed out
+                    expect(adapter).to.have.callCount(calls);
+                });
+            });
+        });
+    });
+
+    describe('#circuitBreakerOptions', function() {
+        let delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        let timedOut = {
+            statusCode: 500,
+            body: {
+                ExceptionType: "MyTagList.TagManagerTimedOutException",
+                Message: "Tag manager did not respond"
+            }
+        };
+        let ok = { statusCode: 200, body: { d: {} } };
+
+        it('should open after consecutive timeouts and fail fast', function() {
+            let adapter = sinon.stub().resolves(timedOut);
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                circuitBreaker: { failureThreshold: 2 }
+            });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            let offline = sinon.spy();
+            mgr.on('offline', offline);
+            let call = () => mgr.callAPI('/ethClient.asmx/Arm', {});
+            let timeout = WirelessTagPlatform.TagManagerTimedOutError;
+            return expect(call()).to.be.rejectedWith(timeout).then(() => {
+                expect(mgr.isReachable()).to.equal(true);
+                return expect(call()).to.be.rejectedWith(timeout);
+            }).then(() => {
+                expect(mgr.isReachable()).to.equal(false);
+                expect(offline).to.have.callCount(1);
+                expect(offline.firstCall.args[0].tagManager).to.equal(mgr);
+                expect(offline.firstCall.args[0].error).to.be.instanceOf(timeout);
+                expect(offline.firstCall.args[0].since).to.be.instanceOf(Date);
+                return expect(call()).to.be.rejectedWith(
+                    WirelessTagPlatform.TagManagerOfflineError, /known to be offline/);
+            }).then(() => {
+                // the last call was not sent
+                expect(adapter).to.have.callCount(2);
+            });
+        });
+        it('should reset the count of timeouts upon success', function() {
+            let adapter = sinon.stub();
+            adapter.onCall(1).resolves(ok);
+            adapter.resolves(timedOut);
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                circuitBreaker: { failureThreshold: 2 }
+            });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            let call = () => mgr.callAPI('/ethClient.asmx/Arm', {}).catch((e) => e);
+            return call().then(call).then(call).then(() => {
+                expect(mgr.isReachable()).to.equal(true);
+                return call();
+            }).then(() => {
+                expect(mgr.isReachable()).to.equal(false);
+            });
+        });
+        it('should not retry while the tag manager is offline', function() {
+            let call = (breakerOpts) => {
+                let adapter = sinon.stub().resolves(timedOut);
+                let pf = new WirelessTagPlatform({
+                    transport: adapter,
+                    circuitBreaker: breakerOpts,
+                    retryPolicy: {
+                        retries: 3, minTimeout: 1, maxTimeout: 1,
+                        rules: { TagManagerTimedOutError: true }
+                    }
+                });
+                let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+                let req = mgr.callAPI('/ethClient.asmx/Arm', {});
+                return expect(req).to.be.rejectedWith(
+                    WirelessTagPlatform.TagManagerTimedOutError
+                ).then(() => adapter);
+            };
+            return call(false).then((adapter) => {
+                // without the breaker, timeouts are retried
+                expect(adapter.callCount).to.be.above(1);
+                return call({ failureThreshold: 1 });
+            }).then((adapter) => {
+                expect(adapter).to.have.callCount(1);
+            });
+        });
+        it('should stop probing for tag managers the platform does not have', function() {
+            let adapter = sinon.stub().resolves(timedOut);
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                circuitBreaker: { failureThreshold: 1, probeInterval: 10 }
+            });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            let req = mgr.callAPI('/ethClient.asmx/Arm', {});
+            return expect(req).to.be.rejected.then(() => {
+                expect(mgr.circuitBreaker.isOpen()).to.equal(true);
+                return delay(50);
+            }).then(() => {
+                expect(mgr.circuitBreaker.isOpen()).to.equal(false);
+                expect(adapter).to.have.callCount(1);
+            });
+        });
+        it('can be disabled', function() {
+            let adapter = sinon.stub().resolves(timedOut);
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                circuitBreaker: false
+            });
+            let mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+            expect(mgr.circuitBreaker).to.equal(undefined);
+            let calls = [1, 2, 3, 4].map(
+                () => mgr.callAPI('/ethClient.asmx/Arm', {}).catch((e) => e));
+            return Promise.all(calls).then(() => {
+                expect(adapter).to.have.callCount(4);
+                expect(mgr.isReachable()).to.equal(true);
+            });
+        });
+
+        describe('with FakeCloud', function() {
+            let cloud, pf;
+            let account = { username: "joe@example.com", password: "s3cr3t" };
+
+            beforeEach(function() {
+                cloud = new FakeCloud({
+                    accounts: [account],
+                    tagManagers: [
+                        { name: "Cabin", tags: [{ name: "Porch", tagType: 13 }] }
+                    ]
+                });
+                return cloud.listen().then((baseURI) => {
+                    pf = new WirelessTagPlatform({
+                        apiBaseURI: baseURI,
+                        circuitBreaker: { probeInterval: 20 }
+                    });
+                    return pf.signin(account);
+                });
+            });
+            afterEach(function() {
+                return cloud.close();
+            });
+
+            it('should track tag managers going offline and online', function() {
+                let offline = sinon.spy(), online = sinon.spy();
+                let change = sinon.spy();
+                let mgr, tag;
+                return pf.discoverTags().then((tags) => {
+                    pf.on('change', change);
+                    tag = tags[0];
+                    mgr = tag.wirelessTagManager;
+                    mgr.on('offline', offline);
+                    mgr.on('online', online);
+                    cloud.getTagManager(mgr.mac).online = false;
+                    return expect(tag.update()).to.be.rejectedWith(
+                        WirelessTagPlatform.TagManagerOfflineError);
+                }).then(() => {
+                    expect(offline).to.have.callCount(1);
+                    expect(mgr.isReachable()).to.equal(false);
+                    // probing finds it still offline
+                    return delay(50);
+                }).then(() => {
+                    expect(online).to.have.callCount(0);
+                    cloud.getTagManager(mgr.mac).online = true;
+                    return delay(50);
+                }).then(() => {
+                    expect(online).to.have.callCount(1);
+                    let event = online.firstCall.args[0];
+                    expect(event.tagManager).to.equal(mgr);
+                    expect(event.offlineDuration).to.be.at.least(50);
+                    expect(mgr.isReachable()).to.equal(true);
+                    // probing doesn't rediscover the tag managers
+                    expect(change).to.have.callCount(0);
+                    return tag.update();
+                });
+            });
+            it('should stop probing tag managers that are lost', function() {
+                let requests = sinon.spy(), online = sinon.spy();
+                let mgr;
+                return pf.discoverTags().then((tags) => {
+                    mgr = tags[0].wirelessTagManager;
+                    mgr.on('online', online);
+                    cloud.getTagManager(mgr.mac).online = false;
+                    return expect(tags[0].update()).to.be.rejectedWith(
+                        WirelessTagPlatform.TagManagerOfflineError);
+                }).then(() => {
+                    expect(mgr.circuitBreaker.isOpen()).to.equal(true);
+                    // the account loses access to the tag manager
+                    cloud.accounts[0].tagManagers = [];
+                    return pf.discoverTagManagers();
+                }).then(() => {
+                    expect(mgr.circuitBreaker.isOpen()).to.equal(false);
+                    cloud.on('request', requests);
+                    return delay(50);
+                }).then(() => {
+                    expect(requests).to.have.callCount(0);
+                    expect(online).to.have.callCount(0);
+                });
+            });
+            it('should open when the cloud reports it offline', function() {
+                let offline = sinon.spy();
+                let mgr;
+                return pf.discoverTagManagers().then((managers) => {
+                    mgr = managers[0];
+                    mgr.on('offline', offline);
+                    cloud.getTagManager(mgr.mac).online = false;
+                    return pf.discoverTagManagers();
+                }).then(() => {
+                    expect(mgr.isReachable()).to.equal(false);
+                    expect(offline).to.have.callCount(1);
+                    expect(offline.firstCall.args[0].error).to.equal(undefined);
+                });
+            });
+        });
+    });
+
+    describe('#stats()', function() {
+        let adapter, pf, mgr;
+
+        beforeEach(function() {
+            adapter = sinon.stub();
+            adapter.onFirstCall().resolves({ statusCode: 200, body: { d: [] } });
+            adapter.onSecondCall().resolves({
+                statusCode: 500,
+                body: { ExceptionType: "MyTagList.TagDidNotRespondException",
+                        Message: "tag did not respond" }
+            });
+            adapter.resolves({ statusCode: 200, body: { d: {} } });
+            pf = new WirelessTagPlatform({ transport: adapter });
+            mgr = pf.factory.createTagManager({ mac: "0A", selected: true });
+        });
+
+        it('should emit request, response, and apiError events', function() {
+            let onRequest = sinon.spy(),
+                onResponse = sinon.spy(),
+                onError = sinon.spy();
+            pf.on('request', onRequest);
+            pf.on('response', onResponse);
+            pf.on('apiError', onError);
+            let policy = new WirelessTagPlatform.RetryPolicy({
+                rules: { TagDidNotRespondError: { minTimeout: 1 } }
+            });
+            return pf.callAPI('/ethAccount.asmx/GetTagManagers', {}).then(() => {
+                return mgr.callAPI('/ethClient.asmx/GetTagForSlaveId', {},
+                                   { retry: policy });
+            }).then(() => {
+                expect(onRequest).to.have.callCount(3);
+                expect(onResponse).to.have.callCount(2);
+                expect(onError).to.have.callCount(1);
+                let req = onRequest.thirdCall.args[0];
+                expect(req.endpoint).to.equal('/ethClient.asmx/GetTagForSlaveId');
+                expect(req.mac).to.equal("0A");
+                expect(req.attempt).to.equal(2);
+                expect(req.object).to.equal(mgr);
+                let err = onError.firstCall.args[0];
+                expect(err.error).to.be.instanceOf(WirelessTagPlatform.TagDidNotRespondError);
+                expect(err.statusCode).to.equal(500);
+                expect(err.attempt).to.equal(1);
+                expect(err.duration).to.be.a('number');
+                let res = onResponse.firstCall.args[0];
+                expect(res.statusCode).to.equal(200);
+                expect(res.mac).to.equal(undefined);
+                expect(res.object).to.equal(pf);
+            });
+        });
+        it('should keep counters and latency histograms per endpoint', function() {
+            let calls = [
+                () => pf.callAPI('/ethAccount.asmx/GetTagManagers', {}),
+                () => mgr.callAPI('/ethClient.asmx/GetTagForSlaveId', {}),
+                () => mgr.callAPI('/ethClient.asmx/GetTagForSlaveId', {})
+            ];
+            let req = calls.reduce(
+                (prev, call) => prev.then(call, call), Promise.resolve());
+            return req.then(() => {
+                let stats = pf.stats();
+                expect(stats.since).to.be.instanceOf(Date);
+                expect(stats.endpoints).to.have.all.keys(
+                    '/ethAccount.asmx/GetTagManagers',
+                    '/ethClient.asmx/GetTagForSlaveId');
+                let tagStats = stats.endpoints['/ethClient.asmx/GetTagForSlaveId'];
+                expect(tagStats.requests).to.equal(2);
+                expect(tagStats.responses).to.equal(1);
+                expect(tagStats.errors).to.equal(1);
+                expect(tagStats.errorsByType).to.deep.equal({ TagDidNotRespondError: 1 });
+                expect(tagStats.latency.count).to.equal(2);
+                expect(tagStats.latency.histogram).to.have.lengthOf(stats.buckets.length + 1);
+                expect(tagStats.latency.histogram.reduce((a, b) => a + b)).to.equal(2);
+                expect(tagStats.latency.mean).to.be.at.most(tagStats.latency.max);
+            });
+        });
+        it('can reset statistics', function() {
+            return pf.callAPI('/ethAccount.asmx/GetTagManagers', {}).then(() => {
+                expect(pf.stats(true).endpoints).to.not.deep.equal({});
+                expect(pf.stats().endpoints).to.deep.equal({});
+            });
+        });
+    });
+
+    describe('#redactKeys', function() {
+        let failingAdapter = () => Promise.resolve({
+            statusCode: 500,
+            body: { Message: "no account for joe@example.com" }
+        });
+
+        it('should redact credentials from API errors', function() {
+            let pf = new WirelessTagPlatform({ transport: failingAdapter });
+            let req = pf.signin({ username: "joe@example.com",
+                                  password: "s3cr3t" });
+            return req.then(() => {
+                throw new Error("signin should have failed");
+            }, (e) => {
+                expect(e).to.be.instanceOf(WirelessTagPlatform.APICallError);
+                expect(e.message).to.not.contain("s3cr3t");
+                expect(e.message).to.not.contain("joe@example.com");
+                expect(e.requestBody.password).to.equal('[REDACTED]');
+                expect(e.requestBody.email).to.equal('[REDACTED]');
+            });
+        });
+        it('should be configurable', function() {
+            let pf = new WirelessTagPlatform({
+                transport: failingAdapter,
+                redactKeys: ['secret']
+            });
+            let req = pf.callAPI('/ethClient.asmx/Something',
+                                 { secret: "abc", other: "xyz" });
+            return req.then(() => {
+                throw new Error("call should have failed");
+            }, (e) => {
+                expect(e.requestBody).to.deep.equal({
+                    secret: '[REDACTED]', other: "xyz"
+                });
+                // email addresses are only masked if 'email' is a key
+                expect(e.message).to.contain("joe@example.com");
+            });
+        });
+        it('should keep credentials out of debug output', function() {
+            let pf = new WirelessTagPlatform({
+                transport: failingAdapter,
+                autoReconnect: true
+            });
+            return pf.signin({ bearer: "t0k3n" }).catch(() => {
+                pf._bearer = "t0k3n";
+                let inspected = require('util').inspect(pf, { depth: 4 });
+                expect(inspected).to.not.contain("t0k3n");
+            });
+        });
+        it('should not modify the values it redacts', function() {
+            let body = { password: "s3cr3t", nested: [{ token: "x" }] };
+            let redacted = WirelessTagPlatform.redact.redact(body);
+            expect(redacted).to.deep.equal({
+                password: '[REDACTED]', nested: [{ token: '[REDACTED]' }]
+            });
+            expect(body.password).to.equal("s3cr3t");
+        });
+    });
+
+    describe('#autoReconnect()', function() {
+
+        it('should be off by default', function() {
+            return expect(platform.autoReconnect()).to.be.false;
+        });
+        it('can be enabled through constructor option', function() {
+            let pf = new WirelessTagPlatform({ autoReconnect: true });
+            expect(pf.autoReconnect()).to.equal(true);
+            expect(pf.autoReconnect(false)).to.equal(false);
+        });
+    });
+
+    describe('#reauthenticate()', function() {
+
+        it('should reject if sign-in options were not remembered', function() {
+            return expect(platform.reauthenticate()).to.be.rejectedWith(Error);
+        });
+    });
+
+    describe('signing in again when the session expires', function() {
+        let cloud, pf, endpoints, reconnectSpy, reauthFailedSpy;
+        let account = { username: "joe@example.com", password: "s3cr3t" };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [account],
+                tagManagers: [{ name: "Home" }]
+            });
+            endpoints = [];
+            cloud.on('request', (e) => endpoints.push(e.endpoint));
+            reconnectSpy = sinon.spy();
+            reauthFailedSpy = sinon.spy();
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI,
+                                               autoReconnect: true });
+                pf.on('reconnect', reconnectSpy);
+                pf.on('reauth-failed', reauthFailedSpy);
+                return pf.signin(account);
+            }).then(() => {
+                endpoints = [];
+                // the session expires while the next call is under way
+                cloud.once('request', () => cloud.expireSessions());
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should sign in again once and replay the failed call', function() {
+            return pf.discoverTagManagers().then((mgrs) => {
+                expect(mgrs.map((m) => m.name)).to.deep.equal(["Home"]);
+                expect(endpoints).to.deep.equal([
+                    '/ethAccount.asmx/GetTagManagers',
+                    '/ethAccount.asmx/Signin',
+                    '/ethAccount.asmx/GetTagManagers'
+                ]);
+                expect(reconnectSpy).to.have.callCount(1);
+                expect(reconnectSpy).to.have.been.calledWith(pf);
+                expect(reauthFailedSpy).to.have.callCount(0);
+                expect(pf.state).to.equal('connected');
+            });
+        });
+        it('should obtain the credentials anew when signing in again', function() {
+            let creds = sinon.spy(() => Promise.resolve(account));
+            return pf.signin({ credentials: creds }).then(() => {
+                expect(pf._signinOpts).to.not.have.property('password');
+                cloud.once('request', () => cloud.expireSessions());
+                return pf.discoverTagManagers();
+            }).then(() => {
+                expect(creds).to.have.callCount(2);
+                expect(reconnectSpy).to.have.callCount(1);
+                expect(pf._signinOpts).to.have.property('credentials', creds);
+            });
+        });
+        it('should fail the call if signing in again fails', function() {
+            cloud.accounts[0].password = "changed";
+            let req = pf.discoverTagManagers();
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.UnauthorizedAccessError).then(() => {
+                    expect(endpoints).to.deep.equal([
+                        '/ethAccount.asmx/GetTagManagers',
+                        '/ethAccount.asmx/Signin'
+                    ]);
+                    expect(reauthFailedSpy).to.have.callCount(1);
+                    expect(reauthFailedSpy.firstCall.args[0]).to.equal(pf);
+                    expect(reauthFailedSpy.firstCall.args[1]).
+                        to.be.an.instanceOf(WirelessTagPlatform.UnauthorizedAccessError);
+                    expect(reconnectSpy).to.have.callCount(0);
+                    expect(pf.state).to.equal('failed');
+                });
+        });
+        it('should not sign in again unless enabled', function() {
+            pf.autoReconnect(false);
+            let req = pf.discoverTagManagers();
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.UnauthorizedAccessError).then(() => {
+                    expect(endpoints).to.deep.equal([
+                        '/ethAccount.asmx/GetTagManagers'
+                    ]);
+                    expect(reconnectSpy).to.have.callCount(0);
+                    expect(pf.state).to.equal('disconnected');
+                });
+        });
+    });
+
+    describe('#state and #whenConnected()', function() {
+        let cloud, pf, states;
+        let account = { username: "joe@example.com", password: "s3cr3t" };
+        let expireSession = () => pf.cookieJar.setCookie(
+            "WTAG_SESSION=expired; Path=/", cloud.baseURI);
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [account],
+                tagManagers: [{ name: "Home", tags: [{ tagType: 13 }] }]
+            });
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                states = [];
+                pf.on('stateChange', (event) => states.push(event.state));
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should go through connecting to connected', function() {
+            expect(pf.state).to.equal('disconnected');
+            let req = pf.signin(account);
+            expect(pf.state).to.equal('connecting');
+            expect(pf.connecting).to.equal(true);
+            return req.then(() => {
+                expect(pf.state).to.equal('connected');
+                expect(pf.connecting).to.equal(false);
+                expect(states).to.deep.equal(['connecting', 'connected']);
+                return pf.signoff();
+            }).then(() => {
+                expect(states).to.deep.equal(['connecting',
+                                              'connected',
+                                              'disconnected']);
+            });
+        });
+        it('should make calls wait for signing in to finish', function() {
+            let endpoints = [];
+            pf.on('request', (call) => endpoints.push(call.endpoint));
+            let signin = pf.signin(account);
+            let discover = pf.discoverTagManagers();
+            return Promise.all([signin, discover]).then((results) => {
+                expect(results[1]).to.have.lengthOf(1);
+                expect(endpoints).to.deep.equal(
+                    ['/ethAccount.asmx/Signin',
+                     '/ethAccount.asmx/GetTagManagers']);
+            });
+        });
+        it('should stop calls waiting for signing in when they time out', function() {
+            let finishSignin;
+            let adapter = sinon.stub();
+            adapter.withArgs(sinon.match({ uri: sinon.match(/Signin$/) })).returns(
+                new Promise((resolve) => {
+                    finishSignin = () => resolve({ statusCode: 200, body: { d: null } });
+                }));
+            let slowPf = new WirelessTagPlatform({ transport: adapter });
+            let signin = slowPf.signin(account);
+            let listeners = slowPf.listenerCount('stateChange');
+            let req = slowPf.discoverTagManagers({}, { timeout: 20 });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.OperationTimedOutError
+            ).then(() => {
+                expect(slowPf.listenerCount('stateChange')).to.equal(listeners);
+                finishSignin();
+                return signin;
+            }).then(() => {
+                // the timed out call was never sent
+                expect(adapter).to.have.callCount(1);
+            });
+        });
+        it('should reject calls right away after signing off', function() {
+            let requests = sinon.spy();
+            return pf.signin(account).then(() => pf.signoff()).then(() => {
+                pf.on('request', requests);
+                return expect(pf.discoverTagManagers()).to.be.rejectedWith(
+                    WirelessTagPlatform.NotConnectedError, /disconnected/);
+            }).then(() => {
+                expect(requests).to.have.callCount(0);
+            });
+        });
+        it('should fail with calls waiting if signing in fails', function() {
+            let failed = sinon.spy();
+            pf.on('stateChange', (event) => {
+                if (event.state === 'failed') failed(event.error);
+            });
+            let signin = pf.signin({ username: account.username, password: "x" });
+            let discover = pf.discoverTagManagers();
+            return Promise.all([
+                expect(signin).to.be.rejectedWith(
+                    WirelessTagPlatform.UnauthorizedAccessError),
+                expect(discover).to.be.rejectedWith(
+                    WirelessTagPlatform.NotConnectedError, /failed/)
+            ]).then(() => {
+                expect(pf.state).to.equal('failed');
+                expect(failed).to.have.been.calledWith(
+                    sinon.match.instanceOf(WirelessTagPlatform.UnauthorizedAccessError));
+                // signing in again is possible
+                return pf.signin(account);
+            }).then(() => {
+                expect(pf.state).to.equal('connected');
+            });
+        });
+        it('should reconnect when the session expires', function() {
+            pf.autoReconnect(true);
+            return pf.signin(account).then(() => {
+                expireSession();
+                return pf.discoverTagManagers();
+            }).then(() => {
+                expect(states).to.deep.equal(['connecting',
+                                              'connected',
+                                              'reconnecting',
+                                              'connected']);
+            });
+        });
+        it('should be disconnected when the session expires', function() {
+            return pf.signin(account).then(() => {
+                expireSession();
+                return expect(pf.discoverTagManagers()).to.be.rejectedWith(
+                    WirelessTagPlatform.UnauthorizedAccessError);
+            }).then(() => {
+                expect(pf.state).to.equal('disconnected');
+                return expect(pf.discoverTagManagers()).to.be.rejectedWith(
+                    WirelessTagPlatform.NotConnectedError);
+            });
+        });
+        it('should be connected after importing a valid session', function() {
+            let pf2 = new WirelessTagPlatform({ apiBaseURI: cloud.baseURI });
+            return pf.signin(account).then(() => {
+                pf2.importSession(pf.exportSession());
+                expect(pf2.state).to.equal('disconnected');
+                return pf2.isSignedIn();
+            }).then((signedIn) => {
+                expect(signedIn).to.equal(true);
+                expect(pf2.state).to.equal('connected');
+            });
+        });
+        it('should promise when connected', function() {
+            let whenConnected = pf.whenConnected();
+            let resolved = sinon.spy();
+            whenConnected.then(resolved);
+            return pf.signin(account).then(() => whenConnected).then((result) => {
+                expect(result).to.equal(pf);
+                expect(resolved).to.have.callCount(1);
+                return pf.whenConnected();
+            }).then((result) => {
+                expect(result).to.equal(pf);
+                expect(pf.listenerCount('stateChange')).to.equal(1);
+            });
+        });
+        it('should give up waiting for connection on timeout', function() {
+            return expect(pf.whenConnected({ timeout: 20 })).to.be.rejectedWith(
+                WirelessTagPlatform.OperationTimedOutError
+            ).then(() => {
+                expect(pf.listenerCount('stateChange')).to.equal(1);
+            });
+        });
+    });
+
+    describe('#discoverTagManagers() change and lost events', function() {
+        let cloud, pf, home, cabin;
+        let account = { username: "joe@example.com", password: "s3cr3t" };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [account],
+                tagManagers: [{ name: "Home" }, { name: "Cabin" }]
+            });
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                return pf.signin(account);
+            }).then(() => pf.discoverTagManagers()).then((managers) => {
+                home = managers.find((m) => m.name === "Home");
+                cabin = managers.find((m) => m.name === "Cabin");
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should report changed properties of tag managers', function() {
+            let change = sinon.spy(), lost = sinon.spy();
+            pf.on('change', change);
+            pf.on('lost', lost);
+            cloud.getTagManager(cabin.mac).name = "Lodge";
+            cloud.getTagManager(cabin.mac).online = false;
+            return pf.discoverTagManagers().then(() => {
+                expect(change).to.have.callCount(1);
+                let event = change.firstCall.args[0];
+                expect(event.tagManager).to.equal(cabin);
+                expect(event.changes).to.deep.equal({
+                    name: { value: "Lodge", previous: "Cabin" },
+                    online: { value: false, previous: true }
+                });
+                expect(cabin.name).to.equal("Lodge");
+                expect(lost).to.have.callCount(0);
+                // nothing changed since
+                return pf.discoverTagManagers();
+            }).then(() => {
+                expect(change).to.have.callCount(1);
+            });
+        });
+        it('should only report changes for tag managers matching the query', function() {
+            let change = sinon.spy();
+            pf.on('change', change);
+            cloud.getTagManager(home.mac).name = "House";
+            cloud.getTagManager(cabin.mac).name = "Lodge";
+            return pf.discoverTagManagers({ mac: cabin.mac }).then(() => {
+                expect(change).to.have.callCount(1);
+                expect(change.firstCall.args[0].tagManager).to.equal(cabin);
+                expect(home.name).to.equal("Home");
+            });
+        });
+        it('should report tag managers no longer returned', function() {
+            let lost = sinon.spy(), discover = sinon.spy();
+            pf.on('lost', lost);
+            pf.on('discover', discover);
+            cloud.accounts[0].tagManagers = [home.mac];
+            // a query does not keep lost tag managers from being reported
+            return pf.discoverTagManagers({ name: "Home" }).then((managers) => {
+                expect(managers).to.deep.equal([home]);
+                expect(lost).to.have.callCount(1);
+                expect(lost).to.have.been.calledWith(cabin);
+                expect(pf.getTagManager(cabin.mac)).to.equal(undefined);
+                expect(pf.getTagManager(home.mac)).to.equal(home);
+                return pf.discoverTagManagers();
+            }).then(() => {
+                expect(lost).to.have.callCount(1);
+                // access granted again makes it a new discovery
+                cloud.accounts[0].tagManagers = undefined;
+                return pf.discoverTagManagers();
+            }).then(() => {
+                expect(discover).to.have.callCount(1);
+                expect(pf.getTagManager(cabin.mac)).to.not.equal(cabin);
+            });
+        });
+    });
+
+    describe('#getTag() and #eachTag()', function() {
+        let cloud, pf;
+        let account = { username: "joe@example.com", password: "s3cr3t" };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [account],
+                tagManagers: [
+                    { name: "Home", tags: [{ name: "Hall", tagType: 13 },
+                                           { name: "Attic", tagType: 13 }] },
+                    { name: "Cabin", tags: [{ name: "Porch", tagType: 52 }] }
+                ]
+            });
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                return pf.signin(account);
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should cache discovered tags by UUID', function() {
+            expect(pf.eachTag()).to.deep.equal([]);
+            return pf.discoverTags({ name: "Hall" }).then((tags) => {
+                expect(pf.eachTag()).to.deep.equal(tags);
+                expect(pf.getTag(tags[0].uuid)).to.equal(tags[0]);
+                return pf.discoverTags();
+            }).then((tags) => {
+                expect(pf.eachTag()).to.have.lengthOf(3);
+                expect(pf.eachTag((t) => t.name)).
+                    to.have.members(["Hall", "Attic", "Porch"]);
+                expect(pf.getTag("no-such-uuid")).to.equal(undefined);
+                tags.forEach((t) => expect(pf.getTag(t.uuid)).to.equal(t));
+            });
+        });
+        it('should update cached tags in place upon rediscovery', function() {
+            let discover = sinon.spy();
+            pf.on('discover', (mgr) => mgr.on('discover', discover));
+            let hall, data = sinon.spy();
+            return pf.discoverTags({ name: "Hall" }).then((tags) => {
+                hall = tags[0];
+                hall.on('data', data);
+                expect(discover).to.have.callCount(1);
+                cloud.updateTag(hall.uuid, { temperature: 25 });
+                return pf.discoverTags();
+            }).then((tags) => {
+                expect(tags).to.include(hall);
+                expect(hall.data.temperature).to.equal(25);
+                expect(data).to.have.callCount(1);
+                // discover fired only for the tags new to the cache
+                expect(discover).to.have.callCount(3);
+                return hall.wirelessTagManager.discoverTags();
+            }).then((tags) => {
+                expect(tags).to.include(hall);
+                expect(discover).to.have.callCount(3);
+            });
+        });
+        it('should report tags no longer returned', function() {
+            let lost = sinon.spy();
+            pf.on('discover', (mgr) => mgr.on('lost', lost));
+            let attic;
+            return pf.discoverTags().then((tags) => {
+                attic = tags.find((t) => t.name === "Attic");
+                attic.startUpdateLoop();
+                cloud.removeTag(attic.uuid);
+                // a query does not keep lost tags from being reported
+                return pf.discoverTags({ name: "Hall" });
+            }).then(() => {
+                expect(lost).to.have.callCount(1);
+                expect(lost).to.have.been.calledWith(attic);
+                expect(pf.getTag(attic.uuid)).to.equal(undefined);
+                expect(pf.eachTag()).to.have.lengthOf(2);
+                // its update loop was stopped
+                expect(attic._updateTimer).to.equal(null);
+            });
+        });
+        it('should forget the tags of tag managers no longer returned', function() {
+            let lost = sinon.spy();
+            let cabin;
+            return pf.discoverTags().then(() => {
+                cabin = pf.eachTagManager().find((m) => m.name === "Cabin");
+                cabin.on('lost', lost);
+                cloud.accounts[0].tagManagers =
+                    pf.eachTagManager().
+                    filter((m) => m !== cabin).
+                    map((m) => m.mac);
+                return pf.discoverTagManagers();
+            }).then(() => {
+                expect(lost).to.have.callCount(1);
+                expect(pf.eachTag((t) => t.name)).to.have.members(["Hall", "Attic"]);
+            });
+        });
+        it('should return cached tags when finding by ID', function() {
+            let hall;
+            return pf.discoverTags({ name: "Hall" }).then((tags) => {
+                hall = tags[0];
+                return hall.wirelessTagManager.findTagById(hall.slaveId);
+            }).then((tag) => {
+                expect(tag).to.equal(hall);
+                let mgr = hall.wirelessTagManager;
+                let attic = cloud.eachTag().find((t) => t.name === "Attic");
+                return mgr.findTagById(attic.slaveId);
+            }).then((tag) => {
+                expect(tag.name).to.equal("Attic");
+                expect(pf.getTag(tag.uuid)).to.equal(tag);
+                return pf.discoverTags({ name: "Attic" });
+            }).then((tags) => {
+                expect(tags[0]).to.equal(pf.getTag(tags[0].uuid));
+            });
+        });
+    });
+
+    describe('.query', function() {
+        let matches = (obj, q) => WirelessTagPlatform.query.matches(obj, q);
+        let data = {
+            name: "Hall",
+            tagType: 13,
+            temperature: 21.5,
+            alive: true,
+            tags: ["a", "b"],
+            wirelessConfig: { dataRate: 1, freqOffset: 0 }
+        };
+
+        it('should match plain values, as before', function() {
+            expect(matches(data, { name: "Hall", tagType: 13 })).to.equal(true);
+            expect(matches(data, { name: "Hall", tagType: 12 })).to.equal(false);
+            expect(matches(data, {})).to.equal(true);
+            expect(matches(data, undefined)).to.equal(true);
+            expect(matches(data, (obj) => obj.alive)).to.equal(true);
+            // by Object.is, not matching arrays including the value
+            expect(matches(data, { tags: "a" })).to.equal(false);
+            expect(matches({ temperature: NaN }, { temperature: NaN })).
+                to.equal(true);
+            expect(matches({ temperature: -0 }, { temperature: 0 })).
+                to.equal(false);
+            expect(matches(data, { tags: { $in: ["a"] } })).to.equal(true);
+        });
+        it('should support operators', function() {
+            expect(matches(data, { tagType: { $in: [12, 13] } })).to.equal(true);
+            expect(matches(data, { tagType: { $nin: [12, 13] } })).to.equal(false);
+            expect(matches(data, { temperature: { $gt: 20, $lte: 21.5 } })).
+                to.equal(true);
+            expect(matches(data, { temperature: { $lt: 20 } })).to.equal(false);
+            expect(matches(data, { name: { $regex: "^hall$", $options: "i" } })).
+                to.equal(true);
+            expect(matches(data, { name: /^Ha/ })).to.equal(true);
+            expect(matches(data, { humidity: { $exists: false } })).to.equal(true);
+            expect(matches(data, { name: { $exists: true, $ne: "Attic" } })).
+                to.equal(true);
+            expect(matches(data, { name: { $not: /^Ha/ } })).to.equal(false);
+            expect(matches(data, { $not: { name: "Attic" } })).to.equal(true);
+            expect(matches(data, { tags: { $in: ["b", "c"] } })).to.equal(true);
+            expect(matches(data, { tags: { $all: ["a", "b"] } })).to.equal(true);
+            expect(matches(data, { tags: { $all: ["a", "c"] } })).to.equal(false);
+        });
+        it('should support nested queries and paths', function() {
+            expect(matches(data, { wirelessConfig: { dataRate: 1 } })).
+                to.equal(true);
+            expect(matches(data, { wirelessConfig: { dataRate: { $gt: 1 } } })).
+                to.equal(false);
+            expect(matches(data, { 'wirelessConfig.freqOffset': 0 })).
+                to.equal(true);
+            expect(matches(data, { 'nothing.here': { $exists: false } })).
+                to.equal(true);
+        });
+        it('should match derived properties of tags', function() {
+            let tag = WirelessTag.dataView(
+                { name: "Home" },
+                { name: "Hall", tagType: 13, thermostat: null });
+            expect(matches(tag, { sensors: { $all: ['humidity', 'temp'] } })).
+                to.equal(true);
+            expect(matches(tag, { sensors: { $in: ['light', 'temp'] } })).
+                to.equal(true);
+            expect(matches(tag, { sensors: { $nin: ['light'] } })).to.equal(true);
+            expect(matches(tag, { facts: { $in: ['canBeep'] } })).to.equal(true);
+            expect(matches(tag, { 'wirelessTagManager.name': "Home" })).
+                to.equal(true);
+        });
+        it('should reject unknown operators', function() {
+            expect(() => WirelessTagPlatform.query.compile({ a: { $foo: 1 } })).
+                to.throw(TypeError, /\$foo/);
+            expect(() => WirelessTagPlatform.query.compile({ $or: [] })).
+                to.throw(TypeError, /\$or/);
+            expect(() => WirelessTagPlatform.query.compile({ a: { $in: 1 } })).
+                to.throw(TypeError, /array/);
+        });
+
+        describe('with FakeCloud', function() {
+            let cloud, pf;
+            let account = { username: "joe@example.com", password: "s3cr3t" };
+
+            beforeEach(function() {
+                cloud = new FakeCloud({
+                    accounts: [account],
+                    tagManagers: [
+                        { name: "Home", tags: [{ name: "Hall", tagType: 13 },
+                                               { name: "Basement", tagType: 32 }] },
+                        { name: "Cabin", tags: [{ name: "Porch", tagType: 52 }] }
+                    ]
+                });
+                return cloud.listen().then((baseURI) => {
+                    pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                    return pf.signin(account);
+                });
+            });
+            afterEach(function() {
+                return cloud.close();
+            });
+
+            it('should discover tags matching queries', function() {
+                let names = (tags) => tags.map((t) => t.name);
+                return pf.discoverTags({ sensors: { $in: ['humidity'] } }).then((tags) => {
+                    expect(names(tags)).to.have.members(["Hall", "Porch"]);
+                    return pf.discoverTags({
+                        facts: { $in: ['canBeep'] },
+                        wirelessTagManager: { name: { $in: ["Home", "Lodge"] } }
+                    });
+                }).then((tags) => {
+                    expect(names(tags)).to.deep.equal(["Hall"]);
+                    let home = tags[0].wirelessTagManager;
+                    return home.discoverTags({ name: { $not: /^H/ } });
+                }).then((tags) => {
+                    expect(names(tags)).to.deep.equal(["Basement"]);
+                    return pf.discoverTags({ 'wirelessTagManager.name': "Cabin" });
+                }).then((tags) => {
+                    expect(names(tags)).to.deep.equal(["Porch"]);
+                    return pf.discoverTagManagers({ name: /^C/ });
+                }).then((managers) => {
+                    expect(managers.map((m) => m.name)).to.deep.equal(["Cabin"]);
+                });
+            });
+            it('should only let updaters update tags matching a query', function() {
+                let TimedTagUpdater = require('../plugins/interval-updater');
+                let updater = new TimedTagUpdater(pf, {
+                    query: { sensors: { $all: ['water'] } }
+                });
+                return pf.discoverTags().then((tags) => {
+                    updater.addTags(tags);
+                    expect(Object.keys(updater.tagsByUUID)).to.have.lengthOf(1);
+                    let uuid = Object.keys(updater.tagsByUUID)[0];
+                    expect(pf.getTag(uuid).name).to.equal("Basement");
+                });
+            });
+        });
+    });
+
+    describe('#tagManagers(), #tags(), and WirelessTag#sensors()', function() {
+        let cloud, pf;
+        let account = { username: "joe@example.com", password: "s3cr3t" };
+        let tagListCalls = () => {
+            let stats = pf.stats().endpoints['/ethClient.asmx/GetTagManagerTagList'];
+            return stats ? stats.requests : 0;
+        };
+        // consumes the iterator like for await...of, breaking after limit
+        let collect = (iterator, limit) => {
+            let values = [];
+            let step = () => iterator.next().then((result) => {
+                if (result.done) return values;
+                values.push(result.value);
+                if (values.length === limit) {
+                    return iterator.return().then(() => values);
+                }
+                return step();
+            });
+            return step();
+        };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [account],
+                tagManagers: [
+                    { name: "Home", tags: [{ name: "Hall", tagType: 13 },
+                                           { name: "Basement", tagType: 32 }] },
+                    { name: "Cabin", tags: [{ name: "Porch", tagType: 52 }] }
+                ]
+            });
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                return pf.signin(account);
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should be async iterables', function() {
+            // as in lib/util.js, for Node.js versions before 10
+            let asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+            let iterator = pf.tags();
+            expect(iterator[asyncIterator]()).to.equal(iterator);
+            expect(pf.tagManagers()[asyncIterator]).to.be.a('function');
+            // nothing happens until iteration starts
+            return iterator.return().then((result) => {
+                expect(result.done).to.equal(true);
+                expect(tagListCalls()).to.equal(0);
+                return iterator.next();
+            }).then((result) => {
+                expect(result.done).to.equal(true);
+            });
+        });
+        it('should yield tag managers matching the query', function() {
+            return collect(pf.tagManagers()).then((mgrs) => {
+                expect(mgrs.map((m) => m.name)).to.deep.equal(["Home", "Cabin"]);
+                expect(mgrs[0]).to.equal(pf.getTagManager(mgrs[0].mac));
+                return collect(pf.tagManagers({ name: "Cabin" }));
+            }).then((mgrs) => {
+                expect(mgrs.map((m) => m.name)).to.deep.equal(["Cabin"]);
+            });
+        });
+        it('should yield tags one tag manager at a time', function() {
+            return collect(pf.tags({ sensors: { $in: ['humidity'] } })).then((tags) => {
+                expect(tags.map((t) => t.name)).to.deep.equal(["Hall", "Porch"]);
+                expect(tags[1]).to.equal(pf.getTag(tags[1].uuid));
+                expect(tagListCalls()).to.equal(2);
+                let query = { wirelessTagManager: { name: "Cabin" } };
+                return collect(pf.tags(query));
+            }).then((tags) => {
+                expect(tags.map((t) => t.name)).to.deep.equal(["Porch"]);
+            });
+        });
+        it('should stop retrieving tags if the consumer breaks early', function() {
+            return collect(pf.tags(), 1).then((tags) => {
+                expect(tags.map((t) => t.name)).to.deep.equal(["Hall"]);
+                return new Promise((resolve) => setTimeout(resolve, 50));
+            }).then(() => {
+                // the tags of the second tag manager were never requested
+                expect(tagListCalls()).to.equal(1);
+            });
+        });
+        it('should fail if aborted through a signal', function() {
+            if (! global.AbortController) return this.skip();
+
+            let controller = new global.AbortController();
+            let iterator = pf.tags(undefined, { signal: controller.signal });
+            return iterator.next().then((result) => {
+                expect(result.value.name).to.equal("Hall");
+                controller.abort();
+                return expect(iterator.next()).to.be.rejectedWith(
+                    WirelessTagPlatform.OperationAbortedError);
+            }).then(() => iterator.next()).then((result) => {
+                expect(result.done).to.equal(true);
+            });
+        });
+        it('should fail if discovery fails', function() {
+            return pf.signoff().then(() => {
+                let iterator = pf.tagManagers();
+                return expect(iterator.next()).to.be.rejectedWith(
+                    WirelessTagPlatform.NotConnectedError);
+            });
+        });
+        it('should yield sensors once their monitoring config loaded', function() {
+            let discoverSpy = sinon.spy();
+            let tag;
+            return pf.discoverTags({ name: "Hall" }).then((tags) => {
+                tag = tags[0];
+                tag.on('discover', discoverSpy);
+                return collect(tag.sensors());
+            }).then((sensors) => {
+                expect(sensors.map((s) => s.sensorType)).to.have.members(
+                    tag.sensorCapabilities());
+                expect(discoverSpy).to.have.callCount(sensors.length);
+                sensors.forEach((s) => {
+                    expect(s.monitoringConfig().data).to.not.equal(undefined);
+                });
+            });
+        });
+        it('should stop yielding sensors if the consumer breaks early', function() {
+            return pf.discoverTags({ name: "Hall" }).then((tags) => {
+                return collect(tags[0].sensors(), 1).then((sensors) => {
+                    expect(sensors).to.have.lengthOf(1);
+                    return tags[0].discoverSensors();
+                }).then((sensors) => {
+                    // all initialized nonetheless, and cached
+                    expect(tags[0].eachSensor()).to.have.members(sensors);
+                });
+            });
+        });
+    });
+
     describe('#connect()', function() {
         let connectSpy = sinon.spy();
 
@@ -185,7 +1720,7 @@ describe('WirelessTagPlatform:', function() {
             if (credentialsMissing) return this.skip();
 
             platform.removeListener('discover', discoverSpy);
-            return expect(discoverSpy).to.have.been.calledOnce;
+            return expect(discoverSpy).to.have.callCount(1);
         });
     });
 
@@ -222,7 +1757,7 @@ describe('WirelessTagPlatform:', function() {
             // skip this if we don't have connection information
             if (credentialsMissing) return this.skip();
 
-            return expect(platform.getTagManager("dummy")).to.be.undefined;
+            return expect(platform.getTagManager("dummy")).to.equal(undefined);
         });
     });
 
@@ -0,0 +1,85 @@
+"use strict";
+
+/*
+ * Smoke test of the browser bundle, loaded into a simulated browser
+ * window and run against a fake cloud. Needs Node.js 18 or later, for
+ * jsdom and the global fetch(), and so isn't part of test:ci.
+ */
+
+var FakeCloud = require('../fakecloud');
+
+describe('browser bundle:', function() {
+
+    var window, cloud;
+
+    before('bundle library and load it into a browser window', function() {
+        if (! global.fetch) return this.skip();
+
+        this.timeout(60000);
+        let browserify = require('browserify');
+        let JSDOM = require('jsdom').JSDOM;
+        let bundle = new Promise((resolve, reject) => {
+            browserify(require.resolve('../'), {
+                standalone: 'WirelessTagPlatform'
+            }).bundle((err, buf) => {
+                if (err) return reject(err);
+                resolve(buf.toString('utf8'));
+            });
+        });
+        return bundle.then((code) => {
+            window = new JSDOM('<!DOCTYPE html>', { runScripts: 'outside-only' }).window;
+            // jsdom has no fetch(), so lend it Node's
+            window.fetch = global.fetch;
+            window.eval(code);
+            cloud = new FakeCloud({
+                accounts: [{
+                    username: "joe@example.com",
+                    password: "s3cr3t",
+                    bearer: "t0ken"
+                }],
+                tagManagers: [{
+                    name: "Home",
+                    tags: [{ name: "Hall", tagType: 13, temperature: 21.5 }]
+                }]
+            });
+            return cloud.listen();
+        });
+    });
+    after(function() {
+        if (window) window.close();
+        if (cloud) return cloud.close();
+        return undefined;
+    });
+
+    it('should define WirelessTagPlatform as global', function() {
+        let WirelessTagPlatform = window.WirelessTagPlatform;
+        expect(WirelessTagPlatform).to.be.a('function');
+        expect(WirelessTagPlatform.WirelessTag).to.be.a('function');
+        expect(WirelessTagPlatform.WirelessTagSensor).to.be.a('function');
+        expect(WirelessTagPlatform.defaultTransport).to.equal('fetch');
+        expect(WirelessTagPlatform).to.not.have.property('loadConfig');
+        expect(WirelessTagPlatform).to.not.have.property('FakeCloud');
+    });
+    it('should create platform without configuration file', function() {
+        let platform = window.WirelessTagPlatform.create();
+        expect(platform).to.be.instanceOf(window.WirelessTagPlatform);
+        expect(platform.cookieJar).to.equal(undefined);
+    });
+    it('should sign in and read sensors through fetch', function() {
+        let platform = new window.WirelessTagPlatform({
+            apiBaseURI: cloud.baseURI
+        });
+        return platform.signin({ bearer: "t0ken" }).
+            then(() => platform.discoverTags({ name: "Hall" })).
+            then((tags) => {
+                expect(tags).to.have.lengthOf(1);
+                expect(tags[0]).to.be.instanceOf(window.WirelessTagPlatform.WirelessTag);
+                return tags[0].discoverSensors();
+            }).
+            then((sensors) => {
+                let temp = sensors.find((s) => s.sensorType === 'temp');
+                expect(temp).to.be.instanceOf(window.WirelessTagPlatform.WirelessTagSensor);
+                expect(temp.reading).to.equal(21.5);
+            });
+    });
+});
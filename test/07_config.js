@@ -0,0 +1,277 @@
+"use strict";
+
+/*
+ * Test loading the configuration, profiles, and credentials
+ */
+
+var fs = require('fs'),
+    os = require('os'),
+    crypto = require('crypto'),
+    path = require('path'),
+    util = require('util');
+
+var readFile = util.promisify(fs.readFile),
+    writeFile = util.promisify(fs.writeFile),
+    chmod = util.promisify(fs.chmod),
+    stat = util.promisify(fs.stat),
+    unlink = util.promisify(fs.unlink);
+
+// whether Node.js has the scrypt key derivation that encrypting credentials needs
+var hasScrypt = 'scryptSync' in crypto;
+
+describe('WirelessTagPlatform.loadConfig():', function() {
+
+    var WirelessTagPlatform;
+    var file;
+
+    function writeConfig(content) {
+        return writeFile(file, 'string' === typeof content ?
+                         content : JSON.stringify(content));
+    }
+
+    before('load platform module', function() {
+        WirelessTagPlatform = require('../');
+    });
+
+    beforeEach(function() {
+        file = path.join(os.tmpdir(), 'wirelesstags-conf-' + process.pid + '.json');
+        return writeConfig({
+            autoReconnect: false,
+            apiBaseURI: "https://top.example.com",
+            defaultProfile: "home",
+            profiles: {
+                home: { redactKeys: ["serial"] },
+                staging: {
+                    apiBaseURI: "http://localhost:8080",
+                    retryPolicy: { retries: 2 }
+                }
+            }
+        });
+    });
+    afterEach(function() {
+        return unlink(file).catch(() => undefined);
+    });
+
+    describe('profiles', function() {
+
+        it('should select the default profile from the given file', function() {
+            let conf = WirelessTagPlatform.loadConfig({ configPath: file, env: {} });
+            expect(conf).to.include({
+                autoReconnect: false,
+                apiBaseURI: "https://top.example.com"
+            });
+            expect(conf.redactKeys).to.deep.equal(["serial"]);
+            expect(conf).to.not.have.property('profiles');
+            expect(conf).to.not.have.property('defaultProfile');
+        });
+        it('should select the requested profile over the default', function() {
+            let conf = WirelessTagPlatform.loadConfig({
+                configPath: file, profile: "staging", env: {}
+            });
+            expect(conf).to.include({
+                autoReconnect: false,
+                apiBaseURI: "http://localhost:8080"
+            });
+            expect(conf.retryPolicy).to.deep.equal({ retries: 2 });
+            expect(conf).to.not.have.property('redactKeys');
+        });
+        it('should select the profile named in the environment', function() {
+            let conf = WirelessTagPlatform.loadConfig({
+                configPath: file, env: { WIRELESSTAG_PROFILE: "staging" }
+            });
+            expect(conf.apiBaseURI).to.equal("http://localhost:8080");
+        });
+        it('should be used by create() for the profile option', function() {
+            let pf = WirelessTagPlatform.create({
+                configPath: file, profile: "staging", env: {}
+            });
+            expect(pf.apiBaseURI).to.equal("http://localhost:8080");
+            expect(pf.retryPolicy.settings.retries).to.equal(2);
+        });
+        it('should take credentials from the environment', function() {
+            let conf = WirelessTagPlatform.loadConfig({
+                configPath: file,
+                env: { WIRELESSTAG_API_USER: "joe@example.com",
+                       WIRELESSTAG_API_PASSWORD: "s3cr3t" }
+            });
+            expect(conf).to.include({
+                username: "joe@example.com", password: "s3cr3t"
+            });
+        });
+    });
+
+    describe('errors', function() {
+
+        it('should throw ConfigError for an undefined profile', function() {
+            expect(() => WirelessTagPlatform.loadConfig({
+                configPath: file, profile: "work", env: {}
+            })).to.throw(WirelessTagPlatform.ConfigError,
+                         /profile 'work' is not defined \(available: home, staging\)/);
+        });
+        it('should throw ConfigError for a missing explicit file', function() {
+            return unlink(file).then(() => {
+                expect(() => WirelessTagPlatform.loadConfig({ configPath: file })).
+                    to.throw(WirelessTagPlatform.ConfigError, /does not exist/);
+            });
+        });
+        it('should throw ConfigError instead of a JSON syntax error', function() {
+            return writeConfig('{ "username": "joe@example.com", }').then(() => {
+                expect(() => WirelessTagPlatform.loadConfig({ configPath: file })).
+                    to.throw(WirelessTagPlatform.ConfigError, /not valid JSON/).
+                    with.property('file', file);
+            });
+        });
+        it('should throw ConfigError naming a malformed setting', function() {
+            let load = () => WirelessTagPlatform.loadConfig({ configPath: file });
+            return writeConfig({
+                profiles: { staging: { apiBaseURI: "localhost" } }
+            }).then(() => {
+                expect(load).to.throw(WirelessTagPlatform.ConfigError,
+                                      /at 'profiles\.staging\.apiBaseURI': expected uri/);
+                return writeConfig({ redactKeys: "password" });
+            }).then(() => {
+                expect(load).to.throw(WirelessTagPlatform.ConfigError,
+                                      /at 'redactKeys': expected string\[\]/);
+                return writeConfig([]);
+            }).then(() => {
+                expect(load).to.throw(WirelessTagPlatform.ConfigError,
+                                      /expected a JSON object/);
+            });
+        });
+        it('should not include the malformed value in the error', function() {
+            let load = () => WirelessTagPlatform.loadConfig({ configPath: file });
+            return writeConfig({ password: ["open", "sesame"] }).then(() => {
+                expect(load).to.throw(WirelessTagPlatform.ConfigError,
+                                      /at 'password': expected string, got array/).
+                    with.property('message').that.does.not.match(/sesame/);
+            });
+        });
+    });
+
+    describe('with secrets', function() {
+        let credFile;
+
+        beforeEach(function() {
+            credFile = path.join(os.tmpdir(),
+                                 'wirelesstags-cred-' + process.pid + '.json');
+            sinon.stub(process, 'emitWarning');
+        });
+        afterEach(function() {
+            process.emitWarning.restore();
+            return unlink(credFile).catch(() => undefined);
+        });
+
+        it('should warn if the file is readable by others', function() {
+            return writeConfig({ username: "joe@example.com", password: "s3cr3t" }).
+                then(() => chmod(file, 0o644)).
+                then(() => {
+                    WirelessTagPlatform.loadConfig({ configPath: file, env: {} });
+                    expect(process.emitWarning).to.have.callCount(1);
+                    expect(process.emitWarning.firstCall.args[0]).
+                        to.match(/mode 0644/).and.to.not.include("s3cr3t");
+                });
+        });
+        it('should refuse such a file if requested', function() {
+            return writeConfig({ profiles: { home: { bearer: "abcd1234" } } }).
+                then(() => chmod(file, 0o640)).
+                then(() => {
+                    expect(() => WirelessTagPlatform.loadConfig({
+                        configPath: file, permissions: 'refuse', env: {}
+                    })).to.throw(WirelessTagPlatform.ConfigError, /chmod 600/);
+                });
+        });
+        it('should accept such a file if only its owner can read it', function() {
+            return writeConfig({ username: "joe@example.com", password: "s3cr3t" }).
+                then(() => chmod(file, 0o600)).
+                then(() => {
+                    let conf = WirelessTagPlatform.loadConfig({
+                        configPath: file, permissions: 'refuse', env: {}
+                    });
+                    expect(conf.password).to.equal("s3cr3t");
+                    expect(process.emitWarning).to.have.callCount(0);
+                });
+        });
+        it('should write encrypted credential files only its owner can read', function() {
+            if (! hasScrypt) return this.skip();
+
+            WirelessTagPlatform.writeCredentials(credFile, {
+                username: "joe@example.com", password: "s3cr3t"
+            }, "open sesame");
+            return stat(credFile).then((stats) => {
+                expect(stats.mode & 0o777).to.equal(0o600);
+                return readFile(credFile, 'utf8');
+            }).then((content) => {
+                expect(content).to.not.include("s3cr3t");
+                expect(content).to.not.include("joe@example.com");
+                expect(() => WirelessTagPlatform.writeCredentials(
+                    credFile, { username: "joe@example.com" }, "open sesame")).
+                    to.throw(TypeError, /username and password, or bearer/);
+            });
+        });
+        it('should require a Node.js version with scrypt for encryption', function() {
+            let scrypt = hasScrypt
+                && sinon.stub(crypto, 'scryptSync').value(undefined);
+            try {
+                expect(() => WirelessTagPlatform.writeCredentials(credFile, {
+                    username: "joe@example.com", password: "s3cr3t"
+                }, "open sesame")).to.throw(WirelessTagPlatform.ConfigError,
+                                            /Node\.js 10\.5 or later/);
+            } finally {
+                if (scrypt) scrypt.restore();
+            }
+        });
+        it('should unlock encrypted credentials with a prompted passphrase', function() {
+            if (! hasScrypt) return this.skip();
+
+            WirelessTagPlatform.writeCredentials(credFile, {
+                username: "joe@example.com", password: "s3cr3t"
+            }, "open sesame");
+            let prompt = sinon.stub().resolves("open sesame");
+            return writeConfig({ credentialsFile: path.basename(credFile) }).
+                then(() => {
+                    let conf = WirelessTagPlatform.loadConfig({
+                        configPath: file, passphrase: prompt, env: {}
+                    });
+                    expect(conf).to.not.have.property('password');
+                    expect(conf.credentials).to.be.a('function');
+                    expect(prompt).to.have.callCount(0);
+                    return conf.credentials();
+                }).then((creds) => {
+                    expect(prompt).to.have.been.calledWith(credFile);
+                    expect(creds).to.deep.equal({
+                        username: "joe@example.com", password: "s3cr3t"
+                    });
+                });
+        });
+        it('should take the passphrase from the environment', function() {
+            if (! hasScrypt) return this.skip();
+
+            WirelessTagPlatform.writeCredentials(credFile, {
+                bearer: "abcd1234"
+            }, "open sesame");
+            return writeConfig({ credentialsFile: credFile }).then(() => {
+                let conf = WirelessTagPlatform.loadConfig({
+                    configPath: file,
+                    env: { WIRELESSTAG_PASSPHRASE: "wrong" }
+                });
+                return expect(conf.credentials()).to.be.rejectedWith(
+                    WirelessTagPlatform.ConfigError, /wrong passphrase/);
+            });
+        });
+        it('should sign in with the unlocked credentials', function() {
+            let adapter = sinon.stub().resolves({
+                statusCode: 200, body: { d: null }
+            });
+            let pf = new WirelessTagPlatform({ transport: adapter });
+            let creds = () => Promise.resolve({
+                username: "joe@example.com", password: "s3cr3t"
+            });
+            return pf.signin({ credentials: creds }).then(() => {
+                expect(adapter).to.have.callCount(1);
+                expect(adapter.firstCall.args[0].body).to.deep.equal({
+                    email: "joe@example.com", password: "s3cr3t"
+                });
+            });
+        });
+    });
+});
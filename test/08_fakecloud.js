@@ -0,0 +1,269 @@
+"use strict";
+
+/*
+ * Test the fake cloud, and the simulator of its tags
+ */
+
+var FakeCloud = require('../fakecloud');
+
+describe('FakeCloud:', function() {
+
+    var WirelessTagPlatform;
+
+    before('load platform module', function() {
+        WirelessTagPlatform = require('../');
+    });
+
+    describe('serving the API', function() {
+        let PollingTagUpdater = require('../plugins/polling-updater');
+        let cloud, pf;
+        let account = { username: "joe@example.com", password: "s3cr3t" };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [Object.assign({ bearer: "t0ken" }, account)],
+                tagManagers: [
+                    { name: "Home", tags: [{ name: "Hall", tagType: 13 }] },
+                    { name: "Cabin", online: false, tags: [{ tagType: 52 }] }
+                ],
+                pollTimeout: 200
+            });
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should serve tag managers and tags of its population', function() {
+            let req = pf.signin(account).then(() => pf.discoverTags());
+            return req.then((tags) => {
+                expect(pf.eachTagManager((m) => m.name)).
+                    to.have.members(["Home", "Cabin"]);
+                expect(tags.map((t) => t.name)).to.include("Hall");
+                let hall = tags.find((t) => t.name === "Hall");
+                expect(hall.uuid).to.equal(cloud.getTag(hall.uuid).uuid);
+                expect(hall.wirelessTagManager.name).to.equal("Home");
+            });
+        });
+        it('should reject invalid credentials', function() {
+            let req = pf.signin({ username: account.username, password: "x" });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.UnauthorizedAccessError);
+        });
+        it('should accept bearer tokens', function() {
+            let req = pf.signin({ bearer: "t0ken" }).
+                then(() => pf.discoverTagManagers());
+            return expect(req).to.eventually.have.lengthOf(2);
+        });
+        it('should change tag data when arming sensors', function() {
+            let req = pf.signin(account).
+                then(() => pf.discoverTags({ name: "Hall" })).
+                then((tags) => tags[0].discoverSensors()).
+                then((sensors) => {
+                    let sensor = sensors.find((s) => s.sensorType === 'event');
+                    expect(sensor.isArmed()).to.equal(false);
+                    return sensor.arm();
+                });
+            return req.then((sensor) => {
+                expect(sensor.isArmed()).to.equal(true);
+                expect(cloud.getTag(sensor.wirelessTag.uuid).eventState).
+                    to.equal(1);
+            });
+        });
+        it('should save and load monitoring configurations', function() {
+            let tag, sensor;
+            let req = pf.signin(account).
+                then(() => pf.discoverTags({ name: "Hall" })).
+                then((tags) => {
+                    tag = tags[0];
+                    sensor = tag.createSensor('battery');
+                    return sensor.monitoringConfig().update();
+                }).
+                then((config) => {
+                    expect(config.monitoringEnabled).to.equal(false);
+                    config.monitoringEnabled = true;
+                    return config.save();
+                });
+            return req.then(() => {
+                expect(cloud.getTag(tag.uuid).enLBN).to.equal(true);
+                let config = sensor.monitoringConfig();
+                return config.resetModified().update();
+            }).then((config) => {
+                expect(config.monitoringEnabled).to.equal(true);
+            });
+        });
+        it('should fail calls through offline tag managers', function() {
+            let req = pf.signin(account).
+                then(() => pf.discoverTags()).
+                then((tags) => {
+                    let tag = tags.find((t) => t.tagType === 52);
+                    return tag.update();
+                });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.TagManagerOfflineError);
+        });
+        it('should deliver tag changes to the polling updater', function(done) {
+            let updater = new PollingTagUpdater(pf);
+            pf.signin(account).
+                then(() => pf.discoverTags({ name: "Hall" })).
+                then((tags) => {
+                    updater.addTags(tags);
+                    tags[0].on('data', (tag) => {
+                        updater.stopUpdateLoop();
+                        expect(tag.data.temperature).to.equal(12.5);
+                        done();
+                    });
+                    updater.startUpdateLoop();
+                    setTimeout(() => {
+                        cloud.updateTag(tags[0].uuid, { temperature: 12.5 });
+                    }, 50);
+                }).
+                catch(done);
+        });
+        it('should cache tags the polling updater discovers', function(done) {
+            let updater = new PollingTagUpdater(pf, { discoveryMode: true });
+            let discoverSpy = sinon.spy();
+            pf.signin(account).
+                then(() => pf.discoverTagManagers()).
+                then((mgrs) => {
+                    let home = mgrs.find((m) => m.name === "Home");
+                    let uuid = cloud.eachTag().find((t) => t.name === "Hall").uuid;
+                    home.on('discover', discoverSpy);
+                    updater.on('data', (tag) => {
+                        updater.stopUpdateLoop();
+                        expect(tag.uuid).to.equal(uuid);
+                        expect(pf.getTag(uuid)).to.equal(tag);
+                        expect(discoverSpy).to.have.been.calledWith(tag);
+                        done();
+                    });
+                    updater.startUpdateLoop();
+                    setTimeout(() => {
+                        cloud.updateTag(uuid, { temperature: 12.5 });
+                    }, 50);
+                }).
+                catch(done);
+        });
+    });
+
+    describe('TagSimulator', function() {
+        let TagSimulator;
+        let start = Date.UTC(2024, 0, 1);
+        let population = [{
+            name: "Home",
+            tags: [{ name: "Hall", tagType: 13, postBackInterval: 600 },
+                   { name: "Door", tagType: 52 },
+                   { name: "Patio", tagType: 26 }]
+        }];
+
+        before(function() {
+            TagSimulator = FakeCloud.TagSimulator;
+        });
+
+        function simulate(seed) {
+            let cloud = new FakeCloud({
+                tagManagers: population
+            });
+            let sim = new TagSimulator(cloud, { seed: seed, start: start });
+            let records = [];
+            cloud.on('update', (e) => records.push(Object.assign({}, e.tag)));
+            sim.scenario([{ at: 60000, tag: "Hall", set: { temperature: 30 } },
+                          { at: 90000, tag: "Door", event: "open" }]);
+            sim.advance(3 * 3600000);
+            return records;
+        }
+
+        it('should produce the same data given the same seed', function() {
+            let records = simulate(7);
+            expect(records).to.have.length.above(30);
+            expect(simulate(7)).to.deep.equal(records);
+            expect(simulate(8)).to.not.deep.equal(records);
+        });
+        it('should advance lastComm by the update interval', function() {
+            let cloud = new FakeCloud({
+                tagManagers: population
+            });
+            let sim = new TagSimulator(cloud, { start: start });
+            let hall = sim.postback("Hall");
+            let lastComm = hall.lastComm;
+            sim.advance(599000);
+            expect(hall.lastComm).to.equal(lastComm);
+            sim.advance(1000);
+            expect(hall.lastComm - lastComm).to.equal(600 * 1000 * 10000);
+        });
+        it('should report door events only while armed', function() {
+            let cloud = new FakeCloud({
+                tagManagers: population
+            });
+            let sim = new TagSimulator(cloud, { start: start });
+            sim.scenario([{ at: 1000, tag: "Door", event: "open" },
+                          { at: 3000, tag: "Door", set: { eventState: 1 } },
+                          { at: 4000, tag: "Door", event: "open" }]);
+            let door = cloud.eachTag().find((t) => t.name === "Door");
+            sim.advance(2000);
+            expect(door.eventState).to.equal(0);
+            sim.advance(2000);
+            expect(door.eventState).to.equal(3);
+        });
+        it('should change event states of armed sensors', function() {
+            let cloud = new FakeCloud({
+                tagManagers: population
+            });
+            let sim = new TagSimulator(cloud, { start: start });
+            let pf, hall, sensor;
+            sim.scenario([{ at: 1000, tag: "Hall", set: { temperature: 35 } }]);
+            let req = cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                return pf.signin({ username: "user@example.com",
+                                   password: "password" });
+            }).then(() => pf.discoverTags({ name: "Hall" })).then((tags) => {
+                hall = tags[0];
+                sensor = hall.createSensor('temp');
+                return sensor.arm();
+            }).then(() => {
+                expect(sensor.eventState).to.equal("Normal");
+                sim.advance(601000);
+                return hall.update();
+            }).then(() => {
+                expect(sensor.eventState).to.equal("Too Hot");
+            });
+            return req.then(() => cloud.close(), (e) => {
+                return cloud.close().then(() => { throw e });
+            });
+        });
+        it('should delay commands for retrying updates until they take effect',
+           function() {
+               let cloud = new FakeCloud({
+                   tagManagers: population
+               });
+               let sim = new TagSimulator(cloud, { start: start });
+               let pf, hall;
+               let reads = 0;
+               sim.scenario([{ tag: "Hall", lag: 2 }]).advance(0);
+               cloud.on('request', (r) => {
+                   if (r.endpoint.endsWith('/GetTagForSlaveId')) reads++;
+               });
+               let req = cloud.listen().then((baseURI) => {
+                   pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                   return pf.signin({ username: "user@example.com",
+                                      password: "password" });
+               }).then(() => pf.discoverTags({ name: "Hall" })).then((tags) => {
+                   hall = tags[0];
+                   return hall.callAPI('/ethClient.asmx/Arm', { id: hall.slaveId });
+               }).then((result) => {
+                   expect(result.eventState).to.equal(0);
+                   return hall.retryUpdateUntil((tag, n) => {
+                       if (tag.data.eventState === 1) return true;
+                       throw new WirelessTagPlatform.RetryUnsuccessfulError(
+                           "not armed yet", tag, "arm", n);
+                   }, { minTimeout: 5, maxTimeout: 5, retries: 4 });
+               }).then(() => {
+                   expect(reads).to.equal(3);
+               });
+               return req.then(() => cloud.close(), (e) => {
+                   return cloud.close().then(() => { throw e });
+               });
+           });
+    });
+});
@@ -0,0 +1,179 @@
+"use strict";
+
+/*
+ * Test recording and replaying the traffic with the cloud API
+ */
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    util = require('util');
+
+var readFile = util.promisify(fs.readFile),
+    writeFile = util.promisify(fs.writeFile),
+    unlink = util.promisify(fs.unlink);
+
+describe('APIRecorder:', function() {
+
+    var WirelessTagPlatform;
+    var file, adapter;
+
+    before('load platform module', function() {
+        WirelessTagPlatform = require('../');
+    });
+
+    beforeEach(function() {
+        file = path.join(os.tmpdir(), 'wirelesstags-' + process.pid + '.json');
+        adapter = sinon.stub();
+        adapter.withArgs(sinon.match({ uri: sinon.match(/Signin$/) })).resolves({
+            statusCode: 200, body: { d: null }
+        });
+        adapter.withArgs(sinon.match({ uri: sinon.match(/GetTagManagers$/) })).resolves({
+            statusCode: 200,
+            body: { d: [{ mac: "0A", name: "mgr", email: "joe@example.com" }] }
+        });
+    });
+    afterEach(function() {
+        return unlink(file).catch(() => undefined);
+    });
+
+    function record() {
+        let pf = new WirelessTagPlatform({
+            transport: adapter,
+            recording: { mode: 'record', file: file }
+        });
+        return pf.signin({ username: "joe@example.com", password: "s3cr3t" }).
+            then(() => pf.discoverTagManagers()).
+            then(() => pf.recorder.close());
+    }
+
+    describe('#close() and #save()', function() {
+
+        it('should write the recorded API calls to the fixture file', function() {
+            return record().then(() => readFile(file, 'utf8')).then((content) => {
+                expect(content).to.not.contain("s3cr3t");
+                expect(content).to.not.contain("joe@example.com");
+                let fixture = JSON.parse(content);
+                expect(fixture.exchanges).to.have.lengthOf(2);
+                expect(fixture.exchanges[1].request.endpoint).
+                    to.equal('/ethAccount.asmx/GetTagManagers');
+            });
+        });
+        it('should not write the fixture file with every call', function() {
+            let pf = new WirelessTagPlatform({
+                transport: adapter,
+                recording: { mode: 'record', file: file }
+            });
+            let req = pf.signin({ username: "joe@example.com", password: "s3cr3t" });
+            return req.then(() => {
+                let exists = new Promise((resolve) => fs.access(file, (err) => resolve(! err)));
+                return expect(exists).to.eventually.equal(false);
+            }).then(() => pf.recorder.save()).then(() => readFile(file, 'utf8')).
+                then((content) => {
+                    expect(JSON.parse(content).exchanges).to.have.lengthOf(1);
+                    return pf.recorder.close();
+                });
+        });
+    });
+
+    describe('replaying', function() {
+
+        it('should replay API calls from a fixture file', function() {
+            return record().then(() => {
+                adapter.resetHistory();
+                let pf = new WirelessTagPlatform({
+                    transport: adapter,
+                    apiBaseURI: 'http://localhost:1',
+                    recording: { mode: 'replay', file: file }
+                });
+                // credentials are redacted, and hence don't need to match
+                return pf.signin({ username: "jane@example.com", password: "x" }).
+                    then(() => pf.discoverTagManagers());
+            }).then((mgrs) => {
+                expect(mgrs).to.have.lengthOf(1);
+                expect(mgrs[0].mac).to.equal("0A");
+                expect(mgrs[0].data.email).to.not.equal("joe@example.com");
+                expect(adapter).to.have.callCount(0);
+            });
+        });
+        it('should fail once the recorded responses are used up', function() {
+            let pf;
+            let req = record().then(() => {
+                pf = new WirelessTagPlatform({
+                    apiBaseURI: 'http://localhost:1',
+                    recording: { mode: 'replay', file: file }
+                });
+                return pf.discoverTagManagers();
+            }).then(() => pf.discoverTagManagers());
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.UnmatchedRequestError,
+                /No more recorded responses: all 1 matching/);
+        });
+        it('should reject requests without recorded match', function() {
+            let req = writeFile(file, JSON.stringify({ version: 1, exchanges: [] })).
+                then(() => {
+                    let pf = new WirelessTagPlatform({
+                        recording: { mode: 'replay', file: file }
+                    });
+                    return pf.callAPI('/ethClient.asmx/GetTagForSlaveId',
+                                      { slaveid: 1 });
+                });
+            return req.then(() => {
+                throw new Error("call should have failed");
+            }, (e) => {
+                expect(e).to.be.instanceOf(WirelessTagPlatform.UnmatchedRequestError);
+                expect(e.message).to.contain('/ethClient.asmx/GetTagForSlaveId');
+                expect(e.message).to.contain('"slaveid":1');
+            });
+        });
+        it('should record and replay request-style calls', function(done) {
+            let recorder = new WirelessTagPlatform.APIRecorder({
+                mode: 'record', file: file
+            });
+            let soapRequest = recorder.request((opts, cb) => {
+                cb(null, { statusCode: 200 }, "<soap:Envelope>ok</soap:Envelope>");
+            });
+            let replay = () => {
+                let replayer = new WirelessTagPlatform.APIRecorder({
+                    mode: 'replay', file: file
+                });
+                let replayRequest = replayer.request(() => {
+                    done(new Error("should not be called when replaying"));
+                });
+                replayRequest({ uri: 'https://example.com/ethComet.asmx',
+                                method: 'POST',
+                                body: "<soap:Envelope> <x/> </soap:Envelope>" },
+                              (err, res, body) => {
+                    if (err) return done(err);
+                    expect(res.statusCode).to.equal(200);
+                    expect(body).to.equal("<soap:Envelope>ok</soap:Envelope>");
+                    done();
+                });
+            };
+            soapRequest({ uri: 'https://example.com/ethComet.asmx',
+                          method: 'POST',
+                          body: "<soap:Envelope>\n  <x/>\n</soap:Envelope>" },
+                        () => recorder.close().then(replay).catch(done));
+        });
+    });
+
+    describe('WirelessTagPlatform.loadConfig()', function() {
+
+        it('should take the recording from the environment', function() {
+            let conf = WirelessTagPlatform.loadConfig({
+                env: { WIRELESSTAG_API_RECORDING: "replay:fixtures/a:b.json" }
+            });
+            expect(conf.recording).to.deep.equal({
+                mode: 'replay', file: "fixtures/a:b.json"
+            });
+        });
+        it('should throw ConfigError for a malformed recording', function() {
+            ['record', 'replay:', 'play:api.json'].forEach((value) => {
+                expect(() => WirelessTagPlatform.loadConfig({
+                    env: { WIRELESSTAG_API_RECORDING: value }
+                })).to.throw(WirelessTagPlatform.ConfigError,
+                             /at 'WIRELESSTAG_API_RECORDING': expected mode:file/);
+            });
+        });
+    });
+});
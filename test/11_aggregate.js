@@ -0,0 +1,106 @@
+"use strict";
+
+/*
+ * Test aggregating platform objects signed in to different accounts
+ */
+
+var FakeCloud = require('../fakecloud');
+
+describe('PlatformAggregate:', function() {
+
+    var WirelessTagPlatform;
+
+    before('load platform module', function() {
+        WirelessTagPlatform = require('../');
+    });
+
+    describe('discovery across accounts', function() {
+        let cloud, home, office, accounts;
+        let joe = { username: "joe@example.com", password: "s3cr3t",
+                    tagManagers: ["0AB000000001"] };
+        let ann = { username: "ann@example.com", password: "pa55",
+                    tagManagers: ["0AB000000002"] };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [joe, ann],
+                tagManagers: [
+                    { name: "Home", mac: "0AB000000001",
+                      tags: [{ name: "Hall", tagType: 13 },
+                             { name: "Basement", tagType: 32 }] },
+                    { name: "Office", mac: "0AB000000002",
+                      tags: [{ name: "Lobby", tagType: 13 }] }
+                ]
+            });
+            return cloud.listen().then((baseURI) => {
+                home = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                office = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                accounts = new WirelessTagPlatform.PlatformAggregate({
+                    home: home, office: office
+                });
+                return Promise.all([home.signin(joe), office.signin(ann)]);
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should merge tag managers and tags from all accounts', function() {
+            return accounts.discoverTagManagers().then((mgrs) => {
+                expect(mgrs.map((m) => m.name)).to.deep.equal(["Home", "Office"]);
+                expect(mgrs.map((m) => m.account)).to.deep.equal(["home", "office"]);
+                expect(mgrs[1].wirelessTagPlatform).to.equal(office);
+                return accounts.discoverTags({ sensors: { $in: ['humidity'] } });
+            }).then((tags) => {
+                expect(tags.map((t) => t.name)).to.deep.equal(["Hall", "Lobby"]);
+                expect(tags.map((t) => t.account)).to.deep.equal(["home", "office"]);
+                expect(accounts.eachTagManager((m) => m.account)).
+                    to.deep.equal(["home", "office"]);
+            });
+        });
+        it('should find tag managers in any account', function() {
+            return accounts.findTagManager("0AB000000002").then((mgr) => {
+                expect(mgr.name).to.equal("Office");
+                expect(mgr.account).to.equal("office");
+                return accounts.findTagManager("000000000000");
+            }).then((mgr) => {
+                expect(mgr).to.equal(undefined);
+            });
+        });
+        it('should re-emit events of the platforms with the account', function() {
+            let discoverSpy = sinon.spy();
+            accounts.on('discover', discoverSpy);
+            return accounts.discoverTagManagers().then((mgrs) => {
+                expect(discoverSpy).to.have.callCount(2);
+                expect(discoverSpy).to.have.been.calledWith(mgrs[0], "home");
+                expect(discoverSpy).to.have.been.calledWith(mgrs[1], "office");
+                expect(discoverSpy.firstCall.args).to.have.lengthOf(2);
+                // the payload is passed on as is
+                let payload = {};
+                home.emit('discover', payload);
+                expect(discoverSpy).to.have.been.calledWith(payload, "home");
+                expect(payload).to.not.have.property('account');
+                expect(accounts.remove("office")).to.equal(office);
+                expect(accounts.accounts()).to.deep.equal(["home"]);
+                office.emit('discover', mgrs[1]);
+                expect(discoverSpy).to.have.callCount(3);
+            });
+        });
+        it('should not let one account failing abort the others', function() {
+            let errorSpy = sinon.spy();
+            accounts.on('accountError', errorSpy);
+            return office.signoff().then(() => accounts.discoverTags()).
+                then((tags) => {
+                    expect(tags.map((t) => t.name)).to.deep.equal(["Hall", "Basement"]);
+                    expect(errorSpy).to.have.callCount(1);
+                    let event = errorSpy.firstCall.args[0];
+                    expect(event.account).to.equal("office");
+                    expect(event.platform).to.equal(office);
+                    expect(event.error).to.be.instanceOf(
+                        WirelessTagPlatform.NotConnectedError);
+                    return home.signoff();
+                }).then(() => expect(accounts.discoverTagManagers()).
+                        to.be.rejectedWith(WirelessTagPlatform.NotConnectedError));
+        });
+    });
+});
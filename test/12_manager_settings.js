@@ -0,0 +1,252 @@
+"use strict";
+
+/*
+ * Test the settings and access levels of tag managers
+ */
+
+var FakeCloud = require('../fakecloud');
+
+describe('WirelessTagManager:', function() {
+
+    var WirelessTagPlatform;
+
+    before('load platform module', function() {
+        WirelessTagPlatform = require('../');
+    });
+
+    describe('shared tag managers', function() {
+        let PollingTagUpdater = require('../plugins/polling-updater');
+        let mac = "0AB000000001";
+        let cloud, owner, guest;
+        let joe = { username: "joe@example.com", password: "s3cr3t" };
+        let ann = { username: "ann@example.com", password: "pa55",
+                    tagManagers: [mac] };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [joe, ann],
+                tagManagers: [
+                    { name: "Home", mac: mac, owner: joe.username,
+                      tags: [{ name: "Hall", tagType: 13 }] },
+                    { name: "Cabin", tags: [{ name: "Porch", tagType: 52 }] }
+                ],
+                pollTimeout: 200
+            });
+            return cloud.listen().then((baseURI) => {
+                owner = new WirelessTagPlatform({ apiBaseURI: baseURI });
+                guest = new WirelessTagPlatform({ apiBaseURI: baseURI,
+                                                  readOnlyTagManagers: [mac] });
+                return Promise.all([owner.signin(joe), guest.signin(ann)]);
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should expose the configured access level', function() {
+            return owner.discoverTagManagers().then((mgrs) => {
+                let home = mgrs.find((m) => m.mac === mac);
+                expect(home.accessLevel).to.equal('full');
+                // the cloud doesn't report sharing when listing tag managers
+                expect(home.mirrors).to.deep.equal([]);
+                expect(home.data).to.not.have.any.keys('owner', 'readOnly', 'mirrors');
+                return guest.discoverTagManagers();
+            }).then((mgrs) => {
+                expect(mgrs).to.have.lengthOf(1);
+                expect(mgrs[0].accessLevel).to.equal('readOnly');
+            });
+        });
+        it('should fail writes through read-only tag managers up front', function() {
+            let tag;
+            let req = guest.discoverTags().then((tags) => {
+                tag = tags[0];
+                // reading is fine
+                return tag.update();
+            }).then(() => tag.discoverSensors()).then((sensors) => {
+                let sensor = sensors.find((s) => s.sensorType === 'event');
+                return sensor.arm();
+            });
+            return expect(req).to.be.rejectedWith(
+                WirelessTagPlatform.UnauthorizedAccessError, /read-only/).
+                then(() => {
+                    expect(guest.stats().endpoints).
+                        to.not.have.property('/ethClient.asmx/Arm');
+                    expect(guest.state).to.equal('connected');
+                    expect(cloud.getTag(tag.uuid).eventState).to.not.equal(1);
+                });
+        });
+        it('should let read-only tag managers request live updates', function() {
+            let req = guest.discoverTags().then((tags) => tags[0].liveUpdate());
+            return expect(req).to.be.fulfilled.then(() => {
+                expect(guest.stats().endpoints).
+                    to.have.property('/ethClient.asmx/RequestImmediatePostback');
+            });
+        });
+        it('should let the owner write through shared tag managers', function() {
+            let req = owner.discoverTags({ name: "Hall" }).
+                then((tags) => tags[0].discoverSensors()).
+                then((sensors) => sensors.find((s) => s.sensorType === 'event').arm());
+            return expect(req).to.eventually.satisfy((s) => s.isArmed());
+        });
+        it('should update mirrors from the polling updater', function(done) {
+            let updater = new PollingTagUpdater(owner);
+            owner.discoverTags({ name: "Hall" }).then((tags) => {
+                let home = tags[0].wirelessTagManager;
+                let seen = [];
+                updater.addTags(tags);
+                home.on('update', (mgr, prop, value) => {
+                    if (prop !== 'mirrors') return;
+                    seen.push(value);
+                    if (seen.length === 1) {
+                        // stop sharing the tag manager with the other account
+                        cloud.accounts[1].tagManagers = [];
+                        cloud.updateTag(tags[0].uuid, { temperature: 13 });
+                        return;
+                    }
+                    updater.stopUpdateLoop();
+                    expect(seen).to.deep.equal([[ann.username], []]);
+                    expect(home.mirrors).to.deep.equal([]);
+                    expect(home.data).to.not.have.property('mirrors');
+                    expect(tags[0].data).to.not.have.property('mirrors');
+                    done();
+                });
+                updater.startUpdateLoop();
+                setTimeout(() => {
+                    cloud.updateTag(tags[0].uuid, { temperature: 12.5 });
+                }, 50);
+            }).catch(done);
+        });
+        it('should keep local changes across polling, and mirrors across rediscovery', function(done) {
+            let updater = new PollingTagUpdater(owner);
+            owner.discoverTags({ name: "Hall" }).then((tags) => {
+                let home = tags[0].wirelessTagManager;
+                updater.addTags(tags);
+                home.name = "Cottage";
+                home.on('update', (mgr, prop) => {
+                    if (prop !== 'mirrors') return;
+                    updater.stopUpdateLoop();
+                    expect(home.name).to.equal("Cottage");
+                    expect(home.isModified('name')).to.equal(true);
+                    owner.discoverTagManagers().then(() => {
+                        expect(home.mirrors).to.deep.equal([ann.username]);
+                        done();
+                    }).catch(done);
+                });
+                updater.startUpdateLoop();
+                setTimeout(() => {
+                    cloud.updateTag(tags[0].uuid, { temperature: 12.5 });
+                }, 50);
+            }).catch(done);
+        });
+    });
+
+    describe('#save() and #setName()', function() {
+        let mac = "0AB000000001";
+        let cloud, pf;
+        let joe = { username: "joe@example.com", password: "s3cr3t" };
+        let ann = { username: "ann@example.com", password: "pa55" };
+
+        beforeEach(function() {
+            cloud = new FakeCloud({
+                accounts: [joe, ann],
+                tagManagers: [{ name: "Home", mac: mac,
+                                wirelessConfig: { dataRate: 1 } }]
+            });
+            return cloud.listen().then((baseURI) => {
+                pf = new WirelessTagPlatform({ apiBaseURI: baseURI });
+            });
+        });
+        afterEach(function() {
+            return cloud.close();
+        });
+
+        it('should change the name in local data only by assignment', function() {
+            return pf.signin(joe).then(() => pf.discoverTagManagers()).
+                then((mgrs) => {
+                    let mgr = mgrs[0];
+                    let updateSpy = sinon.spy();
+                    mgr.on('update', updateSpy);
+                    expect(mgr.isModified()).to.equal(false);
+                    mgr.name = "Cottage";
+                    expect(mgr.data.name).to.equal("Cottage");
+                    expect(updateSpy).to.have.been.calledWith(mgr, 'name', "Cottage");
+                    expect(mgr.isModified('name')).to.equal(true);
+                    expect(cloud.getTagManager(mac).name).to.equal("Home");
+                    expect(() => { mgr.wirelessConfig = { dataRate: 2 } }).
+                        to.throw(TypeError);
+                });
+        });
+        it('should fail saving as the cloud API does not support it', function() {
+            let mgr;
+            return pf.signin(joe).then(() => pf.discoverTagManagers()).
+                then((mgrs) => {
+                    mgr = mgrs[0];
+                    // nothing to save is fine
+                    return mgr.save();
+                }).then((result) => {
+                    expect(result).to.equal(mgr);
+                    pf.stats(true);
+                    mgr.name = "Cottage";
+                    return expect(mgr.save()).to.be.rejectedWith(
+                        WirelessTagPlatform.OperationUnsupportedError, /name/);
+                }).then(() => {
+                    expect(mgr.isModified('name')).to.equal(true);
+                    expect(pf.stats().endpoints).to.deep.equal({});
+                    expect(cloud.getTagManager(mac).name).to.equal("Home");
+                });
+        });
+        it('should restore the name if setName() fails', function() {
+            let mgr;
+            let updateSpy = sinon.spy(), callback = sinon.spy();
+            return pf.signin(joe).then(() => pf.discoverTagManagers()).
+                then((mgrs) => {
+                    mgr = mgrs[0];
+                    mgr.on('update', updateSpy);
+                    return expect(mgr.setName("Cottage")).to.be.rejectedWith(
+                        WirelessTagPlatform.OperationUnsupportedError);
+                }).then(() => {
+                    expect(mgr.name).to.equal("Home");
+                    // with a callback, the error goes to the callback
+                    return mgr.setName("Cottage", callback);
+                }).then(() => {
+                    expect(mgr.name).to.equal("Home");
+                    expect(mgr.isModified()).to.equal(false);
+                    expect(updateSpy).to.have.callCount(0);
+                    expect(callback).to.have.callCount(1);
+                    expect(callback.firstCall.args[0]).
+                        to.be.instanceOf(WirelessTagPlatform.OperationUnsupportedError);
+                });
+        });
+        it('should reject invalid names instead of throwing', function() {
+            let callback = sinon.spy();
+            return pf.signin(joe).then(() => pf.discoverTagManagers()).
+                then((mgrs) => {
+                    let req;
+                    expect(() => { req = mgrs[0].setName("  ", callback) }).
+                        to.not.throw();
+                    return expect(req).to.be.rejectedWith(TypeError, /invalid name/);
+                }).then(() => {
+                    expect(callback).to.have.callCount(1);
+                    expect(callback.firstCall.args[0]).to.be.instanceOf(TypeError);
+                });
+        });
+        it('should fail up front for read-only tag managers', function() {
+            let mgr;
+            let updateSpy = sinon.spy();
+            pf.readOnlyTagManagers = [mac];
+            return pf.signin(ann).then(() => pf.discoverTagManagers()).
+                then((mgrs) => {
+                    mgr = mgrs[0];
+                    mgr.on('update', updateSpy);
+                    return expect(mgr.setName("Cottage")).to.be.rejectedWith(
+                        WirelessTagPlatform.UnauthorizedAccessError, /read-only/);
+                }).then(() => {
+                    // the local name is restored, and was never announced
+                    expect(mgr.name).to.equal("Home");
+                    expect(mgr.isModified()).to.equal(false);
+                    expect(updateSpy).to.have.callCount(0);
+                    expect(cloud.getTagManager(mac).name).to.equal("Home");
+                });
+        });
+    });
+});